@@ -0,0 +1,64 @@
+// Script to check every scene migration against its before/after fixtures
+
+import { SCENE_MIGRATIONS } from '../src/utils/migrationUtils.js';
+import assert from 'assert';
+import fs from 'fs';
+import process from 'process';
+
+const fixturesDir = new URL('../src/utils/fixtures/migrations/', import.meta.url);
+
+/**
+ * Read a fixture file
+ * @param {string} filename - Name of the file in the fixtures directory
+ * @returns {Object|null} - The parsed fixture, or null if the file doesn't exist
+ */
+function readFixture(filename) {
+  const fileUrl = new URL(filename, fixturesDir);
+  if (!fs.existsSync(fileUrl)) return null;
+  
+  return JSON.parse(fs.readFileSync(fileUrl, 'utf8'));
+}
+
+/**
+ * Check one migration against its fixtures
+ * 
+ * The migration is applied the way migrateSceneData applies it, recording
+ * the version it upgrades to.
+ * 
+ * @param {Object} migration - The migration {version, migrate}
+ * @returns {string|null} - What went wrong, or null if the result matches the after fixture
+ */
+function checkMigration(migration) {
+  const before = readFixture(`${migration.version}.before.json`);
+  const after = readFixture(`${migration.version}.after.json`);
+  if (!before || !after) return 'missing before/after fixture';
+  
+  const migrated = { ...migration.migrate(structuredClone(before)), version: migration.version };
+  
+  try {
+    assert.deepStrictEqual(migrated, after);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+let failures = 0;
+
+SCENE_MIGRATIONS.forEach(migration => {
+  const problem = checkMigration(migration);
+  
+  if (problem) {
+    failures++;
+    console.error(`✖ ${migration.version} (${migration.description})\n${problem}\n`);
+  } else {
+    console.log(`✔ ${migration.version} (${migration.description})`);
+  }
+});
+
+if (failures > 0) {
+  console.error(`${failures} of ${SCENE_MIGRATIONS.length} migrations don't match their fixtures`);
+  process.exitCode = 1;
+} else {
+  console.log(`All ${SCENE_MIGRATIONS.length} migrations match their fixtures`);
+}
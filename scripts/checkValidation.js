@@ -0,0 +1,73 @@
+// Script to check scene and prefab validation against the validation fixtures
+
+import fs from 'fs';
+import { register } from 'module';
+import process from 'process';
+
+// The app's modules import each other without file extensions, as the
+// bundler allows; resolve those imports to their .js files
+register(`data:text/javascript,${encodeURIComponent(`
+  export async function resolve(specifier, context, nextResolve) {
+    try {
+      return await nextResolve(specifier, context);
+    } catch (error) {
+      if (!specifier.startsWith('.')) throw error;
+      return nextResolve(specifier + '.js', context);
+    }
+  }
+`)}`);
+
+const { migrateSceneData } = await import('../src/utils/migrationUtils.js');
+const { validateScene, validatePrefab } = await import('../src/utils/validationUtils.js');
+
+const fixturesDir = new URL('../src/utils/fixtures/validation/', import.meta.url);
+
+/**
+ * Check one fixture
+ * 
+ * A fixture holds either a serialized `scene`, which is upgraded and
+ * validated the way deserializeScene does it, or a library `prefab`, along
+ * with the JSON paths of the `problems` it is expected to have. Automatic
+ * problems of prefabs, such as the element IDs prefabs don't store, are
+ * left out, as loadPrefabLibrary ignores them.
+ * 
+ * @param {Object} fixture - The fixture {description, scene, prefab, problems}
+ * @returns {string|null} - What went wrong, or null if the expected problems were found
+ */
+function checkFixture(fixture) {
+  const problems = fixture.scene
+    ? validateScene(migrateSceneData(fixture.scene).sceneData).problems
+    : validatePrefab(fixture.prefab).filter(problem => !problem.automatic);
+  const found = problems.map(problem => problem.path);
+  
+  const missing = fixture.problems.filter(path => !found.includes(path));
+  const unexpected = problems.filter(problem => !fixture.problems.includes(problem.path));
+  if (missing.length === 0 && unexpected.length === 0) return null;
+  
+  return [
+    ...missing.map(path => `  missing problem at ${path}`),
+    ...unexpected.map(problem => `  unexpected problem at ${problem.path}: ${problem.message}`)
+  ].join('\n');
+}
+
+const filenames = fs.readdirSync(fixturesDir).filter(filename => filename.endsWith('.json')).sort();
+let failures = 0;
+
+filenames.forEach(filename => {
+  const fixture = JSON.parse(fs.readFileSync(new URL(filename, fixturesDir), 'utf8'));
+  const problem = checkFixture(fixture);
+  
+  if (problem) {
+    failures++;
+    console.error(`✖ ${filename} (${fixture.description})\n${problem}\n`);
+  } else {
+    console.log(`✔ ${filename} (${fixture.description})`);
+  }
+});
+
+if (failures > 0) {
+  console.error(`${failures} of ${filenames.length} validation fixtures don't match`);
+  process.exitCode = 1;
+} else {
+  console.log(`All ${filenames.length} validation fixtures match`);
+}
@@ -1,20 +1,25 @@
-import { useRef, useState, useCallback, useEffect } from 'react';
+import { useRef, useState, useCallback, useEffect, useMemo } from 'react';
 import { Box, useEventListener } from '@chakra-ui/react';
 import { DndContext, useSensor, useSensors, PointerSensor } from '@dnd-kit/core';
 import { restrictToWindowEdges } from '@dnd-kit/modifiers';
 import { useScene } from '../../context/SceneContext';
 import { useDragDrop } from '../../hooks/useDragDrop';
 import IsometricGrid from './IsometricGrid';
+import { getCanvasTool } from './tools';
 import ElementControls from '../controls/ElementControls';
 import { getElementComponent } from '../elements';
+import { calculateElementDepths } from '../../utils/placementUtils';
+import { calculateConnectionVariants } from '../../utils/connectionUtils';
+import { calculateLayerBands, getElementLayerId } from '../../utils/layerUtils';
 
 /**
  * IsometricCanvas component
  * 
  * This is the main container for the isometric scene. It handles:
- * - Rendering the isometric grid and placed elements
+ * - Rendering the isometric grid and placed elements, layer by layer
  * - Pan and zoom interactions
- * - Element selection
+ * - Passing pointer input to the active tool, which draws its own overlay
+ *   (see components/canvas/tools)
  * - Drag and drop functionality for element placement
  * - Touch interactions for mobile devices
  * 
@@ -30,22 +35,32 @@ export default function IsometricCanvas() {
     updateOffset, 
     updateZoom, 
     elements, 
-    selectElement,
-    selectedElementId,
+    selectedElementIds,
     showGrid,
     updateCursorGridPosition,
-    setSceneCanvasRef
+    setSceneCanvasRef,
+    activeTool,
+    layers
   } = useScene();
   
   // Reference to the canvas DOM element
   const canvasRef = useRef(null);
   
+  // Layer holding the grid, elements and tool overlays
+  const sceneLayerRef = useRef(null);
+  
+  // Pointer handlers of the active tool (see useToolHandlers)
+  const toolHandlersRef = useRef(null);
+  
   // State for handling pan interactions
   const [isDragging, setIsDragging] = useState(false);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
   const [startOffset, setStartOffset] = useState({ x: 0, y: 0 });
   const [cursorPosition, setCursorPosition] = useState({ x: 0, y: 0 });
   
+  // Tool that handles pointer input
+  const tool = getCanvasTool(activeTool);
+  
   /**
    * Register canvas ref with context for image export functionality
    * This allows other components to access the canvas for screenshot generation
@@ -72,28 +87,79 @@ export default function IsometricCanvas() {
   // Initialize drag and drop functionality
   const { calculateGridPosition } = useDragDrop();
   
+  // Drawing order for all elements, accounting for stacked elements
+  const elementDepths = useMemo(() => calculateElementDepths(elements), [elements]);
+  
+  // Auto-tiled sprites for roads and other connectable elements
+  const connectionVariants = useMemo(() => calculateConnectionVariants(elements), [elements]);
+  
+  // Layer settings by layer ID, and the z-index band of layers drawn on top
+  const layersById = useMemo(() => new Map(layers.map(layer => [layer.id, layer])), [layers]);
+  const layerBands = useMemo(() => calculateLayerBands(layers), [layers]);
+  
+  // Groups of the selected elements, whose other members are highlighted too
+  const selectedGroupIds = useMemo(() => {
+    const selectedIds = new Set(selectedElementIds);
+    return new Set(elements.filter(element => selectedIds.has(element.id) && element.groupId).map(element => element.groupId));
+  }, [elements, selectedElementIds]);
+  
+  /**
+   * Describe the pointer for the active tool
+   * 
+   * @param {MouseEvent} e - A mouse event
+   * @returns {Object} - The grid cell under the pointer, the point in scene layer pixels, the ID of the element under the pointer and whether the pointer is over the canvas {cell, point, elementId, isOverCanvas}
+   */
+  const getPointer = useCallback((e) => {
+    const rect = sceneLayerRef.current.getBoundingClientRect();
+    const elementNode = e.target instanceof Element ? e.target.closest('[data-element-id]') : null;
+    
+    return {
+      cell: calculateGridPosition(e.clientX, e.clientY),
+      point: { x: e.clientX - rect.left, y: e.clientY - rect.top },
+      elementId: elementNode ? elementNode.dataset.elementId : null,
+      isOverCanvas: canvasRef.current.contains(e.target)
+    };
+  }, [calculateGridPosition]);
+  
+  /**
+   * Start panning the view
+   * 
+   * @param {MouseEvent} e - The mouse down event
+   */
+  const beginPan = useCallback((e) => {
+    setIsDragging(true);
+    setDragStart({ x: e.clientX, y: e.clientY });
+    setStartOffset({ ...offset });
+    e.preventDefault();
+  }, [offset]);
+  
+  // What the active tool can use of the canvas
+  const toolCanvas = useMemo(() => ({
+    handlersRef: toolHandlersRef,
+    sceneLayerRef,
+    beginPan
+  }), [beginPan]);
+  
   /**
    * Handle mouse down events on the canvas
-   * This initiates panning or handles element deselection
+   * The middle mouse button or Alt + drag pans under any tool; other
+   * presses on the scene go to the active tool. Presses on controls over
+   * the canvas are left alone.
    * 
    * @param {MouseEvent} e - The mouse down event
    */
   const handleMouseDown = useCallback((e) => {
-    // Only pan with middle mouse button or when holding space/ctrl/alt
-    if (e.button === 1 || e.ctrlKey || e.altKey || e.shiftKey) {
-      setIsDragging(true);
-      setDragStart({ x: e.clientX, y: e.clientY });
-      setStartOffset({ ...offset });
-      e.preventDefault();
-    } else if (e.target === canvasRef.current || e.target.classList.contains('canvas-background')) {
-      // Deselect when clicking on empty canvas
-      selectElement(null);
+    if (e.button === 1 || e.altKey) {
+      beginPan(e);
+    } else if (e.target === canvasRef.current || sceneLayerRef.current.contains(e.target)) {
+      toolHandlersRef.current?.onPointerDown?.(e, getPointer(e));
     }
-  }, [offset, selectElement]);
+  }, [beginPan, getPointer]);
   
   /**
    * Handle mouse move events
-   * Updates cursor position and handles panning
+   * Updates cursor position, passes the move to the active tool and
+   * handles panning
    * 
    * @param {MouseEvent} e - The mouse move event
    */
@@ -105,13 +171,12 @@ export default function IsometricCanvas() {
       const y = e.clientY - rect.top;
       setCursorPosition({ x, y });
       
-      // Calculate grid position from screen coordinates
-      const adjustedX = (x - offset.x) / zoom;
-      const adjustedY = (y - offset.y) / zoom;
-      const gridPos = calculateGridPosition(e.clientX, e.clientY);
+      const pointer = getPointer(e);
       
       // Update cursor grid position in context
-      updateCursorGridPosition(gridPos);
+      updateCursorGridPosition(pointer.cell);
+      
+      toolHandlersRef.current?.onPointerMove?.(e, pointer);
     }
     
     // Handle dragging for pan
@@ -124,15 +189,32 @@ export default function IsometricCanvas() {
       x: startOffset.x + deltaX,
       y: startOffset.y + deltaY
     });
-  }, [isDragging, dragStart, startOffset, updateOffset, zoom, offset, calculateGridPosition, updateCursorGridPosition]);
+  }, [isDragging, dragStart, startOffset, updateOffset, getPointer, updateCursorGridPosition]);
   
   /**
    * Handle mouse up events
-   * Ends the panning operation
+   * Ends the panning operation and passes the release to the active tool
+   * 
+   * @param {MouseEvent} e - The mouse up event
    */
-  const handleMouseUp = useCallback(() => {
+  const handleMouseUp = useCallback((e) => {
     setIsDragging(false);
-  }, []);
+    
+    if (canvasRef.current) {
+      toolHandlersRef.current?.onPointerUp?.(e, getPointer(e));
+    }
+  }, [getPointer]);
+  
+  /**
+   * Handle context menu events on the canvas
+   * The active tool can use right-clicks, e.g. to cancel, by preventing
+   * the browser's context menu
+   * 
+   * @param {MouseEvent} e - The context menu event
+   */
+  const handleContextMenu = useCallback((e) => {
+    toolHandlersRef.current?.onContextMenu?.(e, getPointer(e));
+  }, [getPointer]);
   
   /**
    * Handle mouse wheel events for zooming
@@ -248,6 +330,8 @@ export default function IsometricCanvas() {
     // The actual drag handling is in the useDragDrop hook
   };
   
+  const ToolComponent = tool.Component;
+  
   return (
     <Box
       ref={canvasRef}
@@ -257,8 +341,9 @@ export default function IsometricCanvas() {
       overflow="hidden"
       bg="gray.900"
       onMouseDown={handleMouseDown}
+      onContextMenu={handleContextMenu}
       onWheel={handleWheel}
-      cursor={isDragging ? 'grabbing' : 'default'}
+      cursor={isDragging ? 'grabbing' : tool.cursor}
       className="canvas-background"
       id="isometric-canvas"
       _dark={{
@@ -274,6 +359,7 @@ export default function IsometricCanvas() {
         onDragEnd={handleDragEnd}
       >
         <Box
+          ref={sceneLayerRef}
           position="absolute"
           top="50%"
           left="50%"
@@ -282,8 +368,12 @@ export default function IsometricCanvas() {
           {/* Render the isometric grid */}
           <IsometricGrid showGrid={showGrid} />
           
-          {/* Render all placed elements */}
+          {/* Render the placed elements of visible layers */}
           {elements.map((element) => {
+            const layerId = getElementLayerId(element, layers);
+            const layer = layersById.get(layerId);
+            if (layer && !layer.visible) return null;
+            
             const ElementComponent = getElementComponent(element.type);
             return (
               <ElementComponent
@@ -292,13 +382,22 @@ export default function IsometricCanvas() {
                 position={element.position}
                 rotation={element.rotation || 0}
                 scale={element.scale || 1}
+                depth={elementDepths.get(element.id)}
+                layerBand={layerBands.get(layerId) || 0}
+                variant={connectionVariants.get(element.id)}
+                opacity={layer?.opacity ?? 1}
+                isLocked={Boolean(layer?.locked)}
+                isGroupSelected={Boolean(element.groupId) && selectedGroupIds.has(element.groupId)}
               />
             );
           })}
+          
+          {/* Active tool's overlay */}
+          <ToolComponent key={tool.id} canvas={toolCanvas} tool={tool} />
         </Box>
         
-        {/* Element controls for the selected element */}
-        {selectedElementId && <ElementControls />}
+        {/* Element controls for the selected elements */}
+        {selectedElementIds.length > 0 && <ElementControls />}
       </DndContext>
     </Box>
   );
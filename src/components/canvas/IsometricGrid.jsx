@@ -2,10 +2,12 @@ import { useMemo } from 'react';
 import { Box, useColorModeValue } from '@chakra-ui/react';
 import { useScene } from '../../context/SceneContext';
 import { isometricToScreen, calculateGridDimensions } from '../../utils/isometricUtils';
+import TerrainLayer from './TerrainLayer';
 
 /**
  * IsometricGrid component renders the isometric grid that serves as the foundation
  * for element placement in the isometric scene.
+ * Raised terrain is drawn over the flat grid by the TerrainLayer.
  */
 export default function IsometricGrid({ showGrid = true }) {
   const { gridSize, tileSize, zoom, offset } = useScene();
@@ -59,6 +61,7 @@ export default function IsometricGrid({ showGrid = true }) {
         pointerEvents="none"
         opacity={showGrid ? 1 : 0}
         transition="opacity 0.2s ease"
+        zIndex={0}
       >
         {/* Render grid cells */}
         {gridCells.map((cell) => {
@@ -98,6 +101,11 @@ export default function IsometricGrid({ showGrid = true }) {
           zIndex={1000}
         />
       </Box>
+      
+      {/* Terrain heightmap */}
+      <Box position="absolute" top={0} left={0} zIndex={1} pointerEvents="none">
+        <TerrainLayer showGrid={showGrid} />
+      </Box>
     </Box>
   );
 }
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { useScene } from '../../context/SceneContext';
+import { isometricToScreen } from '../../utils/isometricUtils';
+import { getCellHeight } from '../../utils/terrainUtils';
+import SceneOverlay from './SceneOverlay';
+
+/**
+ * RouteLayer component draws the route tool's path over the scene
+ * 
+ * The path runs through the centres of its cells at terrain height, with
+ * markers on the start and end cells. It is drawn above all elements so it
+ * stays visible along roads and under trees.
+ * 
+ * @returns {JSX.Element|null} The rendered route layer
+ */
+export default function RouteLayer() {
+  const { tileSize, heightmap, route } = useScene();
+  const { start, end, path } = route;
+  
+  if (!start) return null;
+  
+  // Screen position of a cell's centre on the terrain
+  const toScreen = (cell) => isometricToScreen(
+    cell.x,
+    cell.y,
+    tileSize.width,
+    tileSize.height,
+    getCellHeight(heightmap, cell.x, cell.y)
+  );
+  
+  const markerRadius = tileSize.height / 5;
+  
+  return (
+    <SceneOverlay>
+      {path && (
+        <polyline
+          points={path.map(cell => {
+            const point = toScreen(cell);
+            return `${point.x},${point.y}`;
+          }).join(' ')}
+          fill="none"
+          stroke="#ed8936"
+          strokeWidth={4}
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeDasharray="8 6"
+        />
+      )}
+      <circle cx={toScreen(start).x} cy={toScreen(start).y} r={markerRadius} fill="#38a169" stroke="white" strokeWidth={2} />
+      {end && (
+        <circle cx={toScreen(end).x} cy={toScreen(end).y} r={markerRadius} fill="#e53e3e" stroke="white" strokeWidth={2} />
+      )}
+    </SceneOverlay>
+  );
+}
@@ -0,0 +1,56 @@
+import { Box } from '@chakra-ui/react';
+import { useScene } from '../../context/SceneContext';
+import { isometricToScreen } from '../../utils/isometricUtils';
+import { TERRAIN_MAX_HEIGHT } from '../../utils/terrainUtils';
+
+/**
+ * SceneOverlay component draws SVG shapes over the scene
+ * 
+ * Children are SVG elements positioned in unzoomed screen coordinates
+ * (see isometricToScreen), so canvas tools can draw routes, measurements
+ * and other guides at the same positions as the grid cells. The overlay
+ * covers the whole grid, leaving headroom for the highest terrain, is
+ * drawn above every element and lets pointer events through.
+ * 
+ * The overlay uses the same origin as IsometricGrid: the centre of cell (0, 0).
+ * 
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - SVG content
+ * @returns {JSX.Element} The rendered overlay
+ */
+export default function SceneOverlay({ children }) {
+  const { gridSize, tileSize, zoom, offset } = useScene();
+  
+  // Bounds of the overlay in screen space, leaving headroom for the highest terrain
+  const minX = isometricToScreen(-0.5, gridSize.height - 0.5, tileSize.width, tileSize.height).x;
+  const maxX = isometricToScreen(gridSize.width - 0.5, -0.5, tileSize.width, tileSize.height).x;
+  const minY = isometricToScreen(-0.5, -0.5, tileSize.width, tileSize.height, TERRAIN_MAX_HEIGHT + 1).y;
+  const maxY = isometricToScreen(gridSize.width - 0.5, gridSize.height - 0.5, tileSize.width, tileSize.height).y;
+  
+  const width = maxX - minX;
+  const height = maxY - minY;
+  
+  return (
+    <Box
+      position="absolute"
+      top={0}
+      left={0}
+      transform={`translate(${offset.x}px, ${offset.y}px)`}
+      zIndex={100000} // Above every element
+      pointerEvents="none"
+    >
+      <Box
+        as="svg"
+        position="absolute"
+        left={`${minX * zoom}px`}
+        top={`${minY * zoom}px`}
+        width={`${width * zoom}px`}
+        height={`${height * zoom}px`}
+        viewBox={`${minX} ${minY} ${width} ${height}`}
+        overflow="visible"
+      >
+        {children}
+      </Box>
+    </Box>
+  );
+}
@@ -0,0 +1,126 @@
+import { useMemo } from 'react';
+import { Box, useColorModeValue } from '@chakra-ui/react';
+import { useScene } from '../../context/SceneContext';
+import { isometricToScreen } from '../../utils/isometricUtils';
+import { getTileFaces, getTileSurfacePoint, hasRaisedTerrain, TERRAIN_MAX_HEIGHT } from '../../utils/terrainUtils';
+import { getGroundType, hasGroundTiles } from '../../utils/groundUtils';
+import { getTransitionShapes } from '../../utils/autotileUtils';
+import { getGroundTileMetadata } from '../elements/metadata';
+import { useGroundTransitions } from '../../hooks/useGroundTransitions';
+
+/**
+ * Convert a list of screen points to an SVG points attribute
+ */
+function toPoints(points) {
+  return points.map(point => `${point.x},${point.y}`).join(' ');
+}
+
+/**
+ * TerrainLayer component renders the ground under all elements
+ * 
+ * Each cell is drawn as its top face (flat or sloped towards higher
+ * neighbours) plus the visible side faces where it stands above the cells in
+ * front of it. Tiles are painted back to front so nearer cliffs cover the
+ * tiles behind them. Top faces are filled with the cell's ground type from
+ * the ground layer, with transition shapes drawn over them where a
+ * neighbouring type spills over (see autotileUtils).
+ * 
+ * On flat terrain only painted cells are drawn, so the plain grid shows
+ * through elsewhere. Nothing is rendered for a flat, unpainted scene.
+ * 
+ * The layer uses the same origin as IsometricGrid: the centre of cell (0, 0).
+ * 
+ * @param {Object} props - Component props
+ * @param {boolean} props.showGrid - Whether to outline the top faces
+ * @returns {JSX.Element|null} The rendered terrain layer
+ */
+export default function TerrainLayer({ showGrid = true }) {
+  const { gridSize, tileSize, zoom, heightmap, groundTiles } = useScene();
+  const transitions = useGroundTransitions(groundTiles);
+  
+  // Color mode values
+  const topColor = useColorModeValue('#c6d8a8', '#4a5d3a');
+  const leftColor = useColorModeValue('#a08866', '#5c4a36');
+  const rightColor = useColorModeValue('#8a7356', '#4a3b2b');
+  const outlineColor = useColorModeValue('rgba(0, 0, 0, 0.2)', 'rgba(255, 255, 255, 0.2)');
+  
+  // Build the faces of every tile in painting order
+  const tiles = useMemo(() => {
+    const isRaised = hasRaisedTerrain(heightmap);
+    if (!isRaised && !hasGroundTiles(groundTiles)) return [];
+    
+    const result = [];
+    
+    for (let diagonal = 0; diagonal < gridSize.width + gridSize.height - 1; diagonal++) {
+      for (let x = Math.max(0, diagonal - gridSize.height + 1); x <= Math.min(diagonal, gridSize.width - 1); x++) {
+        const y = diagonal - x;
+        const groundType = getGroundType(groundTiles, x, y);
+        
+        // Leave unpainted cells to the plain grid while the terrain is flat
+        if (!isRaised && !groundType) continue;
+        
+        const faces = getTileFaces(heightmap, x, y, tileSize.width, tileSize.height);
+        
+        // Edges and corners where neighbouring ground types spill over
+        const overlays = (transitions.get(`${x},${y}`) || []).flatMap(transition =>
+          getTransitionShapes(transition.mask, transition.blend).map(shape => ({
+            fill: getGroundTileMetadata(transition.type)?.color,
+            points: shape.map(point =>
+              getTileSurfacePoint(faces.corners, x, y, point, tileSize.width, tileSize.height)
+            )
+          }))
+        );
+        
+        result.push({
+          id: `terrain-${x}-${y}`,
+          fill: getGroundTileMetadata(groundType)?.color,
+          overlays,
+          ...faces
+        });
+      }
+    }
+    
+    return result;
+  }, [heightmap, groundTiles, transitions, gridSize, tileSize]);
+  
+  if (tiles.length === 0) return null;
+  
+  // Bounds of the layer in screen space, leaving headroom for the highest terrain
+  const minX = isometricToScreen(-0.5, gridSize.height - 0.5, tileSize.width, tileSize.height).x;
+  const maxX = isometricToScreen(gridSize.width - 0.5, -0.5, tileSize.width, tileSize.height).x;
+  const minY = isometricToScreen(-0.5, -0.5, tileSize.width, tileSize.height, TERRAIN_MAX_HEIGHT + 1).y;
+  const maxY = isometricToScreen(gridSize.width - 0.5, gridSize.height - 0.5, tileSize.width, tileSize.height).y;
+  
+  const width = maxX - minX;
+  const height = maxY - minY;
+  
+  return (
+    <Box
+      as="svg"
+      position="absolute"
+      left={`${minX * zoom}px`}
+      top={`${minY * zoom}px`}
+      width={`${width * zoom}px`}
+      height={`${height * zoom}px`}
+      viewBox={`${minX} ${minY} ${width} ${height}`}
+      pointerEvents="none"
+      overflow="visible"
+    >
+      {tiles.map(tile => (
+        <g key={tile.id}>
+          {tile.left && <polygon points={toPoints(tile.left)} fill={leftColor} />}
+          {tile.right && <polygon points={toPoints(tile.right)} fill={rightColor} />}
+          <polygon
+            points={toPoints(tile.top)}
+            fill={tile.fill || topColor}
+            stroke={showGrid ? outlineColor : 'none'}
+            strokeWidth={1}
+          />
+          {tile.overlays.map((overlay, index) => (
+            <polygon key={index} points={toPoints(overlay.points)} fill={overlay.fill} />
+          ))}
+        </g>
+      ))}
+    </Box>
+  );
+}
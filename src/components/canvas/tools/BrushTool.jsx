@@ -0,0 +1,40 @@
+import { useMemo } from 'react';
+import { useScene } from '../../../context/SceneContext';
+import { useToolHandlers } from '../../../hooks/useToolHandlers';
+import { usePaintBrush } from '../../../hooks/usePaintBrush';
+import { BRUSH_ERASER } from '../../../utils/brushUtils';
+
+/**
+ * Paint and erase tools
+ * 
+ * Both use the paint brush picked in the element or ground palette: the
+ * paint tool paints its type, and the erase tool clears the cells of its
+ * target instead (elements, unless ground tiles were picked). Strokes
+ * follow the brush's pencil, rectangle, line or fill tool (see
+ * usePaintBrush).
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.canvas - The canvas the tool is used on
+ * @param {Object} props.tool - The tool's definition; the erase tool has the ID 'erase'
+ * @returns {null} Strokes are previewed in the scene itself
+ */
+export default function BrushTool({ canvas, tool }) {
+  const { paintBrush } = useScene();
+  const isEraser = tool.id === 'erase';
+  
+  const brush = useMemo(() => (
+    isEraser ? { ...paintBrush, target: paintBrush.target || 'element', type: BRUSH_ERASER } : paintBrush
+  ), [isEraser, paintBrush]);
+  
+  const { beginStroke, continueStroke, endStroke } = usePaintBrush(brush);
+  
+  useToolHandlers(canvas, {
+    onPointerDown: (e, { cell }) => {
+      if (e.button === 0 && beginStroke(cell)) e.preventDefault();
+    },
+    onPointerMove: (e, { cell }) => continueStroke(cell),
+    onPointerUp: endStroke
+  });
+  
+  return null;
+}
@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { useScene } from '../../../context/SceneContext';
+import { useToolHandlers } from '../../../hooks/useToolHandlers';
+import { isometricToScreen } from '../../../utils/isometricUtils';
+import { getCellHeight } from '../../../utils/terrainUtils';
+import SceneOverlay from '../SceneOverlay';
+
+/**
+ * Describe the measurement between two cells
+ * 
+ * @param {Object} start - The first cell {x, y}
+ * @param {Object} end - The second cell {x, y}
+ * @param {Array} heightmap - The terrain heightmap
+ * @returns {string} - The cells spanned on each axis, the straight-line distance and any height difference
+ */
+const describeMeasurement = (start, end, heightmap) => {
+  const dx = Math.abs(end.x - start.x);
+  const dy = Math.abs(end.y - start.y);
+  const rise = getCellHeight(heightmap, end.x, end.y) - getCellHeight(heightmap, start.x, start.y);
+  
+  const label = `${dx} × ${dy} cells · ${Math.hypot(dx, dy).toFixed(1)}`;
+  return rise === 0 ? label : `${label} · ${rise > 0 ? '+' : ''}${rise} levels`;
+};
+
+/**
+ * Measure tool
+ * 
+ * Dragging from one cell to another draws a line between their centres
+ * labelled with the distance between them. The last measurement stays
+ * until the next drag starts or another tool is picked. Measuring doesn't
+ * change the scene.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.canvas - The canvas the tool is used on
+ * @returns {JSX.Element|null} The measurement overlay
+ */
+export default function MeasureTool({ canvas }) {
+  const { tileSize, heightmap } = useScene();
+  
+  // Measured cells and whether the end still follows the pointer {start, end, isDragging}
+  const [measurement, setMeasurement] = useState(null);
+  
+  useToolHandlers(canvas, {
+    onPointerDown: (e, { cell }) => {
+      if (e.button !== 0) return;
+      
+      setMeasurement({ start: cell, end: cell, isDragging: true });
+      e.preventDefault();
+    },
+    
+    onPointerMove: (e, { cell }) => {
+      if (!measurement?.isDragging) return;
+      if (measurement.end.x === cell.x && measurement.end.y === cell.y) return;
+      
+      setMeasurement(prev => ({ ...prev, end: cell }));
+    },
+    
+    onPointerUp: () => {
+      if (measurement?.isDragging) {
+        setMeasurement(prev => ({ ...prev, isDragging: false }));
+      }
+    }
+  });
+  
+  if (!measurement) return null;
+  
+  // Screen position of a cell's centre on the terrain
+  const toScreen = (cell) => isometricToScreen(
+    cell.x,
+    cell.y,
+    tileSize.width,
+    tileSize.height,
+    getCellHeight(heightmap, cell.x, cell.y)
+  );
+  
+  const start = toScreen(measurement.start);
+  const end = toScreen(measurement.end);
+  const markerRadius = tileSize.height / 6;
+  
+  return (
+    <SceneOverlay>
+      <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} stroke="#805ad5" strokeWidth={3} strokeLinecap="round" />
+      <circle cx={start.x} cy={start.y} r={markerRadius} fill="#805ad5" stroke="white" strokeWidth={2} />
+      <circle cx={end.x} cy={end.y} r={markerRadius} fill="#805ad5" stroke="white" strokeWidth={2} />
+      <text
+        x={(start.x + end.x) / 2}
+        y={(start.y + end.y) / 2 - markerRadius * 2}
+        textAnchor="middle"
+        fontSize={12}
+        fontWeight="bold"
+        fill="#553c9a"
+        stroke="white"
+        strokeWidth={3}
+        paintOrder="stroke"
+      >
+        {describeMeasurement(measurement.start, measurement.end, heightmap)}
+      </text>
+    </SceneOverlay>
+  );
+}
@@ -0,0 +1,21 @@
+import { useToolHandlers } from '../../../hooks/useToolHandlers';
+
+/**
+ * Pan tool
+ * 
+ * Dragging anywhere on the canvas moves the view. The canvas also pans
+ * with the middle mouse button or Alt + drag under any tool.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.canvas - The canvas the tool is used on
+ * @returns {null} The tool has no overlay
+ */
+export default function PanTool({ canvas }) {
+  useToolHandlers(canvas, {
+    onPointerDown: (e) => {
+      if (e.button === 0) canvas.beginPan(e);
+    }
+  });
+  
+  return null;
+}
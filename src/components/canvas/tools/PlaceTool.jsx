@@ -0,0 +1,111 @@
+import { useMemo, useState } from 'react';
+import { useScene } from '../../../context/SceneContext';
+import { useToolHandlers } from '../../../hooks/useToolHandlers';
+import { createElementAt, canPlaceElement, getFootprint } from '../../../utils/placementUtils';
+import { isometricToScreen } from '../../../utils/isometricUtils';
+import { getFootprintHeight } from '../../../utils/terrainUtils';
+import { getElementComponent } from '../../elements';
+import SceneOverlay from '../SceneOverlay';
+
+// Tints of the ghost's footprint where the element fits or is blocked
+const GHOST_TINTS = {
+  valid: { fill: 'rgba(72, 187, 120, 0.35)', stroke: '#38a169' },
+  blocked: { fill: 'rgba(245, 101, 101, 0.35)', stroke: '#e53e3e' }
+};
+
+// Drawing depth of the ghost, above every placed element
+const GHOST_DEPTH = 99000;
+
+/**
+ * Place tool
+ * 
+ * Clicking an element in the palette arms this tool with the element's
+ * type. A translucent ghost of the element then follows the cursor,
+ * snapped to the cell under it and resting on any stackable elements
+ * there; its footprint is tinted green where the element fits and red
+ * where it is blocked.
+ * 
+ * A click places the element and goes back to the select tool; holding
+ * Shift keeps the tool armed to place more. Right-clicking or Escape (see
+ * KeyboardShortcuts) cancels.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.canvas - The canvas the tool is used on
+ * @returns {JSX.Element|null} The ghost, while the pointer is over the canvas
+ */
+export default function PlaceTool({ canvas }) {
+  const {
+    paintBrush,
+    elements,
+    gridSize,
+    tileSize,
+    heightmap,
+    cursorGridPosition,
+    addElement,
+    setActiveTool
+  } = useScene();
+  const type = paintBrush.target === 'element' ? paintBrush.type : null;
+  
+  // Whether the pointer is over the canvas, where the ghost is shown
+  const [isOverCanvas, setIsOverCanvas] = useState(false);
+  
+  // Element that a click would place, and whether it fits there
+  const ghost = useMemo(() => (
+    type ? createElementAt(type, cursorGridPosition, elements, gridSize) : null
+  ), [type, cursorGridPosition, elements, gridSize]);
+  const canPlace = Boolean(ghost) && canPlaceElement(ghost, elements, gridSize);
+  
+  useToolHandlers(canvas, {
+    onPointerDown: (e, { cell }) => {
+      if (e.button !== 0 || !type) return;
+      e.preventDefault();
+      
+      if (!addElement(createElementAt(type, cell, elements, gridSize))) return;
+      
+      if (!e.shiftKey) {
+        setActiveTool('select');
+      }
+    },
+    
+    onPointerMove: (e, pointer) => setIsOverCanvas(pointer.isOverCanvas),
+    
+    onContextMenu: (e) => {
+      e.preventDefault();
+      setActiveTool('select');
+    }
+  });
+  
+  if (!ghost || !isOverCanvas) return null;
+  
+  const { position } = ghost;
+  const footprint = getFootprint(ghost);
+  const tint = canPlace ? GHOST_TINTS.valid : GHOST_TINTS.blocked;
+  const ElementComponent = getElementComponent(ghost.type);
+  
+  // Outline of the footprint at the height the element would rest at
+  const height = getFootprintHeight(heightmap, position, footprint) + position.z;
+  const outline = [
+    [position.x - 0.5, position.y - 0.5],
+    [position.x + footprint.width - 0.5, position.y - 0.5],
+    [position.x + footprint.width - 0.5, position.y + footprint.height - 0.5],
+    [position.x - 0.5, position.y + footprint.height - 0.5]
+  ].map(([x, y]) => {
+    const point = isometricToScreen(x, y, tileSize.width, tileSize.height, height);
+    return `${point.x},${point.y}`;
+  }).join(' ');
+  
+  return (
+    <>
+      <ElementComponent
+        id="placement-ghost"
+        position={position}
+        depth={GHOST_DEPTH}
+        opacity={0.6}
+        filter={`drop-shadow(0 0 6px ${tint.stroke})`}
+      />
+      <SceneOverlay>
+        <polygon points={outline} fill={tint.fill} stroke={tint.stroke} strokeWidth={2} />
+      </SceneOverlay>
+    </>
+  );
+}
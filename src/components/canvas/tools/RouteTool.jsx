@@ -0,0 +1,30 @@
+import { useScene } from '../../../context/SceneContext';
+import { useToolHandlers } from '../../../hooks/useToolHandlers';
+import RouteLayer from '../RouteLayer';
+
+/**
+ * Route tool
+ * 
+ * Clicks pick the route's start cell, then its end cell; a further click
+ * starts a new route. The cheapest path between them is drawn over the
+ * scene (see RouteLayer) and its length and cost shown in the status bar.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.canvas - The canvas the tool is used on
+ * @returns {JSX.Element} The route overlay
+ */
+export default function RouteTool({ canvas }) {
+  const { routeTool, updateRouteTool } = useScene();
+  
+  useToolHandlers(canvas, {
+    onPointerDown: (e, { cell }) => {
+      if (e.button !== 0) return;
+      
+      const isPickingEnd = routeTool.start && !routeTool.end;
+      updateRouteTool(isPickingEnd ? { end: cell } : { start: cell, end: null });
+      e.preventDefault();
+    }
+  });
+  
+  return <RouteLayer />;
+}
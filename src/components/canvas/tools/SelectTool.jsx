@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { Box } from '@chakra-ui/react';
+import { useScene } from '../../../context/SceneContext';
+import { useToolHandlers } from '../../../hooks/useToolHandlers';
+import { isPointInRect } from '../../../utils/selectionUtils';
+
+// Smallest marquee drag, in pixels; anything shorter counts as a click on the empty canvas
+const MIN_MARQUEE_SIZE = 4;
+
+/**
+ * Get the rectangle spanned by a marquee
+ * 
+ * @param {Object} marquee - The marquee's corners {start, end}
+ * @returns {Object} - The rectangle {left, top, right, bottom}
+ */
+const getMarqueeRect = (marquee) => ({
+  left: Math.min(marquee.start.x, marquee.end.x),
+  top: Math.min(marquee.start.y, marquee.end.y),
+  right: Math.max(marquee.start.x, marquee.end.x),
+  bottom: Math.max(marquee.start.y, marquee.end.y)
+});
+
+/**
+ * Select tool
+ * 
+ * Elements take pointer events under this tool, so they are selected by
+ * clicking and moved by dragging (see IsometricElement). Dragging over
+ * empty canvas draws a marquee; a plain click there clears the selection.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.canvas - The canvas the tool is used on
+ * @returns {JSX.Element|null} The selection marquee, while one is dragged
+ */
+export default function SelectTool({ canvas }) {
+  const { selectElement, selectElements } = useScene();
+  
+  // Marquee being dragged over empty canvas, in scene layer pixels {start, end}
+  const [marquee, setMarquee] = useState(null);
+  
+  /**
+   * Select the elements whose centres lie inside the marquee
+   * 
+   * Only interactive elements (see IsometricElement) are marked with their
+   * ID, so elements on locked layers are skipped.
+   * 
+   * @param {Object} rect - The marquee in scene layer pixels {left, top, right, bottom}
+   */
+  const selectElementsInRect = (rect) => {
+    const sceneLayer = canvas.sceneLayerRef.current;
+    const layerRect = sceneLayer.getBoundingClientRect();
+    const ids = [...sceneLayer.querySelectorAll('[data-element-id]')]
+      .filter(node => {
+        const nodeRect = node.getBoundingClientRect();
+        return isPointInRect({
+          x: nodeRect.left + nodeRect.width / 2 - layerRect.left,
+          y: nodeRect.top + nodeRect.height / 2 - layerRect.top
+        }, rect);
+      })
+      .map(node => node.dataset.elementId);
+    
+    selectElements(ids);
+  };
+  
+  useToolHandlers(canvas, {
+    onPointerDown: (e, { point, elementId }) => {
+      // Elements handle their own clicks and drags
+      if (e.button !== 0 || elementId) return;
+      
+      setMarquee({ start: point, end: point });
+      e.preventDefault();
+    },
+    
+    onPointerMove: (e, { point }) => {
+      if (marquee) {
+        setMarquee(prevMarquee => prevMarquee && { ...prevMarquee, end: point });
+      }
+    },
+    
+    onPointerUp: () => {
+      if (!marquee) return;
+      
+      // A marquee too small to be a drag deselects everything
+      const rect = getMarqueeRect(marquee);
+      if (rect.right - rect.left < MIN_MARQUEE_SIZE && rect.bottom - rect.top < MIN_MARQUEE_SIZE) {
+        selectElement(null);
+      } else {
+        selectElementsInRect(rect);
+      }
+      setMarquee(null);
+    }
+  });
+  
+  if (!marquee) return null;
+  
+  const rect = getMarqueeRect(marquee);
+  return (
+    <Box
+      position="absolute"
+      left={`${rect.left}px`}
+      top={`${rect.top}px`}
+      width={`${rect.right - rect.left}px`}
+      height={`${rect.bottom - rect.top}px`}
+      border="1px dashed"
+      borderColor="blue.400"
+      bg="rgba(66, 153, 225, 0.15)"
+      pointerEvents="none"
+      zIndex={100000} // Above every element
+    />
+  );
+}
@@ -0,0 +1,26 @@
+import { useToolHandlers } from '../../../hooks/useToolHandlers';
+import { useTerrainBrush } from '../../../hooks/useTerrainBrush';
+
+/**
+ * Terrain tool
+ * 
+ * Sculpts the heightmap with the terrain brush picked in the terrain
+ * panel (see useTerrainBrush).
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.canvas - The canvas the tool is used on
+ * @returns {null} Strokes are shown in the terrain itself
+ */
+export default function TerrainTool({ canvas }) {
+  const { beginStroke, continueStroke, endStroke } = useTerrainBrush();
+  
+  useToolHandlers(canvas, {
+    onPointerDown: (e, { cell }) => {
+      if (e.button === 0 && beginStroke(cell)) e.preventDefault();
+    },
+    onPointerMove: (e, { cell }) => continueStroke(cell),
+    onPointerUp: endStroke
+  });
+  
+  return null;
+}
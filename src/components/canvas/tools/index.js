@@ -0,0 +1,129 @@
+/**
+ * Canvas tools
+ * 
+ * The active tool (see SceneContext's activeTool) handles pointer input on
+ * the canvas. Each tool is a component that IsometricCanvas renders in the
+ * scene layer while the tool is active: it registers pointer handlers with
+ * useToolHandlers and returns its overlay, if any, positioned in the scene
+ * layer's pixels (or drawn with SceneOverlay in screen coordinates).
+ * Tools keep their own state, which is dropped when another tool is picked.
+ * 
+ * A tool definition has:
+ * - id: unique ID, stored as the active tool
+ * - name, icon and description: shown in the toolbar
+ * - shortcut: key that picks the tool
+ * - cursor: CSS cursor over the canvas
+ * - picksElements: whether elements take pointer events, so they can be
+ *   clicked and dragged; under other tools the pointer reaches the grid
+ * - Component: the tool component, given the canvas and its definition
+ * 
+ * New tools are added by listing them here.
+ */
+
+import SelectTool from './SelectTool';
+import PanTool from './PanTool';
+import PlaceTool from './PlaceTool';
+import BrushTool from './BrushTool';
+import TerrainTool from './TerrainTool';
+import RouteTool from './RouteTool';
+import MeasureTool from './MeasureTool';
+
+// Cursor for the erase tool: a tilted eraser, centred on the pointer
+const ERASER_CURSOR = 'url("data:image/svg+xml,%3Csvg xmlns=\'http://www.w3.org/2000/svg\' width=\'20\' height=\'20\'%3E%3Crect x=\'3\' y=\'6\' width=\'14\' height=\'8\' rx=\'2\' fill=\'%23fed7d7\' stroke=\'%23c53030\' stroke-width=\'2\' transform=\'rotate(-45 10 10)\'/%3E%3C/svg%3E") 10 10, cell';
+
+// Tool used when no other tool is picked
+export const DEFAULT_TOOL_ID = 'select';
+
+// Available tools, in toolbar order
+export const CANVAS_TOOLS = [
+  {
+    id: 'select',
+    name: 'Select',
+    icon: '🖱️',
+    shortcut: 'V',
+    cursor: 'default',
+    description: 'Click elements to select them, drag them to move them, or drag a box over empty space',
+    picksElements: true,
+    Component: SelectTool
+  },
+  {
+    id: 'pan',
+    name: 'Pan',
+    icon: '✋',
+    shortcut: 'H',
+    cursor: 'grab',
+    description: 'Drag to move the view',
+    picksElements: false,
+    Component: PanTool
+  },
+  {
+    id: 'place',
+    name: 'Place',
+    icon: '📍',
+    shortcut: 'P',
+    cursor: 'copy',
+    description: 'Click an element in the palette, then click the grid to place it; hold Shift to keep placing',
+    picksElements: false,
+    Component: PlaceTool
+  },
+  {
+    id: 'paint',
+    name: 'Paint',
+    icon: '🖌️',
+    shortcut: 'B',
+    cursor: 'cell',
+    description: 'Paint the element or ground tile picked in the palette',
+    picksElements: false,
+    Component: BrushTool
+  },
+  {
+    id: 'erase',
+    name: 'Erase',
+    icon: '🧽',
+    shortcut: 'E',
+    cursor: ERASER_CURSOR,
+    description: 'Erase elements, or ground tiles when a ground tile is picked',
+    picksElements: false,
+    Component: BrushTool
+  },
+  {
+    id: 'terrain',
+    name: 'Sculpt Terrain',
+    icon: '⛰️',
+    shortcut: 'T',
+    cursor: 'ns-resize',
+    description: 'Raise, lower, flatten or smooth the terrain with the terrain brush',
+    picksElements: false,
+    Component: TerrainTool
+  },
+  {
+    id: 'route',
+    name: 'Route',
+    icon: '🧭',
+    shortcut: 'W',
+    cursor: 'pointer',
+    description: 'Click a start and an end cell to find the cheapest walking route',
+    picksElements: false,
+    Component: RouteTool
+  },
+  {
+    id: 'measure',
+    name: 'Measure',
+    icon: '↔️',
+    shortcut: 'M',
+    cursor: 'crosshair',
+    description: 'Drag between two cells to measure the distance',
+    picksElements: false,
+    Component: MeasureTool
+  }
+];
+
+/**
+ * Get a tool's definition
+ * 
+ * @param {string} id - The tool ID
+ * @returns {Object} - The tool, or the default tool if the ID is unknown
+ */
+export const getCanvasTool = (id) => (
+  CANVAS_TOOLS.find(tool => tool.id === id) || CANVAS_TOOLS.find(tool => tool.id === DEFAULT_TOOL_ID)
+);
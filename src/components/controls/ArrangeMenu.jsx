@@ -0,0 +1,131 @@
+import {
+  Button,
+  IconButton,
+  Menu,
+  MenuButton,
+  MenuList,
+  MenuItem,
+  MenuGroup,
+  MenuDivider,
+  Tooltip,
+  useToast
+} from '@chakra-ui/react';
+import { useScene } from '../../context/SceneContext';
+import { getElementUnits } from '../../utils/groupUtils';
+import { getSelectedMembers } from '../../utils/selectionUtils';
+
+// Edges the selection can be aligned by
+const ALIGN_EDGES = [
+  { edge: 'start', label: 'Start edges' },
+  { edge: 'center', label: 'Centers' },
+  { edge: 'end', label: 'End edges' }
+];
+
+/**
+ * Menu of commands that arrange the selected elements
+ * 
+ * Aligning needs at least two units (groups or ungrouped elements) and
+ * distributing at least three. Each command is a single undo step.
+ * 
+ * @param {Object} props - Component props
+ * @param {boolean} props.isCompact - Whether to show an icon button instead of a labelled one
+ */
+export default function ArrangeMenu({ isCompact = false }) {
+  const {
+    elements,
+    layers,
+    selectedElementIds,
+    alignSelectedElements,
+    distributeSelectedElements,
+    mirrorSelectedElements,
+    rotateSelectedElements
+  } = useScene();
+  const toast = useToast();
+  
+  const unitCount = getElementUnits(getSelectedMembers(elements, selectedElementIds, layers)).length;
+  
+  // Run a command, warning when the arranged elements don't fit
+  const runCommand = (command) => {
+    if (command()) return;
+    
+    toast({
+      title: 'Can\'t arrange the selection',
+      description: 'The elements would overlap other elements or leave the grid.',
+      status: 'warning',
+      duration: 3000,
+      isClosable: true
+    });
+  };
+  
+  return (
+    <Menu>
+      <Tooltip label="Arrange Selection">
+        {isCompact ? (
+          <MenuButton
+            as={IconButton}
+            aria-label="Arrange"
+            icon={<span>📐</span>}
+            size="sm"
+            variant="outline"
+            isDisabled={unitCount === 0}
+          />
+        ) : (
+          <MenuButton
+            as={Button}
+            size="sm"
+            variant="solid"
+            colorScheme="whiteAlpha"
+            rightIcon={<span>▼</span>}
+            isDisabled={unitCount === 0}
+          >
+            Arrange
+          </MenuButton>
+        )}
+      </Tooltip>
+      <MenuList fontSize="sm">
+        {['x', 'y'].map(axis => (
+          <MenuGroup key={axis} title={`Align along ${axis.toUpperCase()}`}>
+            {ALIGN_EDGES.map(({ edge, label }) => (
+              <MenuItem
+                key={edge}
+                isDisabled={unitCount < 2}
+                onClick={() => runCommand(() => alignSelectedElements(axis, edge))}
+              >
+                {label}
+              </MenuItem>
+            ))}
+          </MenuGroup>
+        ))}
+        <MenuDivider />
+        <MenuGroup title="Distribute evenly">
+          {['x', 'y'].map(axis => (
+            <MenuItem
+              key={axis}
+              isDisabled={unitCount < 3}
+              onClick={() => runCommand(() => distributeSelectedElements(axis))}
+            >
+              Along {axis.toUpperCase()}
+            </MenuItem>
+          ))}
+        </MenuGroup>
+        <MenuDivider />
+        <MenuGroup title="Mirror">
+          {['x', 'y'].map(axis => (
+            <MenuItem key={axis} onClick={() => runCommand(() => mirrorSelectedElements(axis))}>
+              Flip along {axis.toUpperCase()}
+            </MenuItem>
+          ))}
+        </MenuGroup>
+        <MenuDivider />
+        <MenuGroup title="Rotate around center">
+          <MenuItem command="R" onClick={() => runCommand(() => rotateSelectedElements(90))}>
+            90° clockwise
+          </MenuItem>
+          <MenuItem command="Shift+R" onClick={() => runCommand(() => rotateSelectedElements(-90))}>
+            90° anticlockwise
+          </MenuItem>
+        </MenuGroup>
+      </MenuList>
+    </Menu>
+  );
+}
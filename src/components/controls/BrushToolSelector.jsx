@@ -0,0 +1,36 @@
+import { ButtonGroup, IconButton, Tooltip } from '@chakra-ui/react';
+import { useScene } from '../../context/SceneContext';
+
+// Tool buttons shown in the selector
+const TOOL_OPTIONS = [
+  { tool: 'pencil', label: 'Pencil', icon: '✏️', description: 'Paint every cell the pointer crosses' },
+  { tool: 'rectangle', label: 'Rectangle', icon: '▭', description: 'Drag to fill a rectangle of cells' },
+  { tool: 'line', label: 'Line', icon: '╱', description: 'Drag to paint a straight line of cells' },
+  { tool: 'fill', label: 'Fill', icon: '🪣', description: 'Fill a connected region of same-type cells' }
+];
+
+/**
+ * Selector for the tool used by the paint brush
+ * 
+ * The tool is shared between the ground and element palettes.
+ */
+export default function BrushToolSelector() {
+  const { paintBrush, updatePaintBrush } = useScene();
+  
+  return (
+    <ButtonGroup size="sm" isAttached variant="outline" width="100%" mb={3}>
+      {TOOL_OPTIONS.map((option) => (
+        <Tooltip key={option.tool} label={option.description} placement="bottom" hasArrow openDelay={500}>
+          <IconButton
+            flex={1}
+            icon={<span>{option.icon}</span>}
+            aria-label={option.label}
+            variant={paintBrush.tool === option.tool ? 'solid' : 'outline'}
+            colorScheme="blue"
+            onClick={() => updatePaintBrush({ tool: option.tool })}
+          />
+        </Tooltip>
+      ))}
+    </ButtonGroup>
+  );
+}
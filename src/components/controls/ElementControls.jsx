@@ -18,23 +18,49 @@ import {
   SliderThumb,
   HStack,
   useColorModeValue,
-  Badge
+  Badge,
+  Select,
+  Button,
+  useToast
 } from '@chakra-ui/react';
 import { useState } from 'react';
 import { useScene } from '../../context/SceneContext';
+import { getElementLayerId } from '../../utils/layerUtils';
+import { getGroupMembers } from '../../utils/groupUtils';
+import { getPrefabInstances } from '../../utils/prefabUtils';
+import { getSelectedMembers } from '../../utils/selectionUtils';
+import { describeElements } from '../../utils/historyUtils';
+import ArrangeMenu from './ArrangeMenu';
 
 /**
  * Enhanced controls for manipulating selected elements
+ * 
+ * Every operation applies to the whole selection, including the other
+ * members of selected groups, as a single undo step.
  */
 export default function ElementControls() {
   const { 
     elements, 
+    selectedElementIds, 
     selectedElementId, 
-    updateElement, 
-    removeElement 
+    removeSelectedElements,
+    duplicateSelectedElements,
+    copySelectedElements,
+    cutSelectedElements,
+    changeSelectedElevation,
+    rotateSelectedElements,
+    scaleSelectedElements,
+    moveSelectedToLayer,
+    groupSelectedElements,
+    layers,
+    ungroupElement,
+    prefabs,
+    saveGroupAsPrefab,
+    updatePrefabFromGroup
   } = useScene();
+  const toast = useToast();
   
-  // Find the selected element
+  // Find the primary selected element
   const selectedElement = elements.find(el => el.id === selectedElementId);
   
   // Local state for scale
@@ -50,23 +76,95 @@ export default function ElementControls() {
     setScale(selectedElement.scale || 1);
   }
   
-  // Handle rotation
+  // Elements affected by the controls, and the layers they are on
+  const selectedMembers = getSelectedMembers(elements, selectedElementIds, layers);
+  const isMultiple = selectedElementIds.length > 1;
+  const memberLayerIds = new Set(selectedMembers.map(element => getElementLayerId(element, layers)));
+  
+  // Group and prefab the selected element belongs to; groups are managed
+  // here when the selection is a single group
+  const groupMembers = getGroupMembers(elements, selectedElementId);
+  const isSingleGroup = groupMembers.length > 1 && groupMembers.length === selectedMembers.length;
+  const prefab = prefabs.find(p => p.id === selectedElement.prefabId);
+  
+  // Handle rotation (the selection turns as one unit)
   const handleRotate = (degrees) => {
-    const currentRotation = selectedElement.rotation || 0;
-    const newRotation = (currentRotation + degrees) % 360;
-    updateElement(selectedElementId, { rotation: newRotation });
+    rotateSelectedElements(degrees);
+  };
+  
+  // Handle saving the group as a prefab
+  const handleSavePrefab = () => {
+    const name = window.prompt('Prefab name', 'New Prefab');
+    if (!name || !name.trim()) return;
+    
+    saveGroupAsPrefab(selectedElementId, name.trim());
+    toast({
+      title: 'Prefab saved',
+      description: `"${name.trim()}" has been added to the element palette.`,
+      status: 'success',
+      duration: 3000,
+      isClosable: true
+    });
+  };
+  
+  // Handle updating the prefab from this instance, and optionally its other instances
+  const handleUpdatePrefab = () => {
+    const otherInstances = getPrefabInstances(elements, prefab.id).size - 1;
+    const updateInstances = otherInstances > 0 &&
+      window.confirm(`Also update the ${otherInstances} other placed instance(s) of "${prefab.name}"?`);
+    const { updated, skipped } = updatePrefabFromGroup(selectedElementId, updateInstances);
+    
+    toast({
+      title: 'Prefab updated',
+      description: skipped > 0
+        ? `${updated} instance(s) updated; ${skipped} no longer fit and were left unchanged.`
+        : `"${prefab.name}" now matches this group${updated > 0 ? ` and ${updated} other instance(s)` : ''}.`,
+      status: skipped > 0 ? 'warning' : 'success',
+      duration: 4000,
+      isClosable: true
+    });
+  };
+  
+  // Handle raising and lowering
+  const handleElevation = (levels) => {
+    changeSelectedElevation(levels);
   };
   
   // Handle scale change
   const handleScaleChange = (newScale) => {
     setScale(newScale);
-    updateElement(selectedElementId, { scale: newScale });
+    scaleSelectedElements(newScale);
+  };
+  
+  // Handle moving the selection to another layer
+  // Elements can't stay selected on hidden or locked layers
+  const handleLayerChange = (e) => {
+    moveSelectedToLayer(e.target.value);
+  };
+  
+  // Handle copying and cutting to the system clipboard
+  const handleCopy = async (cut) => {
+    const text = copySelectedElements();
+    try {
+      await navigator.clipboard.writeText(text);
+      if (cut) cutSelectedElements();
+    } catch (error) {
+      console.error('Error writing to the clipboard:', error);
+      toast({
+        title: 'Couldn\'t copy',
+        description: 'The browser didn\'t allow access to the clipboard. Try Ctrl+C instead.',
+        status: 'error',
+        duration: 3000,
+        isClosable: true
+      });
+    }
   };
   
   // Handle deletion
   const handleDelete = () => {
-    if (window.confirm(`Delete this ${selectedElement.type}?`)) {
-      removeElement(selectedElementId);
+    const description = selectedMembers.length === 1 ? `this ${selectedElement.type}` : describeElements(selectedMembers);
+    if (window.confirm(`Delete ${description}?`)) {
+      removeSelectedElements();
     }
   };
   
@@ -92,16 +190,34 @@ export default function ElementControls() {
       <Flex direction="column" gap={2}>
         {/* Element info */}
         <Flex justify="space-between" align="center" px={2}>
-          <HStack>
-            <Text fontSize="sm" fontWeight="medium">
-              {selectedElement.type.charAt(0).toUpperCase() + selectedElement.type.slice(1)}
-            </Text>
-            <Badge colorScheme="blue" fontSize="xs">
-              {selectedElement.position.x}, {selectedElement.position.y}
-            </Badge>
-          </HStack>
+          {isMultiple ? (
+            <HStack>
+              <Text fontSize="sm" fontWeight="medium">
+                {selectedElementIds.length} selected
+              </Text>
+              {selectedMembers.length > selectedElementIds.length && (
+                <Badge colorScheme="green" fontSize="xs">
+                  {selectedMembers.length} with groups
+                </Badge>
+              )}
+            </HStack>
+          ) : (
+            <HStack>
+              <Text fontSize="sm" fontWeight="medium">
+                {selectedElement.name || selectedElement.type.charAt(0).toUpperCase() + selectedElement.type.slice(1)}
+              </Text>
+              <Badge colorScheme="blue" fontSize="xs">
+                {selectedElement.position.x}, {selectedElement.position.y}
+              </Badge>
+              {selectedElement.position.z > 0 && (
+                <Badge colorScheme="purple" fontSize="xs">
+                  z {selectedElement.position.z}
+                </Badge>
+              )}
+            </HStack>
+          )}
           
-          <Tooltip label="Delete" placement="top">
+          <Tooltip label="Delete (Delete)" placement="top">
             <IconButton
               aria-label="Delete"
               icon={<span>🗑️</span>}
@@ -113,11 +229,69 @@ export default function ElementControls() {
           </Tooltip>
         </Flex>
         
+        {/* Layer */}
+        <Select
+          size="sm"
+          value={memberLayerIds.size === 1 ? [...memberLayerIds][0] : ''}
+          placeholder={memberLayerIds.size === 1 ? undefined : 'Several layers'}
+          onChange={handleLayerChange}
+          aria-label="Layer"
+        >
+          {layers.map(layer => (
+            <option key={layer.id} value={layer.id}>
+              {layer.name}{layer.locked ? ' (locked)' : ''}{layer.visible ? '' : ' (hidden)'}
+            </option>
+          ))}
+        </Select>
+        
+        {/* Group */}
+        {isSingleGroup ? (
+          <Flex justify="space-between" align="center" gap={2} px={2}>
+            <HStack>
+              <Badge colorScheme="green" fontSize="xs">
+                Group · {groupMembers.length}
+              </Badge>
+              {prefab && (
+                <Badge colorScheme="orange" fontSize="xs" noOfLines={1}>
+                  🧩 {prefab.name}
+                </Badge>
+              )}
+            </HStack>
+            <HStack spacing={1}>
+              {prefab ? (
+                <Button size="xs" variant="outline" onClick={handleUpdatePrefab}>
+                  Update Prefab
+                </Button>
+              ) : (
+                <Button size="xs" variant="outline" onClick={handleSavePrefab}>
+                  Save as Prefab
+                </Button>
+              )}
+              <Button size="xs" variant="ghost" onClick={() => ungroupElement(selectedElementId)}>
+                Ungroup
+              </Button>
+            </HStack>
+          </Flex>
+        ) : isMultiple ? (
+          <Flex justify="space-between" align="center" gap={2} px={2}>
+            <Text fontSize="xs" color="gray.500">
+              Shift-click to add or remove elements
+            </Text>
+            <Button size="xs" variant="outline" onClick={groupSelectedElements}>
+              Group (Ctrl+G)
+            </Button>
+          </Flex>
+        ) : (
+          <Text fontSize="xs" color="gray.500" px={2}>
+            Shift-click or drag over empty space to select more elements
+          </Text>
+        )}
+        
         {/* Controls */}
         <Flex justify="space-between" align="center">
           {/* Rotation controls */}
           <ButtonGroup size="sm" isAttached variant="outline">
-            <Tooltip label="Rotate Left" placement="top">
+            <Tooltip label="Rotate Left (Shift+R)" placement="top">
               <IconButton
                 aria-label="Rotate Left"
                 icon={<span>↺</span>}
@@ -125,7 +299,7 @@ export default function ElementControls() {
               />
             </Tooltip>
             
-            <Tooltip label="Rotate Right" placement="top">
+            <Tooltip label="Rotate Right (R)" placement="top">
               <IconButton
                 aria-label="Rotate Right"
                 icon={<span>↻</span>}
@@ -134,6 +308,26 @@ export default function ElementControls() {
             </Tooltip>
           </ButtonGroup>
           
+          {/* Elevation controls */}
+          <ButtonGroup size="sm" isAttached variant="outline">
+            <Tooltip label="Lower (Page Down)" placement="top">
+              <IconButton
+                aria-label="Lower"
+                icon={<span>⤓</span>}
+                onClick={() => handleElevation(-1)}
+                isDisabled={!selectedMembers.some(element => element.position.z)}
+              />
+            </Tooltip>
+            
+            <Tooltip label="Raise (Page Up)" placement="top">
+              <IconButton
+                aria-label="Raise"
+                icon={<span>⤒</span>}
+                onClick={() => handleElevation(1)}
+              />
+            </Tooltip>
+          </ButtonGroup>
+          
           {/* Scale control */}
           <Popover placement="top">
             <PopoverTrigger>
@@ -171,17 +365,38 @@ export default function ElementControls() {
             </PopoverContent>
           </Popover>
           
+          {/* Align, distribute and mirror */}
+          <ArrangeMenu isCompact />
+          
+          {/* Clipboard buttons */}
+          <Tooltip label="Copy (Ctrl+C)" placement="top">
+            <IconButton
+              aria-label="Copy"
+              icon={<span>📄</span>}
+              size="sm"
+              variant="outline"
+              onClick={() => handleCopy(false)}
+            />
+          </Tooltip>
+          
+          <Tooltip label="Cut (Ctrl+X)" placement="top">
+            <IconButton
+              aria-label="Cut"
+              icon={<span>✂️</span>}
+              size="sm"
+              variant="outline"
+              onClick={() => handleCopy(true)}
+            />
+          </Tooltip>
+          
           {/* Clone button */}
-          <Tooltip label="Duplicate" placement="top">
+          <Tooltip label="Duplicate (Ctrl+D)" placement="top">
             <IconButton
               aria-label="Duplicate"
               icon={<span>📋</span>}
               size="sm"
               variant="outline"
-              onClick={() => {
-                // We'll need to add this functionality to SceneContext
-                console.log('Duplicate element');
-              }}
+              onClick={duplicateSelectedElements}
             />
           </Tooltip>
         </Flex>
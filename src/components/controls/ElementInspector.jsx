@@ -0,0 +1,277 @@
+import {
+  Box,
+  Flex,
+  Heading,
+  Text,
+  Input,
+  Textarea,
+  Select,
+  Switch,
+  Button,
+  IconButton,
+  Tag,
+  TagLabel,
+  TagCloseButton,
+  Wrap,
+  WrapItem,
+  FormControl,
+  FormLabel,
+  NumberInput,
+  NumberInputField,
+  Divider,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { useState } from 'react';
+import { useScene } from '../../context/SceneContext';
+import { getElementMetadata } from '../elements/metadata';
+import {
+  PROPERTY_TYPES,
+  getPropertySchema,
+  getElementProperties,
+  coercePropertyValue,
+  normalizeTags,
+  addCustomProperty,
+  removeCustomProperty
+} from '../../utils/propertyUtils';
+
+/**
+ * Input for one property field
+ * 
+ * Text and number inputs commit their value when they lose focus, so typing
+ * doesn't add an undo step per keystroke.
+ */
+function PropertyInput({ field, value, onChange }) {
+  switch (field.type) {
+    case 'boolean':
+      return (
+        <Switch
+          isChecked={value}
+          onChange={(e) => onChange(e.target.checked)}
+        />
+      );
+    case 'enum':
+      return (
+        <Select size="sm" value={value} onChange={(e) => onChange(e.target.value)}>
+          {field.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </Select>
+      );
+    case 'number':
+      return (
+        <NumberInput
+          key={value}
+          size="sm"
+          defaultValue={value}
+          onBlur={(e) => onChange(e.target.value)}
+        >
+          <NumberInputField />
+        </NumberInput>
+      );
+    default:
+      return (
+        <Input
+          key={value}
+          size="sm"
+          defaultValue={value}
+          onBlur={(e) => onChange(e.target.value)}
+        />
+      );
+  }
+}
+
+/**
+ * Inspector panel for the selected element's metadata
+ * 
+ * Edits the display name, tags, notes and typed custom properties of the
+ * selected element. Properties declared by the element's type are always
+ * listed; extra properties can be added to a single element.
+ */
+export default function ElementInspector() {
+  const { elements, selectedElementId, updateElement } = useScene();
+  const [newTag, setNewTag] = useState('');
+  const [newField, setNewField] = useState({ key: '', type: 'string', options: '' });
+  
+  // Color mode values
+  const bgColor = useColorModeValue('white', 'gray.800');
+  const borderColor = useColorModeValue('gray.200', 'gray.700');
+  const headingColor = useColorModeValue('gray.700', 'gray.200');
+  
+  const element = elements.find(el => el.id === selectedElementId);
+  if (!element) return null;
+  
+  const schema = getPropertySchema(element);
+  const values = getElementProperties(element);
+  const typeName = getElementMetadata(element.type)?.name || element.type;
+  
+  // Update a single text field when its value changed
+  const handleTextChange = (key, value) => {
+    if ((element[key] || '') !== value) {
+      updateElement(element.id, { [key]: value });
+    }
+  };
+  
+  // Set the value of a property
+  const handlePropertyChange = (field, value) => {
+    const coerced = coercePropertyValue(field, value);
+    if (coerced !== values[field.key]) {
+      updateElement(element.id, { properties: { ...values, [field.key]: coerced } });
+    }
+  };
+  
+  // Add the typed tag
+  const handleAddTag = () => {
+    const tags = normalizeTags([...(element.tags || []), newTag]);
+    if (tags.length !== (element.tags || []).length) {
+      updateElement(element.id, { tags });
+    }
+    setNewTag('');
+  };
+  
+  // Add a custom property field to this element
+  const handleAddField = () => {
+    const updates = addCustomProperty(element, {
+      key: newField.key,
+      type: newField.type,
+      options: newField.options.split(',')
+    });
+    if (!updates) return;
+    
+    updateElement(element.id, updates);
+    setNewField({ key: '', type: 'string', options: '' });
+  };
+  
+  return (
+    <Box
+      width="280px"
+      height="100%"
+      overflow="auto"
+      bg={bgColor}
+      borderLeft="1px solid"
+      borderColor={borderColor}
+      p={4}
+      display={{ base: 'none', lg: 'block' }}
+    >
+      <Heading size="sm" mb={1}>Inspector</Heading>
+      <Text fontSize="xs" color="gray.500" mb={4} noOfLines={1}>
+        {typeName} · {element.id}
+      </Text>
+      
+      <FormControl mb={3}>
+        <FormLabel fontSize="sm">Name</FormLabel>
+        <Input
+          key={`${element.id}-${element.name}`}
+          size="sm"
+          placeholder={typeName}
+          defaultValue={element.name || ''}
+          onBlur={(e) => handleTextChange('name', e.target.value.trim())}
+        />
+      </FormControl>
+      
+      <FormControl mb={3}>
+        <FormLabel fontSize="sm">Tags</FormLabel>
+        <Wrap mb={2}>
+          {(element.tags || []).map(tag => (
+            <WrapItem key={tag}>
+              <Tag size="sm" colorScheme="blue" borderRadius="full">
+                <TagLabel>{tag}</TagLabel>
+                <TagCloseButton
+                  onClick={() => updateElement(element.id, { tags: element.tags.filter(t => t !== tag) })}
+                />
+              </Tag>
+            </WrapItem>
+          ))}
+        </Wrap>
+        <Input
+          size="sm"
+          placeholder="Add a tag and press Enter"
+          value={newTag}
+          onChange={(e) => setNewTag(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAddTag()}
+        />
+      </FormControl>
+      
+      <FormControl mb={3}>
+        <FormLabel fontSize="sm">Notes</FormLabel>
+        <Textarea
+          key={`${element.id}-${element.notes}`}
+          size="sm"
+          rows={3}
+          defaultValue={element.notes || ''}
+          onBlur={(e) => handleTextChange('notes', e.target.value)}
+        />
+      </FormControl>
+      
+      <Divider my={4} />
+      
+      <Heading size="xs" mb={2} color={headingColor}>Properties</Heading>
+      {schema.length === 0 && (
+        <Text fontSize="xs" color="gray.500" mb={2}>No properties yet</Text>
+      )}
+      {schema.map(field => (
+        <FormControl key={`${element.id}-${field.key}`} mb={2}>
+          <Flex align="center" justify="space-between">
+            <FormLabel fontSize="sm" mb={1}>
+              {field.label || field.key}
+              <Text as="span" fontSize="xs" color="gray.500" ml={1}>{field.type}</Text>
+            </FormLabel>
+            {field.isCustom && (
+              <IconButton
+                aria-label={`Remove ${field.key}`}
+                icon={<span>✕</span>}
+                size="xs"
+                variant="ghost"
+                onClick={() => updateElement(element.id, removeCustomProperty(element, field.key))}
+              />
+            )}
+          </Flex>
+          <PropertyInput
+            field={field}
+            value={values[field.key]}
+            onChange={(value) => handlePropertyChange(field, value)}
+          />
+        </FormControl>
+      ))}
+      
+      <Box mt={4} p={2} borderWidth="1px" borderColor={borderColor} borderRadius="md">
+        <Text fontSize="xs" fontWeight="medium" mb={2}>Add property</Text>
+        <Flex gap={2} mb={2}>
+          <Input
+            size="sm"
+            placeholder="Key"
+            value={newField.key}
+            onChange={(e) => setNewField({ ...newField, key: e.target.value })}
+          />
+          <Select
+            size="sm"
+            width="110px"
+            value={newField.type}
+            onChange={(e) => setNewField({ ...newField, type: e.target.value })}
+          >
+            {PROPERTY_TYPES.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </Select>
+        </Flex>
+        {newField.type === 'enum' && (
+          <Input
+            size="sm"
+            mb={2}
+            placeholder="Options, comma separated"
+            value={newField.options}
+            onChange={(e) => setNewField({ ...newField, options: e.target.value })}
+          />
+        )}
+        <Button
+          size="sm"
+          width="100%"
+          colorScheme="blue"
+          onClick={handleAddField}
+          isDisabled={!newField.key.trim()}
+        >
+          Add
+        </Button>
+      </Box>
+    </Box>
+  );
+}
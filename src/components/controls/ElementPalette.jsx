@@ -8,15 +8,22 @@ import {
   Heading,
   Divider,
   Flex,
+  Button,
+  IconButton,
   useColorModeValue
 } from '@chakra-ui/react';
 import { useDraggable } from '@dnd-kit/core';
+import { useScene } from '../../context/SceneContext';
 import { ELEMENT_METADATA } from '../elements';
+import BrushToolSelector from './BrushToolSelector';
 
 /**
  * Draggable element item for the palette
+ * 
+ * Clicking the item arms the place tool with the element's type; the
+ * brush button picks the paint tool with it instead.
  */
-function DraggableElementItem({ element }) {
+function DraggableElementItem({ element, isArmed, isBrushSelected, onArm, onSelectBrush }) {
   const { attributes, listeners, setNodeRef, isDragging } = useDraggable({
     id: `palette-${element.id}`,
     data: {
@@ -30,6 +37,7 @@ function DraggableElementItem({ element }) {
   const hoverBgColor = useColorModeValue('gray.50', 'gray.600');
   const borderColor = useColorModeValue('gray.200', 'gray.600');
   const hoverBorderColor = useColorModeValue('blue.300', 'blue.400');
+  const selectedBorderColor = useColorModeValue('blue.400', 'blue.300');
   
   return (
     <Tooltip 
@@ -52,10 +60,30 @@ function DraggableElementItem({ element }) {
           borderColor: hoverBorderColor,
           bg: hoverBgColor
         }}
-        borderColor={borderColor}
+        borderColor={isArmed || isBrushSelected ? selectedBorderColor : borderColor}
+        boxShadow={isArmed ? 'outline' : undefined}
+        position="relative"
+        onClick={onArm}
         {...attributes}
         {...listeners}
       >
+        <IconButton
+          icon={<span>🖌️</span>}
+          aria-label={`Paint ${element.name}`}
+          title={`Paint ${element.name} with the active tool`}
+          size="xs"
+          variant={isBrushSelected ? 'solid' : 'ghost'}
+          colorScheme="blue"
+          position="absolute"
+          top={1}
+          right={1}
+          zIndex={1}
+          onPointerDown={(e) => e.stopPropagation()} // Don't start a drag from the button
+          onClick={(e) => {
+            e.stopPropagation(); // Don't arm the place tool as well
+            onSelectBrush();
+          }}
+        />
         <Flex direction="column" align="center">
           <Box
             height="60px"
@@ -88,6 +116,78 @@ function DraggableElementItem({ element }) {
   );
 }
 
+/**
+ * Draggable prefab item for the palette
+ * 
+ * Prefabs are dropped onto the grid like elements. The buttons rename the
+ * prefab or remove it from the library.
+ */
+function DraggablePrefabItem({ prefab, onRename, onRemove }) {
+  const { attributes, listeners, setNodeRef, isDragging } = useDraggable({
+    id: `palette-prefab-${prefab.id}`,
+    data: {
+      prefabId: prefab.id,
+      isNew: true
+    }
+  });
+  
+  // Color mode values
+  const bgColor = useColorModeValue('white', 'gray.700');
+  const hoverBgColor = useColorModeValue('gray.50', 'gray.600');
+  const borderColor = useColorModeValue('gray.200', 'gray.600');
+  const hoverBorderColor = useColorModeValue('blue.300', 'blue.400');
+  
+  return (
+    <Box
+      ref={setNodeRef}
+      p={2}
+      borderWidth="1px"
+      borderRadius="md"
+      bg={bgColor}
+      borderColor={borderColor}
+      cursor="grab"
+      opacity={isDragging ? 0.5 : 1}
+      transition="all 0.2s"
+      _hover={{ 
+        boxShadow: "md",
+        borderColor: hoverBorderColor,
+        bg: hoverBgColor
+      }}
+      {...attributes}
+      {...listeners}
+    >
+      <Flex align="center" gap={2}>
+        <Text fontSize="xl">🧩</Text>
+        <Box flex="1" minWidth={0}>
+          <Text fontSize="xs" fontWeight="medium" noOfLines={1}>
+            {prefab.name}
+          </Text>
+          <Text fontSize="xs" color="gray.500">
+            {prefab.elements.length} elements · {prefab.size.width}×{prefab.size.height}
+          </Text>
+        </Box>
+        <IconButton
+          icon={<span>✏️</span>}
+          aria-label={`Rename ${prefab.name}`}
+          size="xs"
+          variant="ghost"
+          onPointerDown={(e) => e.stopPropagation()} // Don't start a drag from the button
+          onClick={onRename}
+        />
+        <IconButton
+          icon={<span>🗑️</span>}
+          aria-label={`Remove ${prefab.name}`}
+          size="xs"
+          variant="ghost"
+          colorScheme="red"
+          onPointerDown={(e) => e.stopPropagation()}
+          onClick={onRemove}
+        />
+      </Flex>
+    </Box>
+  );
+}
+
 /**
  * Groups elements by category
  */
@@ -109,6 +209,16 @@ function groupElementsByCategory(elements) {
  * Enhanced palette of available elements that can be dragged onto the canvas
  */
 export default function ElementPalette() {
+  const { 
+    paintBrush, 
+    updatePaintBrush, 
+    activeTool, 
+    setActiveTool, 
+    prefabs, 
+    renamePrefab, 
+    removePrefab 
+  } = useScene();
+  
   // Add categories to elements for organization
   const elementsWithCategories = ELEMENT_METADATA.map(element => ({
     ...element,
@@ -125,6 +235,58 @@ export default function ElementPalette() {
   const borderColor = useColorModeValue('gray.200', 'gray.700');
   const headingColor = useColorModeValue('gray.700', 'gray.200');
   
+  const isSelected = (type) => activeTool === 'paint' && paintBrush.target === 'element' && paintBrush.type === type;
+  const isArmed = (type) => activeTool === 'place' && paintBrush.target === 'element' && paintBrush.type === type;
+  const isErasing = activeTool === 'erase' && paintBrush.target !== 'ground';
+  
+  // Pick the paint tool with an element type, or the select tool when it is already picked
+  const handleSelectBrush = (type) => {
+    if (isSelected(type)) {
+      setActiveTool('select');
+      return;
+    }
+    
+    updatePaintBrush({ target: 'element', type });
+    setActiveTool('paint');
+  };
+  
+  // Arm the place tool with an element type, or disarm it when it is already armed with it
+  const handleArm = (type) => {
+    if (isArmed(type)) {
+      setActiveTool('select');
+      return;
+    }
+    
+    updatePaintBrush({ target: 'element', type });
+    setActiveTool('place');
+  };
+  
+  // Pick the erase tool for elements, or the select tool when it is already picked
+  const handleSelectEraser = () => {
+    if (isErasing) {
+      setActiveTool('select');
+      return;
+    }
+    
+    updatePaintBrush({ target: 'element', type: paintBrush.target === 'element' ? paintBrush.type : null });
+    setActiveTool('erase');
+  };
+  
+  // Rename a prefab
+  const handleRenamePrefab = (prefab) => {
+    const name = window.prompt('Prefab name', prefab.name);
+    if (name && name.trim()) {
+      renamePrefab(prefab.id, name.trim());
+    }
+  };
+  
+  // Remove a prefab after confirmation
+  const handleRemovePrefab = (prefab) => {
+    if (window.confirm(`Remove the prefab "${prefab.name}"? Placed copies stay in their scenes.`)) {
+      removePrefab(prefab.id);
+    }
+  };
+  
   return (
     <Box
       width="100%"
@@ -132,6 +294,20 @@ export default function ElementPalette() {
       overflow="auto"
       p={2}
     >
+      <Heading size="xs" mb={2} color={headingColor}>Paint Tool</Heading>
+      <BrushToolSelector />
+      <Button
+        size="sm"
+        width="100%"
+        mb={4}
+        leftIcon={<span>🧽</span>}
+        variant={isErasing ? 'solid' : 'outline'}
+        colorScheme="red"
+        onClick={handleSelectEraser}
+      >
+        Erase Elements
+      </Button>
+      
       {Object.entries(groupedElements).map(([category, elements]) => (
         <Box key={category} mb={4}>
           <Heading 
@@ -149,7 +325,14 @@ export default function ElementPalette() {
           
           <SimpleGrid columns={2} spacing={2}>
             {elements.map((element) => (
-              <DraggableElementItem key={element.id} element={element} />
+              <DraggableElementItem
+                key={element.id}
+                element={element}
+                isArmed={isArmed(element.type)}
+                isBrushSelected={isSelected(element.type)}
+                onArm={() => handleArm(element.type)}
+                onSelectBrush={() => handleSelectBrush(element.type)}
+              />
             ))}
           </SimpleGrid>
           
@@ -160,8 +343,41 @@ export default function ElementPalette() {
         </Box>
       ))}
       
+      <Divider my={3} />
+      <Box mb={4}>
+        <Heading 
+          size="xs" 
+          mb={2} 
+          color={headingColor}
+          display="flex"
+          alignItems="center"
+        >
+          Prefabs
+          <Badge ml={2} colorScheme="orange" fontSize="xs">
+            {prefabs.length}
+          </Badge>
+        </Heading>
+        
+        {prefabs.length > 0 ? (
+          <Flex direction="column" gap={2}>
+            {prefabs.map((prefab) => (
+              <DraggablePrefabItem
+                key={prefab.id}
+                prefab={prefab}
+                onRename={() => handleRenamePrefab(prefab)}
+                onRemove={() => handleRemovePrefab(prefab)}
+              />
+            ))}
+          </Flex>
+        ) : (
+          <Text fontSize="xs" color="gray.500">
+            Group elements on the canvas and save them as a prefab to reuse them here
+          </Text>
+        )}
+      </Box>
+      
       <Box py={2} textAlign="center" fontSize="xs" color="gray.500" mt={4}>
-        <Text>Drag elements to place them on the grid</Text>
+        <Text>Click an element, then click the grid to place it (hold Shift to keep placing), drag it onto the grid, or pick 🖌️ to paint it with the active tool</Text>
       </Box>
     </Box>
   );
@@ -0,0 +1,121 @@
+import {
+  Box,
+  SimpleGrid,
+  Text,
+  Tooltip,
+  Heading,
+  Flex,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { useScene } from '../../context/SceneContext';
+import { GROUND_TILE_METADATA } from '../elements';
+import BrushToolSelector from './BrushToolSelector';
+
+/**
+ * Selectable ground tile swatch
+ */
+function GroundTileItem({ name, description, color, isSelected, onSelect }) {
+  // Color mode values
+  const bgColor = useColorModeValue('white', 'gray.700');
+  const borderColor = useColorModeValue('gray.200', 'gray.600');
+  const selectedBorderColor = useColorModeValue('blue.400', 'blue.300');
+  
+  return (
+    <Tooltip label={description} placement="top" hasArrow openDelay={500}>
+      <Box
+        p={2}
+        borderWidth="2px"
+        borderRadius="md"
+        bg={bgColor}
+        borderColor={isSelected ? selectedBorderColor : borderColor}
+        cursor="pointer"
+        transition="all 0.2s"
+        _hover={{ boxShadow: 'md' }}
+        onClick={onSelect}
+      >
+        <Flex direction="column" align="center">
+          {/* Diamond preview of the tile */}
+          <Box
+            width="32px"
+            height="32px"
+            my={2}
+            bg={color || 'transparent'}
+            border={color ? 'none' : '2px dashed'}
+            borderColor="gray.400"
+            transform="rotateX(60deg) rotateZ(-45deg)"
+          />
+          <Text fontSize="xs" fontWeight="medium" textAlign="center" noOfLines={1}>
+            {name}
+          </Text>
+        </Flex>
+      </Box>
+    </Tooltip>
+  );
+}
+
+/**
+ * Palette of ground tile types that can be painted onto the ground layer
+ */
+export default function GroundPalette() {
+  const { paintBrush, updatePaintBrush, activeTool, setActiveTool } = useScene();
+  
+  // Color mode values
+  const headingColor = useColorModeValue('gray.700', 'gray.200');
+  
+  const isSelected = (type) => activeTool === 'paint' && paintBrush.target === 'ground' && paintBrush.type === type;
+  const isErasing = activeTool === 'erase' && paintBrush.target === 'ground';
+  
+  // Pick the paint tool with a ground type, or the select tool when it is already picked
+  const handleSelect = (type) => {
+    if (isSelected(type)) {
+      setActiveTool('select');
+      return;
+    }
+    
+    updatePaintBrush({ target: 'ground', type });
+    setActiveTool('paint');
+  };
+  
+  // Pick the erase tool for ground tiles, or the select tool when it is already picked
+  const handleSelectEraser = () => {
+    if (isErasing) {
+      setActiveTool('select');
+      return;
+    }
+    
+    updatePaintBrush({ target: 'ground', type: paintBrush.target === 'ground' ? paintBrush.type : null });
+    setActiveTool('erase');
+  };
+  
+  return (
+    <Box width="100%" height="100%" overflow="auto" p={2}>
+      <Heading size="xs" mb={2} color={headingColor}>Tool</Heading>
+      <BrushToolSelector />
+      
+      <Heading size="xs" mb={2} color={headingColor}>Ground Tiles</Heading>
+      
+      <SimpleGrid columns={2} spacing={2}>
+        {GROUND_TILE_METADATA.map((tile) => (
+          <GroundTileItem
+            key={tile.id}
+            name={tile.name}
+            description={tile.description}
+            color={tile.color}
+            isSelected={isSelected(tile.type)}
+            onSelect={() => handleSelect(tile.type)}
+          />
+        ))}
+        <GroundTileItem
+          name="Eraser"
+          description="Clear painted ground"
+          isSelected={isErasing}
+          onSelect={handleSelectEraser}
+        />
+      </SimpleGrid>
+      
+      <Box py={2} textAlign="center" fontSize="xs" color="gray.500" mt={4}>
+        <Text>Select a tile and a tool, then click or drag on the grid to paint</Text>
+      </Box>
+    </Box>
+  );
+}
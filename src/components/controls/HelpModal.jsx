@@ -41,7 +41,7 @@ export default function HelpModal({ isOpen, onClose }) {
               The Isometric Scene Creator allows you to design isometric scenes by placing and arranging elements on an isometric grid.
             </Text>
             <Text>
-              Drag elements from the palette on the right side onto the canvas to place them. Click on placed elements to select them and use the controls to manipulate them.
+              Click an element in the palette and then click the grid to place it, or drag it onto the canvas. Click on placed elements to select them and use the controls to manipulate them.
             </Text>
           </Box>
           
@@ -57,9 +57,13 @@ export default function HelpModal({ isOpen, onClose }) {
                 </Tr>
               </Thead>
               <Tbody>
+                <Tr>
+                  <Td>Pick a Tool</Td>
+                  <Td>Toolbar buttons or their keys (see below)</Td>
+                </Tr>
                 <Tr>
                   <Td>Pan Canvas</Td>
-                  <Td>Middle mouse button drag or Ctrl+drag</Td>
+                  <Td>Drag with the Pan tool, or middle mouse button drag or Alt+drag with any tool</Td>
                 </Tr>
                 <Tr>
                   <Td>Zoom In/Out</Td>
@@ -69,6 +73,14 @@ export default function HelpModal({ isOpen, onClose }) {
                   <Td>Select Element</Td>
                   <Td>Click on an element</Td>
                 </Tr>
+                <Tr>
+                  <Td>Add to Selection</Td>
+                  <Td>Shift-click or Ctrl-click an element</Td>
+                </Tr>
+                <Tr>
+                  <Td>Select Several</Td>
+                  <Td>Drag a box over empty space</Td>
+                </Tr>
                 <Tr>
                   <Td>Move Element</Td>
                   <Td>Drag a selected element</Td>
@@ -101,10 +113,38 @@ export default function HelpModal({ isOpen, onClose }) {
                   <Td>Delete Selected</Td>
                   <Td>Delete or Backspace</Td>
                 </Tr>
+                <Tr>
+                  <Td>Copy / Cut Selected</Td>
+                  <Td>Ctrl+C / Ctrl+X</Td>
+                </Tr>
+                <Tr>
+                  <Td>Paste at Cursor</Td>
+                  <Td>Ctrl+V</Td>
+                </Tr>
                 <Tr>
                   <Td>Duplicate Selected</Td>
                   <Td>Ctrl+D</Td>
                 </Tr>
+                <Tr>
+                  <Td>Raise / Lower Selected</Td>
+                  <Td>Page Up / Page Down</Td>
+                </Tr>
+                <Tr>
+                  <Td>Rotate Selected</Td>
+                  <Td>R or Shift+R</Td>
+                </Tr>
+                <Tr>
+                  <Td>Group Selected</Td>
+                  <Td>Ctrl+G</Td>
+                </Tr>
+                <Tr>
+                  <Td>Select All / Invert Selection</Td>
+                  <Td>Ctrl+A / Ctrl+I</Td>
+                </Tr>
+                <Tr>
+                  <Td>Back to Select Tool / Clear Selection</Td>
+                  <Td>Escape</Td>
+                </Tr>
                 <Tr>
                   <Td>Reset View</Td>
                   <Td>Ctrl+0</Td>
@@ -121,6 +161,18 @@ export default function HelpModal({ isOpen, onClose }) {
                   <Td>Toggle Grid</Td>
                   <Td>G</Td>
                 </Tr>
+                <Tr>
+                  <Td>Select / Pan / Place Tool</Td>
+                  <Td>V / H / P</Td>
+                </Tr>
+                <Tr>
+                  <Td>Paint / Erase Tool</Td>
+                  <Td>B / E</Td>
+                </Tr>
+                <Tr>
+                  <Td>Sculpt Terrain / Route / Measure Tool</Td>
+                  <Td>T / W / M</Td>
+                </Tr>
                 <Tr>
                   <Td>Pan View</Td>
                   <Td>Arrow Keys</Td>
@@ -134,10 +186,40 @@ export default function HelpModal({ isOpen, onClose }) {
           <Box>
             <Heading size="sm" mb={2}>Tips</Heading>
             <Text mb={2}>
-              • Elements are automatically placed on the grid when dragged from the palette.
+              • After clicking a palette element, a ghost follows the cursor: green where the element fits, red where it is blocked. Hold Shift while clicking to place several, and right-click or press Escape to stop.
+            </Text>
+            <Text mb={2}>
+              • Use the rotation controls to orient elements in different directions. Turned elements show the side they face, such as the back of a building, or a mirror image when there is no sprite for that side.
+            </Text>
+            <Text mb={2}>
+              • Dropping an element onto a building, park or road stacks it on top. Use the raise and lower controls to build bridges and multi-level plazas.
+            </Text>
+            <Text mb={2}>
+              • Pick the 🧭 route tool and click two cells to see the cheapest walking route. Roads are quickest, parks slower, and buildings, water and cliffs block the way.
+            </Text>
+            <Text mb={2}>
+              • Pick 🖌️ on a palette element or choose a ground tile to paint with the pencil, rectangle, line or fill tool. Each stroke is undone in one step. The Erase tool (E) clears elements, or ground tiles after picking the ground eraser.
+            </Text>
+            <Text mb={2}>
+              • Shift-click elements or drag a box over empty space to select several, then move, rotate, raise, delete or duplicate them in one step. Group them to keep them together: groups move, rotate, duplicate and delete together, and can be saved as 🧩 prefabs that appear in the element palette.
+            </Text>
+            <Text mb={2}>
+              • The Arrange menu (📐 in the element controls) lines selected elements up along the grid X or Y axis, spaces them evenly, mirrors them or turns the whole layout around its center.
+            </Text>
+            <Text mb={2}>
+              • Copied elements are put on the clipboard as JSON. Paste them with the mouse over the grid to place them at the cursor, in another tab or scene, or into a text editor to read and edit them.
+            </Text>
+            <Text mb={2}>
+              • The Inspector next to the canvas edits the selected element's name, tags, notes and properties such as a building's floors. Everything is included in JSON exports.
+            </Text>
+            <Text mb={2}>
+              • The History tab lists every change to the scene by name. Click an entry to jump back or forward to it. Editing after an undo starts a new branch, so the undone changes stay available.
+            </Text>
+            <Text mb={2}>
+              • In the Layers tab, hide 👁️ or lock 🔒 roads, buildings, props and other layers. Locked elements can't be selected or dragged, so clicks reach whatever lies beneath them.
             </Text>
             <Text mb={2}>
-              • Use the rotation controls to orient elements in different directions.
+              • The ↔️ Measure tool (M) shows the distance between two cells, and the height difference when the terrain rises or falls.
             </Text>
             <Text mb={2}>
               • The grid can be toggled on/off for a cleaner view of your scene.
@@ -0,0 +1,163 @@
+import {
+  Box,
+  Flex,
+  Heading,
+  Text,
+  Button,
+  ButtonGroup,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  NumberInput,
+  NumberInputField,
+  Switch,
+  Divider,
+  VStack,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { useMemo } from 'react';
+import { useScene } from '../../context/SceneContext';
+import { getHistoryRows, MAX_HISTORY_ENTRIES } from '../../utils/historyUtils';
+
+/**
+ * Format the time of a history entry
+ * 
+ * @param {number} timestamp - The time of the entry in milliseconds
+ * @returns {string} - The time as hours, minutes and seconds
+ */
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], {
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+/**
+ * Panel showing the undo history as a tree
+ * 
+ * Entries are listed from oldest to newest. Editing after an undo starts
+ * a new branch, shown indented below the entry it branches from. The
+ * entry the scene is in is highlighted, entries that don't lead to it
+ * (undone commands and other branches) are dimmed, and clicking any entry
+ * moves the scene to the state right after it.
+ * 
+ * Below the tree are the settings for how much history is saved with
+ * scenes.
+ */
+export default function HistoryPanel() {
+  const {
+    history,
+    jumpToHistory,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    historySettings,
+    updateHistorySettings
+  } = useScene();
+  
+  // Color mode values
+  const headingColor = useColorModeValue('gray.700', 'gray.200');
+  const rowBorderColor = useColorModeValue('gray.200', 'gray.600');
+  const currentBg = useColorModeValue('blue.50', 'blue.900');
+  const hoverBg = useColorModeValue('gray.50', 'gray.700');
+  const timeColor = useColorModeValue('gray.500', 'gray.400');
+  
+  const rows = useMemo(() => getHistoryRows(history), [history]);
+  
+  return (
+    <Box width="100%" p={2}>
+      <Flex justify="space-between" align="center" mb={2}>
+        <Heading size="xs" color={headingColor}>History</Heading>
+        <ButtonGroup size="xs" isAttached variant="outline">
+          <Button onClick={undo} isDisabled={!canUndo}>Undo</Button>
+          <Button onClick={redo} isDisabled={!canRedo}>Redo</Button>
+        </ButtonGroup>
+      </Flex>
+      
+      <Flex direction="column" gap={1}>
+        {rows.map(({ entry, depth, startsBranch, isCurrent, isApplied }) => (
+          <Flex
+            key={entry.id}
+            as="button"
+            type="button"
+            onClick={() => jumpToHistory(entry.id)}
+            aria-current={isCurrent ? 'step' : undefined}
+            justify="space-between"
+            align="center"
+            gap={2}
+            ml={depth * 3}
+            px={2}
+            py={1}
+            textAlign="left"
+            borderWidth="1px"
+            borderColor={isCurrent ? 'blue.400' : rowBorderColor}
+            borderRadius="md"
+            bg={isCurrent ? currentBg : undefined}
+            opacity={isApplied ? 1 : 0.5}
+            _hover={{ bg: isCurrent ? currentBg : hoverBg }}
+          >
+            <Text fontSize="sm" fontWeight={isCurrent ? 'semibold' : 'normal'} noOfLines={1}>
+              {startsBranch && <Text as="span" color={timeColor} mr={1}>↳</Text>}
+              {entry.label}
+            </Text>
+            <Text fontSize="xs" color={timeColor} flexShrink={0}>
+              {formatTime(entry.timestamp)}
+            </Text>
+          </Flex>
+        ))}
+      </Flex>
+      
+      {history.entries.length === 1 && (
+        <Text fontSize="xs" color={timeColor} mt={2}>
+          Changes to the scene will be listed here.
+        </Text>
+      )}
+      
+      <Divider my={4} />
+      
+      <Heading size="xs" mb={2} color={headingColor}>Saved with scenes</Heading>
+      <VStack spacing={3} align="stretch">
+        <FormControl display="flex" alignItems="center" size="sm">
+          <FormLabel htmlFor="squash-on-save" mb="0" fontSize="sm" flex="1">
+            Squash history on save
+          </FormLabel>
+          <Switch
+            id="squash-on-save"
+            isChecked={historySettings.squashOnSave}
+            onChange={(e) => updateHistorySettings({ squashOnSave: e.target.checked })}
+          />
+        </FormControl>
+        
+        <FormControl size="sm" isDisabled={historySettings.squashOnSave}>
+          <FormLabel fontSize="sm">Undo steps</FormLabel>
+          <NumberInput
+            size="sm"
+            min={0}
+            max={MAX_HISTORY_ENTRIES}
+            precision={0}
+            value={historySettings.maxSavedSteps}
+            onChange={(_, steps) => updateHistorySettings({ maxSavedSteps: Number.isNaN(steps) ? 0 : steps })}
+          >
+            <NumberInputField />
+          </NumberInput>
+        </FormControl>
+        
+        <FormControl size="sm" isDisabled={historySettings.squashOnSave}>
+          <FormLabel fontSize="sm">Storage limit (KB)</FormLabel>
+          <NumberInput
+            size="sm"
+            min={1}
+            precision={0}
+            value={historySettings.maxSavedSizeKb}
+            onChange={(_, size) => updateHistorySettings({ maxSavedSizeKb: Number.isNaN(size) ? 1 : size })}
+          >
+            <NumberInputField />
+          </NumberInput>
+          <FormHelperText fontSize="xs">
+            The oldest steps are left out when a scene's history exceeds either limit.
+          </FormHelperText>
+        </FormControl>
+      </VStack>
+    </Box>
+  );
+}
@@ -1,24 +1,103 @@
 import { useEffect } from 'react';
+import { useToast } from '@chakra-ui/react';
 import { useScene } from '../../context/SceneContext';
+import { CANVAS_TOOLS } from '../canvas/tools';
+
+/**
+ * Check whether a clipboard event belongs to a text field or selected text
+ * 
+ * @param {ClipboardEvent} e - The clipboard event
+ * @returns {boolean} - Whether the browser should handle the event as usual
+ */
+const isTextClipboardEvent = (e) => (
+  e.target.tagName === 'INPUT' ||
+  e.target.tagName === 'TEXTAREA' ||
+  (e.type !== 'paste' && window.getSelection()?.toString() !== '')
+);
 
 /**
  * Component to handle keyboard shortcuts for the application
  * This is a non-visual component that just adds keyboard functionality
+ * 
+ * Copy, cut and paste are handled through the browser's clipboard events,
+ * so elements are exchanged through the system clipboard as JSON text
+ * (see clipboardUtils).
  */
 export default function KeyboardShortcuts() {
   const { 
     undo, 
     redo, 
     clearScene, 
-    selectedElementId, 
-    removeElement,
-    duplicateElement,
+    selectedElementIds, 
+    removeSelectedElements,
+    duplicateSelectedElements,
+    changeSelectedElevation,
+    rotateSelectedElements,
+    groupSelectedElements,
+    selectElement,
+    selectAllElements,
+    invertElementSelection,
+    copySelectedElements,
+    cutSelectedElements,
+    pasteElements,
     updateZoom,
     zoom,
     updateOffset,
     offset,
-    toggleGridVisibility
+    toggleGridVisibility,
+    activeTool,
+    setActiveTool
   } = useScene();
+  const toast = useToast();
+  
+  useEffect(() => {
+    // Ctrl/Cmd + C and Ctrl/Cmd + X: Copy or cut selected elements
+    const handleCopy = (e) => {
+      if (isTextClipboardEvent(e)) return;
+      
+      const text = e.type === 'cut' ? cutSelectedElements() : copySelectedElements();
+      if (!text) return;
+      
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', text);
+    };
+    
+    // Ctrl/Cmd + V: Paste elements at the cursor
+    const handlePaste = (e) => {
+      if (isTextClipboardEvent(e)) return;
+      
+      e.preventDefault();
+      const result = pasteElements(e.clipboardData.getData('text/plain'));
+      
+      if (!result.success) {
+        toast({
+          title: 'Nothing pasted',
+          description: result.error,
+          status: 'warning',
+          duration: 3000,
+          isClosable: true
+        });
+      } else if (result.skipped > 0) {
+        toast({
+          title: `Pasted ${result.added} element${result.added === 1 ? '' : 's'}`,
+          description: `${result.skipped} didn't fit and ${result.skipped === 1 ? 'was' : 'were'} skipped.`,
+          status: 'info',
+          duration: 3000,
+          isClosable: true
+        });
+      }
+    };
+    
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('cut', handleCopy);
+    window.addEventListener('paste', handlePaste);
+    
+    return () => {
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('cut', handleCopy);
+      window.removeEventListener('paste', handlePaste);
+    };
+  }, [copySelectedElements, cutSelectedElements, pasteElements, toast]);
   
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -39,16 +118,57 @@ export default function KeyboardShortcuts() {
         redo();
       }
       
-      // Delete or Backspace: Remove selected element
-      if ((e.key === 'Delete' || e.key === 'Backspace') && selectedElementId) {
+      const hasSelection = selectedElementIds.length > 0;
+      
+      // Delete or Backspace: Remove selected elements
+      if ((e.key === 'Delete' || e.key === 'Backspace') && hasSelection) {
         e.preventDefault();
-        removeElement(selectedElementId);
+        removeSelectedElements();
       }
       
-      // Ctrl/Cmd + D: Duplicate selected element
-      if ((e.ctrlKey || e.metaKey) && e.key === 'd' && selectedElementId) {
+      // Ctrl/Cmd + D: Duplicate selected elements
+      if ((e.ctrlKey || e.metaKey) && e.key === 'd' && hasSelection) {
         e.preventDefault();
-        duplicateElement(selectedElementId);
+        duplicateSelectedElements();
+      }
+      
+      // Page Up / Page Down: Raise or lower selected elements
+      if ((e.key === 'PageUp' || e.key === 'PageDown') && hasSelection) {
+        e.preventDefault();
+        changeSelectedElevation(e.key === 'PageUp' ? 1 : -1);
+      }
+      
+      // R / Shift + R: Rotate selected elements right or left
+      if (e.key.toLowerCase() === 'r' && !e.ctrlKey && !e.metaKey && !e.altKey && hasSelection) {
+        e.preventDefault();
+        rotateSelectedElements(e.shiftKey ? -90 : 90);
+      }
+      
+      // Ctrl/Cmd + G: Group selected elements
+      if ((e.ctrlKey || e.metaKey) && e.key === 'g' && selectedElementIds.length > 1) {
+        e.preventDefault();
+        groupSelectedElements();
+      }
+      
+      // Ctrl/Cmd + A: Select all elements
+      if ((e.ctrlKey || e.metaKey) && e.key === 'a') {
+        e.preventDefault();
+        selectAllElements();
+      }
+      
+      // Ctrl/Cmd + I: Invert the selection
+      if ((e.ctrlKey || e.metaKey) && e.key === 'i') {
+        e.preventDefault();
+        invertElementSelection();
+      }
+      
+      // Escape: Go back to the select tool (cancelling placement), or clear the selection
+      if (e.key === 'Escape') {
+        if (activeTool !== 'select') {
+          setActiveTool('select');
+        } else if (hasSelection) {
+          selectElement(null);
+        }
       }
       
       // Ctrl/Cmd + 0: Reset zoom and position
@@ -76,6 +196,14 @@ export default function KeyboardShortcuts() {
         toggleGridVisibility();
       }
       
+      // V, H, P, B, E, T, W, M: Pick a canvas tool
+      const shortcutTool = !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey &&
+        CANVAS_TOOLS.find(tool => tool.shortcut.toLowerCase() === e.key.toLowerCase());
+      if (shortcutTool) {
+        e.preventDefault();
+        setActiveTool(shortcutTool.id);
+      }
+      
       // Arrow keys: Pan the view
       if (e.key.startsWith('Arrow')) {
         const panAmount = 20;
@@ -110,14 +238,25 @@ export default function KeyboardShortcuts() {
     undo, 
     redo, 
     clearScene, 
-    selectedElementId, 
-    removeElement,
-    duplicateElement,
+    selectedElementIds, 
+    removeSelectedElements,
+    duplicateSelectedElements,
+    changeSelectedElevation,
+    rotateSelectedElements,
+    groupSelectedElements,
+    selectElement,
+    selectAllElements,
+    invertElementSelection,
+    copySelectedElements,
+    cutSelectedElements,
+    pasteElements,
     updateZoom,
     zoom,
     updateOffset,
     offset,
-    toggleGridVisibility
+    toggleGridVisibility,
+    activeTool,
+    setActiveTool
   ]);
   
   // This component doesn't render anything
@@ -0,0 +1,207 @@
+import {
+  Box,
+  Flex,
+  Heading,
+  Text,
+  Badge,
+  Button,
+  IconButton,
+  ButtonGroup,
+  Tooltip,
+  Input,
+  Editable,
+  EditablePreview,
+  EditableInput,
+  Slider,
+  SliderTrack,
+  SliderFilledTrack,
+  SliderThumb,
+  Divider,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { useState, useMemo } from 'react';
+import { useScene } from '../../context/SceneContext';
+import { getElementLayerId } from '../../utils/layerUtils';
+
+/**
+ * Panel for managing element layers
+ * 
+ * Layers are listed from top to bottom. Each layer can be shown or hidden,
+ * locked against selection and dragging, faded, renamed, reordered and
+ * drawn on top of the regular isometric order.
+ */
+export default function LayersPanel() {
+  const { layers, elements, updateLayer, moveLayer, addLayer, removeLayer } = useScene();
+  const [newLayerName, setNewLayerName] = useState('');
+  
+  // Color mode values
+  const headingColor = useColorModeValue('gray.700', 'gray.200');
+  const rowBorderColor = useColorModeValue('gray.200', 'gray.600');
+  
+  // Number of elements on each layer
+  const elementCounts = useMemo(() => {
+    const counts = new Map();
+    elements.forEach(element => {
+      const layerId = getElementLayerId(element, layers);
+      counts.set(layerId, (counts.get(layerId) || 0) + 1);
+    });
+    return counts;
+  }, [elements, layers]);
+  
+  // Add a layer with the typed name
+  const handleAddLayer = () => {
+    const name = newLayerName.trim();
+    if (!name) return;
+    
+    addLayer(name);
+    setNewLayerName('');
+  };
+  
+  // Remove a layer after confirmation
+  const handleRemoveLayer = (layer) => {
+    if (window.confirm(`Remove the ${layer.name} layer? Its elements move to their default layers.`)) {
+      removeLayer(layer.id);
+    }
+  };
+  
+  return (
+    <Box width="100%" p={2}>
+      <Heading size="xs" mb={2} color={headingColor}>Layers</Heading>
+      
+      <Flex direction="column" gap={2}>
+        {[...layers].reverse().map((layer) => {
+          const index = layers.indexOf(layer);
+          
+          return (
+            <Box
+              key={layer.id}
+              borderWidth="1px"
+              borderColor={rowBorderColor}
+              borderRadius="md"
+              p={2}
+              opacity={layer.visible ? 1 : 0.6}
+            >
+              <Flex align="center" gap={1}>
+                <Tooltip label={layer.visible ? 'Hide layer' : 'Show layer'}>
+                  <IconButton
+                    aria-label={layer.visible ? 'Hide layer' : 'Show layer'}
+                    icon={<span>{layer.visible ? '👁️' : '🚫'}</span>}
+                    size="xs"
+                    variant="ghost"
+                    onClick={() => updateLayer(layer.id, { visible: !layer.visible })}
+                  />
+                </Tooltip>
+                
+                <Tooltip label={layer.locked ? 'Unlock layer' : 'Lock layer'}>
+                  <IconButton
+                    aria-label={layer.locked ? 'Unlock layer' : 'Lock layer'}
+                    icon={<span>{layer.locked ? '🔒' : '🔓'}</span>}
+                    size="xs"
+                    variant={layer.locked ? 'solid' : 'ghost'}
+                    onClick={() => updateLayer(layer.id, { locked: !layer.locked })}
+                  />
+                </Tooltip>
+                
+                <Editable
+                  key={layer.name}
+                  defaultValue={layer.name}
+                  onSubmit={(name) => name.trim() && updateLayer(layer.id, { name: name.trim() })}
+                  fontSize="sm"
+                  flex="1"
+                  minWidth={0}
+                >
+                  <EditablePreview noOfLines={1} />
+                  <EditableInput />
+                </Editable>
+                
+                <Badge fontSize="xs">{elementCounts.get(layer.id) || 0}</Badge>
+              </Flex>
+              
+              <Flex align="center" gap={2} mt={2}>
+                <Slider
+                  min={0.1}
+                  max={1}
+                  step={0.1}
+                  value={layer.opacity}
+                  onChange={(opacity) => updateLayer(layer.id, { opacity })}
+                  colorScheme="blue"
+                  flex="1"
+                  aria-label={`${layer.name} opacity`}
+                >
+                  <SliderTrack>
+                    <SliderFilledTrack />
+                  </SliderTrack>
+                  <SliderThumb />
+                </Slider>
+                <Text fontSize="xs" width="32px" textAlign="right">
+                  {Math.round(layer.opacity * 100)}%
+                </Text>
+                
+                <Tooltip label={layer.drawOnTop ? 'Use isometric draw order' : 'Draw on top of lower layers'}>
+                  <IconButton
+                    aria-label="Draw on top"
+                    icon={<span>⏫</span>}
+                    size="xs"
+                    variant={layer.drawOnTop ? 'solid' : 'outline'}
+                    colorScheme="blue"
+                    onClick={() => updateLayer(layer.id, { drawOnTop: !layer.drawOnTop })}
+                  />
+                </Tooltip>
+                
+                <ButtonGroup size="xs" isAttached variant="outline">
+                  <Tooltip label="Move up">
+                    <IconButton
+                      aria-label="Move up"
+                      icon={<span>▲</span>}
+                      onClick={() => moveLayer(layer.id, 1)}
+                      isDisabled={index === layers.length - 1}
+                    />
+                  </Tooltip>
+                  <Tooltip label="Move down">
+                    <IconButton
+                      aria-label="Move down"
+                      icon={<span>▼</span>}
+                      onClick={() => moveLayer(layer.id, -1)}
+                      isDisabled={index === 0}
+                    />
+                  </Tooltip>
+                </ButtonGroup>
+                
+                <Tooltip label="Remove layer">
+                  <IconButton
+                    aria-label="Remove layer"
+                    icon={<span>🗑️</span>}
+                    size="xs"
+                    variant="ghost"
+                    colorScheme="red"
+                    onClick={() => handleRemoveLayer(layer)}
+                    isDisabled={layers.length <= 1}
+                  />
+                </Tooltip>
+              </Flex>
+            </Box>
+          );
+        })}
+      </Flex>
+      
+      <Divider my={4} />
+      
+      <Flex gap={2}>
+        <Input
+          size="sm"
+          placeholder="New layer name"
+          value={newLayerName}
+          onChange={(e) => setNewLayerName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAddLayer()}
+        />
+        <Button size="sm" colorScheme="blue" onClick={handleAddLayer} isDisabled={!newLayerName.trim()}>
+          Add
+        </Button>
+      </Flex>
+      
+      <Box py={2} textAlign="center" fontSize="xs" color="gray.500" mt={4}>
+        <Text>Lock busy layers to click through to what lies beneath them</Text>
+      </Box>
+    </Box>
+  );
+}
@@ -32,10 +32,46 @@ import {
   Divider,
   Radio,
   RadioGroup,
-  Stack
+  Stack,
+  NumberInput,
+  NumberInputField,
+  Slider,
+  SliderTrack,
+  SliderFilledTrack,
+  SliderThumb,
+  Switch,
+  Code
 } from '@chakra-ui/react';
 import { useScene } from '../../context/SceneContext';
 import { getSavedScenes, deleteScene } from '../../utils/sceneUtils';
+import { CITY_GENERATOR_DEFAULTS, TERRAIN_GENERATOR_DEFAULTS } from '../../utils/generatorUtils';
+import { createSeed } from '../../utils/randomUtils';
+
+// Zoning sliders shown in the generate dialog
+const ZONE_OPTIONS = [
+  { zone: 'residential', label: 'Residential' },
+  { zone: 'commercial', label: 'Commercial' },
+  { zone: 'green', label: 'Parks' }
+];
+
+// Number of problems listed in the scene report dialog
+const MAX_REPORTED_PROBLEMS = 100;
+
+// Labels of the ways a scene can be opened, for the scene report dialog
+const SCENE_REPORT_ACTIONS = {
+  load: { label: 'Load', done: 'loaded' },
+  import: { label: 'Import', done: 'imported' },
+  merge: { label: 'Merge', done: 'merged' }
+};
+
+// Sliders shown in the generate terrain dialog
+const TERRAIN_OPTIONS = [
+  { key: 'scale', label: 'Feature Size', min: 3, max: 20, step: 1 },
+  { key: 'waterLevel', label: 'Water Level', min: 0, max: 0.8, step: 0.05, percent: true },
+  { key: 'peakLevel', label: 'Rock Level', min: 0.5, max: 1, step: 0.05, percent: true },
+  { key: 'maxHeight', label: 'Max Height', min: 1, max: 8, step: 1 },
+  { key: 'vegetation', label: 'Vegetation', min: 0, max: 1, step: 0.05, percent: true }
+];
 
 /**
  * SceneControls component for managing scenes (save, load, export)
@@ -49,7 +85,11 @@ export default function SceneControls() {
     loadScene,
     exportSceneJSON,
     exportSceneImage,
-    importScene
+    importScene,
+    mergeScene,
+    generateCityScene,
+    generateTerrainScene,
+    gridSize
   } = useScene();
   
   // Toast for notifications
@@ -58,6 +98,9 @@ export default function SceneControls() {
   // File input ref for importing scenes
   const fileInputRef = useRef(null);
   
+  // Whether the chosen file is imported or merged into the scene
+  const fileActionRef = useRef('import');
+  
   // State for saved scenes list
   const [savedScenes, setSavedScenes] = useState([]);
   
@@ -67,6 +110,16 @@ export default function SceneControls() {
   // State for export format
   const [exportFormat, setExportFormat] = useState('png');
   
+  // State for city generator settings
+  const [generatorOptions, setGeneratorOptions] = useState(CITY_GENERATOR_DEFAULTS);
+  
+  // State for terrain generator settings
+  const [terrainOptions, setTerrainOptions] = useState(TERRAIN_GENERATOR_DEFAULTS);
+  
+  // State for the problem report of a scene that failed validation
+  // {action: 'load' | 'import' | 'merge', name, file, problems}
+  const [sceneReport, setSceneReport] = useState(null);
+  
   // Modal states
   const {
     isOpen: isSaveModalOpen,
@@ -86,6 +139,18 @@ export default function SceneControls() {
     onClose: onExportModalClose
   } = useDisclosure();
   
+  const {
+    isOpen: isGenerateModalOpen,
+    onOpen: onGenerateModalOpen,
+    onClose: onGenerateModalClose
+  } = useDisclosure();
+  
+  const {
+    isOpen: isTerrainModalOpen,
+    onOpen: onTerrainModalOpen,
+    onClose: onTerrainModalClose
+  } = useDisclosure();
+  
   const {
     isOpen: isNewSceneModalOpen,
     onOpen: onNewSceneModalOpen,
@@ -140,25 +205,44 @@ export default function SceneControls() {
     }
   };
   
+  // Describe a schema upgrade or version warning for the load and import toasts
+  const getMigrationNote = (migration) => {
+    if (migration.warnings.length > 0) return ` ${migration.warnings.join(' ')}`;
+    if (migration.applied.length > 0) {
+      return ` It was upgraded from schema ${migration.fromVersion} (${migration.applied.join('; ')}).`;
+    }
+    return '';
+  };
+  
+  // Describe the problems repaired while loading or importing
+  const getRepairNote = (repairs) => {
+    if (repairs.length === 0) return '';
+    return ` ${repairs.length} problem${repairs.length === 1 ? ' was' : 's were'} repaired.`;
+  };
+  
   // Handle loading a scene
-  const handleLoadScene = (name) => {
-    const success = loadScene(name);
+  const handleLoadScene = (name, options) => {
+    const result = loadScene(name, options);
     
-    if (success) {
+    if (result.success) {
+      const hasWarnings = result.migration.warnings.length > 0;
       toast({
-        title: 'Scene loaded',
-        description: `Scene "${name}" has been loaded.`,
-        status: 'success',
-        duration: 3000,
+        title: hasWarnings ? 'Scene loaded with warnings' : 'Scene loaded',
+        description: `Scene "${name}" has been loaded.${getMigrationNote(result.migration)}${getRepairNote(result.repairs)}`,
+        status: hasWarnings ? 'warning' : 'success',
+        duration: hasWarnings ? 8000 : 3000,
         isClosable: true
       });
       onLoadModalClose();
+    } else if (result.problems) {
+      onLoadModalClose();
+      setSceneReport({ action: 'load', name, problems: result.problems });
     } else {
       toast({
         title: 'Load failed',
-        description: `There was an error loading scene "${name}".`,
+        description: result.error || `There was an error loading scene "${name}".`,
         status: 'error',
-        duration: 3000,
+        duration: 8000,
         isClosable: true
       });
     }
@@ -250,40 +334,136 @@ export default function SceneControls() {
     });
   };
   
+  // Update a city generator setting
+  const handleGeneratorChange = (updates) => {
+    setGeneratorOptions(prev => ({ ...prev, ...updates }));
+  };
+  
+  // Handle generating a city
+  const handleGenerateCity = () => {
+    const count = generateCityScene(generatorOptions);
+    onGenerateModalClose();
+    toast({
+      title: 'City generated',
+      description: `Placed ${count} elements using seed ${generatorOptions.seed}.`,
+      status: 'success',
+      duration: 3000,
+      isClosable: true
+    });
+  };
+  
+  // Update a terrain generator setting
+  const handleTerrainChange = (updates) => {
+    setTerrainOptions(prev => ({ ...prev, ...updates }));
+  };
+  
+  // Handle generating terrain
+  const handleGenerateTerrain = () => {
+    const count = generateTerrainScene(terrainOptions);
+    onTerrainModalClose();
+    toast({
+      title: 'Terrain generated',
+      description: `Generated terrain with ${count} trees using seed ${terrainOptions.seed}.`,
+      status: 'success',
+      duration: 3000,
+      isClosable: true
+    });
+  };
+  
   // Handle importing a scene
   const handleImportScene = () => {
+    fileActionRef.current = 'import';
     fileInputRef.current?.click();
   };
   
-  // Handle file selection for import
-  const handleFileChange = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
-    
-    const success = await importScene(file);
+  // Handle merging a scene into the current one
+  const handleMergeScene = () => {
+    fileActionRef.current = 'merge';
+    fileInputRef.current?.click();
+  };
+  
+  // Import a scene file
+  const importSceneFile = async (file, options) => {
+    const result = await importScene(file, options);
     
-    if (success) {
+    if (result.success) {
+      const hasWarnings = result.migration.warnings.length > 0;
       toast({
-        title: 'Scene imported',
-        description: 'The scene has been imported successfully.',
-        status: 'success',
-        duration: 3000,
+        title: hasWarnings ? 'Scene imported with warnings' : 'Scene imported',
+        description: `The scene has been imported successfully.${getMigrationNote(result.migration)}${getRepairNote(result.repairs)}`,
+        status: hasWarnings ? 'warning' : 'success',
+        duration: hasWarnings ? 8000 : 3000,
         isClosable: true
       });
+    } else if (result.problems) {
+      setSceneReport({ action: 'import', name: file.name, file, problems: result.problems });
     } else {
       toast({
         title: 'Import failed',
-        description: 'There was an error importing the scene.',
+        description: result.error || 'There was an error importing the scene.',
         status: 'error',
-        duration: 3000,
+        duration: 8000,
+        isClosable: true
+      });
+    }
+  };
+  
+  // Merge the elements of a scene file into the current scene
+  const mergeSceneFile = async (file, options) => {
+    const result = await mergeScene(file, options);
+    
+    if (result.success) {
+      const hasWarnings = result.migration.warnings.length > 0 || result.skipped > 0;
+      const skippedNote = result.skipped > 0 ? ` ${result.skipped} element${result.skipped === 1 ? ' was' : 's were'} skipped because they didn't fit.` : '';
+      toast({
+        title: hasWarnings ? 'Scene merged with warnings' : 'Scene merged',
+        description: `Added ${result.added} element${result.added === 1 ? '' : 's'} from "${file.name}".${skippedNote}${getMigrationNote(result.migration)}${getRepairNote(result.repairs)}`,
+        status: hasWarnings ? 'warning' : 'success',
+        duration: hasWarnings ? 8000 : 3000,
         isClosable: true
       });
+    } else if (result.problems) {
+      setSceneReport({ action: 'merge', name: file.name, file, problems: result.problems });
+    } else {
+      toast({
+        title: 'Merge failed',
+        description: result.error || 'There was an error merging the scene.',
+        status: 'error',
+        duration: 8000,
+        isClosable: true
+      });
+    }
+  };
+  
+  // Handle file selection for import or merge
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    
+    if (fileActionRef.current === 'merge') {
+      await mergeSceneFile(file);
+    } else {
+      await importSceneFile(file);
     }
     
     // Reset the file input
     event.target.value = '';
   };
   
+  // Handle repairing and loading the scene in the problem report
+  const handleRepairScene = () => {
+    const { action, name, file } = sceneReport;
+    setSceneReport(null);
+    
+    if (action === 'load') {
+      handleLoadScene(name, { repair: true });
+    } else if (action === 'merge') {
+      mergeSceneFile(file, { repair: true });
+    } else {
+      importSceneFile(file, { repair: true });
+    }
+  };
+  
   return (
     <>
       {/* Scene Controls Menu */}
@@ -303,6 +483,12 @@ export default function SceneControls() {
           <MenuItem onClick={handleNewScene} icon={<span>🆕</span>}>
             New Scene
           </MenuItem>
+          <MenuItem onClick={onGenerateModalOpen} icon={<span>🏙️</span>}>
+            Generate City
+          </MenuItem>
+          <MenuItem onClick={onTerrainModalOpen} icon={<span>🏝️</span>}>
+            Generate Terrain
+          </MenuItem>
           <MenuDivider />
           <MenuItem onClick={handleOpenSaveModal} icon={<span>💾</span>}>
             Save Scene
@@ -313,6 +499,9 @@ export default function SceneControls() {
           <MenuItem onClick={handleImportScene} icon={<span>📥</span>}>
             Import Scene
           </MenuItem>
+          <MenuItem onClick={handleMergeScene} icon={<span>➕</span>}>
+            Merge Scene
+          </MenuItem>
           <MenuDivider />
           <MenuItem onClick={onExportModalOpen} icon={<span>📤</span>}>
             Export Scene
@@ -320,7 +509,7 @@ export default function SceneControls() {
         </MenuList>
       </Menu>
       
-      {/* Hidden file input for importing scenes */}
+      {/* Hidden file input for importing and merging scenes */}
       <input
         type="file"
         ref={fileInputRef}
@@ -449,6 +638,187 @@ export default function SceneControls() {
         </ModalContent>
       </Modal>
       
+      {/* Generate City Modal */}
+      <Modal isOpen={isGenerateModalOpen} onClose={onGenerateModalClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Generate City</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <VStack spacing={4} align="stretch">
+              <FormControl>
+                <FormLabel>Seed</FormLabel>
+                <HStack>
+                  <NumberInput
+                    flex={1}
+                    min={0}
+                    precision={0}
+                    value={generatorOptions.seed}
+                    onChange={(_, seed) => handleGeneratorChange({ seed: Number.isNaN(seed) ? 0 : seed })}
+                  >
+                    <NumberInputField />
+                  </NumberInput>
+                  <IconButton
+                    aria-label="Random seed"
+                    icon={<span>🎲</span>}
+                    onClick={() => handleGeneratorChange({ seed: createSeed() })}
+                  />
+                </HStack>
+                <FormHelperText>
+                  The same seed and settings always generate the same city.
+                </FormHelperText>
+              </FormControl>
+              
+              <FormControl>
+                <FormLabel>Density: {Math.round(generatorOptions.density * 100)}%</FormLabel>
+                <Slider
+                  min={0.1}
+                  max={1}
+                  step={0.05}
+                  value={generatorOptions.density}
+                  onChange={(density) => handleGeneratorChange({ density })}
+                >
+                  <SliderTrack>
+                    <SliderFilledTrack />
+                  </SliderTrack>
+                  <SliderThumb />
+                </Slider>
+              </FormControl>
+              
+              <FormControl>
+                <FormLabel>Block Size: {generatorOptions.blockSize}</FormLabel>
+                <Slider
+                  min={2}
+                  max={8}
+                  step={1}
+                  value={generatorOptions.blockSize}
+                  onChange={(blockSize) => handleGeneratorChange({ blockSize })}
+                >
+                  <SliderTrack>
+                    <SliderFilledTrack />
+                  </SliderTrack>
+                  <SliderThumb />
+                </Slider>
+              </FormControl>
+              
+              <Divider />
+              
+              <Text fontWeight="medium">Zoning</Text>
+              {ZONE_OPTIONS.map((option) => (
+                <FormControl key={option.zone}>
+                  <FormLabel fontSize="sm">
+                    {option.label}: {generatorOptions.zoning[option.zone]}
+                  </FormLabel>
+                  <Slider
+                    min={0}
+                    max={10}
+                    step={1}
+                    value={generatorOptions.zoning[option.zone]}
+                    onChange={(weight) => handleGeneratorChange({
+                      zoning: { ...generatorOptions.zoning, [option.zone]: weight }
+                    })}
+                  >
+                    <SliderTrack>
+                      <SliderFilledTrack />
+                    </SliderTrack>
+                    <SliderThumb />
+                  </Slider>
+                </FormControl>
+              ))}
+              
+              <Text fontSize="sm" color="gray.500">
+                Replaces all elements on the {gridSize.width}×{gridSize.height} grid. You can undo this in one step.
+              </Text>
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={onGenerateModalClose}>
+              Cancel
+            </Button>
+            <Button colorScheme="blue" onClick={handleGenerateCity}>
+              Generate
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+      
+      {/* Generate Terrain Modal */}
+      <Modal isOpen={isTerrainModalOpen} onClose={onTerrainModalClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Generate Terrain</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <VStack spacing={4} align="stretch">
+              <FormControl>
+                <FormLabel>Seed</FormLabel>
+                <HStack>
+                  <NumberInput
+                    flex={1}
+                    min={0}
+                    precision={0}
+                    value={terrainOptions.seed}
+                    onChange={(_, seed) => handleTerrainChange({ seed: Number.isNaN(seed) ? 0 : seed })}
+                  >
+                    <NumberInputField />
+                  </NumberInput>
+                  <IconButton
+                    aria-label="Random seed"
+                    icon={<span>🎲</span>}
+                    onClick={() => handleTerrainChange({ seed: createSeed() })}
+                  />
+                </HStack>
+                <FormHelperText>
+                  The same seed and settings always generate the same terrain.
+                </FormHelperText>
+              </FormControl>
+              
+              {TERRAIN_OPTIONS.map((option) => (
+                <FormControl key={option.key}>
+                  <FormLabel fontSize="sm">
+                    {option.label}: {option.percent
+                      ? `${Math.round(terrainOptions[option.key] * 100)}%`
+                      : terrainOptions[option.key]}
+                  </FormLabel>
+                  <Slider
+                    min={option.min}
+                    max={option.max}
+                    step={option.step}
+                    value={terrainOptions[option.key]}
+                    onChange={(value) => handleTerrainChange({ [option.key]: value })}
+                  >
+                    <SliderTrack>
+                      <SliderFilledTrack />
+                    </SliderTrack>
+                    <SliderThumb />
+                  </Slider>
+                </FormControl>
+              ))}
+              
+              <FormControl display="flex" alignItems="center">
+                <FormLabel mb={0} fontSize="sm">Island</FormLabel>
+                <Switch
+                  isChecked={terrainOptions.island}
+                  onChange={(e) => handleTerrainChange({ island: e.target.checked })}
+                />
+              </FormControl>
+              
+              <Text fontSize="sm" color="gray.500">
+                Replaces the terrain, ground and elements on the {gridSize.width}×{gridSize.height} grid.
+              </Text>
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={onTerrainModalClose}>
+              Cancel
+            </Button>
+            <Button colorScheme="blue" onClick={handleGenerateTerrain}>
+              Generate
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+      
       {/* New Scene Confirmation Modal */}
       <Modal isOpen={isNewSceneModalOpen} onClose={onNewSceneModalClose}>
         <ModalOverlay />
@@ -471,6 +841,44 @@ export default function SceneControls() {
           </ModalFooter>
         </ModalContent>
       </Modal>
+      
+      {/* Scene Problem Report Modal */}
+      <Modal isOpen={sceneReport !== null} onClose={() => setSceneReport(null)} size="xl" scrollBehavior="inside">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Problems in "{sceneReport?.name}"</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <Text mb={4}>
+              This scene can't be {SCENE_REPORT_ACTIONS[sceneReport?.action]?.done} as it is.
+              {' '}{sceneReport?.problems.length} problem{sceneReport?.problems.length === 1 ? ' was' : 's were'} found.
+              Repairing keeps as much of the scene as possible: each problem below shows what will change.
+            </Text>
+            <List spacing={2}>
+              {sceneReport?.problems.slice(0, MAX_REPORTED_PROBLEMS).map((problem, index) => (
+                <ListItem key={index} p={2} borderWidth="1px" borderRadius="md">
+                  <Code fontSize="xs">{problem.path}</Code>
+                  <Text fontSize="sm" mt={1}>{problem.message}</Text>
+                  <Text fontSize="xs" color="gray.500">Repair: {problem.repair}</Text>
+                </ListItem>
+              ))}
+            </List>
+            {sceneReport?.problems.length > MAX_REPORTED_PROBLEMS && (
+              <Text fontSize="sm" color="gray.500" mt={2}>
+                ...and {sceneReport.problems.length - MAX_REPORTED_PROBLEMS} more
+              </Text>
+            )}
+          </ModalBody>
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={() => setSceneReport(null)}>
+              Cancel
+            </Button>
+            <Button colorScheme="blue" onClick={handleRepairScene}>
+              Repair and {SCENE_REPORT_ACTIONS[sceneReport?.action]?.label}
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
     </>
   );
 }
\ No newline at end of file
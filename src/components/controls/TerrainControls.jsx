@@ -0,0 +1,94 @@
+import {
+  Box,
+  Button,
+  SimpleGrid,
+  Heading,
+  Text,
+  Slider,
+  SliderTrack,
+  SliderFilledTrack,
+  SliderThumb,
+  Divider,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { useScene } from '../../context/SceneContext';
+
+// Brush buttons shown in the panel
+const BRUSH_OPTIONS = [
+  { mode: 'raise', label: 'Raise', icon: '⬆️', description: 'Lift cells by one level' },
+  { mode: 'lower', label: 'Lower', icon: '⬇️', description: 'Drop cells by one level' },
+  { mode: 'flatten', label: 'Flatten', icon: '▬', description: 'Level cells to the height where the stroke starts' },
+  { mode: 'smooth', label: 'Smooth', icon: '〰️', description: 'Average cells with their neighbours' }
+];
+
+/**
+ * Panel for sculpting the terrain heightmap
+ */
+export default function TerrainControls() {
+  const { terrainBrush, updateTerrainBrush, activeTool, setActiveTool, resetTerrain } = useScene();
+  
+  // Color mode values
+  const headingColor = useColorModeValue('gray.700', 'gray.200');
+  
+  const isSelected = (mode) => activeTool === 'terrain' && terrainBrush.mode === mode;
+  
+  // Pick the terrain tool with a brush, or the select tool when it is already picked
+  const handleSelectBrush = (mode) => {
+    if (isSelected(mode)) {
+      setActiveTool('select');
+      return;
+    }
+    
+    updateTerrainBrush({ mode });
+    setActiveTool('terrain');
+  };
+  
+  return (
+    <Box width="100%" p={2}>
+      <Heading size="xs" mb={2} color={headingColor}>Terrain Brush</Heading>
+      
+      <SimpleGrid columns={2} spacing={2}>
+        {BRUSH_OPTIONS.map((option) => (
+          <Button
+            key={option.mode}
+            size="sm"
+            leftIcon={<span>{option.icon}</span>}
+            variant={isSelected(option.mode) ? 'solid' : 'outline'}
+            colorScheme="blue"
+            title={option.description}
+            onClick={() => handleSelectBrush(option.mode)}
+          >
+            {option.label}
+          </Button>
+        ))}
+      </SimpleGrid>
+      
+      <Box mt={4}>
+        <Text fontSize="sm" mb={1}>Radius: {terrainBrush.radius}</Text>
+        <Slider
+          min={1}
+          max={5}
+          step={1}
+          value={terrainBrush.radius}
+          onChange={(radius) => updateTerrainBrush({ radius })}
+          colorScheme="blue"
+        >
+          <SliderTrack>
+            <SliderFilledTrack />
+          </SliderTrack>
+          <SliderThumb />
+        </Slider>
+      </Box>
+      
+      <Divider my={4} />
+      
+      <Button size="sm" width="100%" variant="outline" colorScheme="red" onClick={resetTerrain}>
+        Flatten All Terrain
+      </Button>
+      
+      <Box py={2} textAlign="center" fontSize="xs" color="gray.500" mt={4}>
+        <Text>Select a brush, then click or drag on the grid to sculpt</Text>
+      </Box>
+    </Box>
+  );
+}
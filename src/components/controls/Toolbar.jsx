@@ -16,6 +16,7 @@ import {
   FormControl,
   FormLabel,
   HStack,
+  SimpleGrid,
   Divider,
   useBreakpointValue,
   useDisclosure
@@ -23,6 +24,7 @@ import {
 import { useState } from 'react';
 import { useScene } from '../../context/SceneContext';
 import HelpModal from './HelpModal';
+import { CANVAS_TOOLS } from '../canvas/tools';
 
 /**
  * Toolbar component with canvas controls
@@ -38,7 +40,13 @@ export default function Toolbar() {
     showGrid,
     toggleGridVisibility,
     undo,
-    redo
+    redo,
+    canUndo,
+    canRedo,
+    routeTool,
+    updateRouteTool,
+    activeTool,
+    setActiveTool
   } = useScene();
   
   // Help modal state
@@ -92,6 +100,24 @@ export default function Toolbar() {
           p={2}
           gap={2}
         >
+          {/* Canvas tools */}
+          <SimpleGrid columns={2} spacing={1}>
+            {CANVAS_TOOLS.map((tool) => (
+              <Tooltip key={tool.id} label={`${tool.name} (${tool.shortcut}): ${tool.description}`} placement="right">
+                <IconButton
+                  aria-label={tool.name}
+                  icon={<span>{tool.icon}</span>}
+                  size="sm"
+                  variant={activeTool === tool.id ? 'solid' : 'outline'}
+                  colorScheme={activeTool === tool.id ? 'blue' : 'gray'}
+                  onClick={() => setActiveTool(tool.id)}
+                />
+              </Tooltip>
+            ))}
+          </SimpleGrid>
+          
+          <Divider />
+          
           {/* History controls */}
           <ButtonGroup size="sm" isAttached variant="outline">
             <Tooltip label="Undo (Ctrl+Z)" placement="right">
@@ -99,6 +125,7 @@ export default function Toolbar() {
                 aria-label="Undo"
                 icon={<span>↩️</span>}
                 onClick={undo}
+                isDisabled={!canUndo}
               />
             </Tooltip>
             
@@ -107,6 +134,7 @@ export default function Toolbar() {
                 aria-label="Redo"
                 icon={<span>↪️</span>}
                 onClick={redo}
+                isDisabled={!canRedo}
               />
             </Tooltip>
           </ButtonGroup>
@@ -186,6 +214,20 @@ export default function Toolbar() {
           
           <Divider />
           
+          {/* Route tool settings */}
+          <ButtonGroup size="sm" isAttached variant="outline">
+            <Tooltip label={routeTool.diagonal ? 'Route Diagonal Steps: On' : 'Route Diagonal Steps: Off'} placement="right">
+              <IconButton
+                aria-label="Toggle Diagonal Steps"
+                icon={<span>↗️</span>}
+                variant={routeTool.diagonal ? 'solid' : 'outline'}
+                onClick={() => updateRouteTool({ diagonal: !routeTool.diagonal })}
+              />
+            </Tooltip>
+          </ButtonGroup>
+          
+          <Divider />
+          
           {/* Help button */}
           <Tooltip label="Help" placement="right">
             <IconButton
@@ -3,6 +3,11 @@ import { Box } from '@chakra-ui/react';
 import { useDraggable } from '@dnd-kit/core';
 import { useScene } from '../../context/SceneContext';
 import { isometricToScreen, calculateZIndex } from '../../utils/isometricUtils';
+import { getFootprintHeight } from '../../utils/terrainUtils';
+import { getFootprint } from '../../utils/placementUtils';
+import { getDirectionalSprite } from '../../utils/spriteUtils';
+import { LAYER_Z_BAND } from '../../utils/layerUtils';
+import { getCanvasTool } from '../canvas/tools';
 
 /**
  * Base component for all isometric elements in the scene
@@ -10,8 +15,9 @@ import { isometricToScreen, calculateZIndex } from '../../utils/isometricUtils';
  * This component serves as the foundation for all elements that can be placed
  * on the isometric grid. It handles:
  * - Positioning in the isometric space
- * - Dragging and selection
- * - Rotation and scaling
+ * - Dragging and selection under tools that pick elements (unless its layer is locked)
+ * - Shift- or Ctrl-clicking to add the element to the selection or take it out
+ * - Rotation (by choosing the sprite for the direction the element faces) and scaling
  * - Z-index calculation for proper layering
  * 
  * All specific element types (buildings, trees, roads, etc.) extend this
@@ -20,11 +26,17 @@ import { isometricToScreen, calculateZIndex } from '../../utils/isometricUtils';
  * @param {Object} props - Component props
  * @param {string} props.id - Unique identifier for the element
  * @param {string} props.type - Type of element (building, tree, road, etc.)
- * @param {Object} props.position - Position on the isometric grid {x, y}
+ * @param {Object} props.position - Position on the isometric grid {x, y, z}
  * @param {number} props.rotation - Rotation in degrees (0, 90, 180, 270)
  * @param {number} props.scale - Scale factor for the element
  * @param {Object} props.size - Size of the element {width, height}
  * @param {string} props.imageUrl - URL to the element's image
+ * @param {number} props.depth - Scene-wide drawing order (see calculateElementDepths)
+ * @param {Object} props.variant - Auto-tiled sprite for connectable types {imageUrl, rotation} (see calculateConnectionVariants)
+ * @param {number} props.layerBand - Z-index band of the element's layer (see calculateLayerBands)
+ * @param {number} props.opacity - Opacity of the element's layer
+ * @param {boolean} props.isLocked - Whether the element's layer is locked against selection and dragging
+ * @param {boolean} props.isGroupSelected - Whether an element of the element's group is selected
  * @param {React.ReactNode} props.children - Child components
  * @returns {JSX.Element} The rendered isometric element
  */
@@ -36,11 +48,31 @@ export default function IsometricElement({
   scale = 1,
   size = { width: 64, height: 64 },
   imageUrl,
+  depth,
+  variant,
+  layerBand = 0,
+  opacity = 1,
+  isLocked = false,
+  isGroupSelected = false,
   children,
   ...props
 }) {
-  const { tileSize, zoom, offset, selectedElementId, selectElement } = useScene();
-  const isSelected = selectedElementId === id;
+  const { 
+    tileSize, 
+    zoom, 
+    offset, 
+    heightmap, 
+    activeTool, 
+    selectedElementIds, 
+    selectElement, 
+    toggleElementSelection 
+  } = useScene();
+  const isSelected = selectedElementIds.includes(id);
+  
+  // Under tools that don't pick elements, pointer events pass through to
+  // the canvas so strokes and cells can be picked over elements. Elements
+  // on locked layers let clicks through to whatever is beneath them
+  const isInteractive = getCanvasTool(activeTool).picksElements && !isLocked;
   
   /**
    * Set up draggable functionality using DnD Kit
@@ -52,37 +84,82 @@ export default function IsometricElement({
       id,
       type,
       isNew: false
-    }
+    },
+    disabled: !isInteractive
   });
   
+  /**
+   * Footprint of the element in grid cells
+   * Multi-tile elements extend from their position along the positive axes;
+   * quarter turns swap the footprint's width and height
+   */
+  const footprint = getFootprint({ type, rotation });
+  
+  /**
+   * Height of the terrain under the element
+   * Elements rest on the highest cell of their footprint; their own
+   * elevation is measured from there
+   */
+  const terrainHeight = getFootprintHeight(heightmap, position, footprint);
+  
   /**
    * Calculate screen position from isometric grid coordinates
-   * This converts the grid-based position to pixel coordinates on screen
+   * This converts the grid-based position to pixel coordinates on screen,
+   * centering the element over its whole footprint and lifting it by its elevation
    */
   const screenPosition = isometricToScreen(
-    position.x,
-    position.y,
+    position.x + (footprint.width - 1) / 2,
+    position.y + (footprint.height - 1) / 2,
     tileSize.width,
-    tileSize.height
+    tileSize.height,
+    terrainHeight + (position.z || 0)
   );
   
   /**
    * Calculate z-index based on position
    * This ensures elements are properly layered in the isometric view
-   * (elements further back should appear behind elements in front)
+   * (elements further back should appear behind elements in front).
+   * Multi-tile elements are sorted by their front-most cell, and the
+   * scene-wide depth is preferred when provided so stacked elements are
+   * drawn over what they stand on. Layers drawn on top lift their
+   * elements into a band above the rest of the scene.
+   */
+  const zIndex = (depth ?? calculateZIndex(
+    position.x + footprint.width - 1,
+    position.y + footprint.height - 1,
+    position.z || 0
+  )) + layerBand * LAYER_Z_BAND;
+  
+  /**
+   * Sprite and rotation to draw
+   * Connectable elements use the variant matching their neighbours, which
+   * is rotated on the ground to face its connections. Other elements show
+   * the sprite for the direction they face, flipped when the type has no
+   * sprite of its own for that direction (see getDirectionalSprite)
    */
-  const zIndex = calculateZIndex(position.x, position.y);
+  const sprite = variant
+    ? { imageUrl: variant.imageUrl, mirrored: false }
+    : getDirectionalSprite(type, rotation, imageUrl);
+  const spriteRotation = variant ? variant.rotation : 0;
   
   /**
    * Handle element selection
-   * When an element is clicked, it becomes the selected element
+   * When an element is clicked, it becomes the only selected element.
+   * Shift-, Ctrl- or Cmd-clicking adds it to the selection, or takes it out
+   * if it is already selected.
    * 
    * @param {React.MouseEvent} e - The click event
    */
   const handleSelect = useCallback((e) => {
     e.stopPropagation(); // Prevent the click from bubbling to the canvas
+    
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      toggleElementSelection(id);
+      return;
+    }
+    
     selectElement(id);
-  }, [id, selectElement]);
+  }, [id, selectElement, toggleElementSelection]);
   
   return (
     <Box
@@ -96,13 +173,16 @@ export default function IsometricElement({
         translate(-50%, -50%)
         rotateX(60deg)
         rotateZ(-45deg)
-        rotate(${rotation}deg)
+        rotate(${spriteRotation}deg)
         ${transform ? `translate3d(${transform.x}px, ${transform.y}px, 0)` : ''}
       `}
       transformOrigin="center center"
       zIndex={zIndex + 10} // Add 10 to ensure elements are above the grid
+      opacity={opacity}
       cursor="pointer"
+      pointerEvents={isInteractive ? 'auto' : 'none'}
       onClick={handleSelect}
+      data-element-id={isInteractive ? id : undefined}
       {...attributes}
       {...listeners}
       {...props}
@@ -111,12 +191,15 @@ export default function IsometricElement({
       <Box
         width="100%"
         height="100%"
-        backgroundImage={imageUrl ? `url(${imageUrl})` : 'none'}
+        backgroundImage={sprite.imageUrl ? `url(${sprite.imageUrl})` : 'none'}
         backgroundSize="contain"
         backgroundPosition="center"
         backgroundRepeat="no-repeat"
-        border={isSelected ? '2px solid #4299E1' : 'none'} // Highlight selected elements
+        border={isSelected ? '2px solid #4299E1' : isGroupSelected ? '2px dashed #4299E1' : 'none'} // Highlight selected elements and their group
         borderRadius="4px"
+        // Flips the sprite horizontally on screen: on the ground plane that is
+        // a reflection across the diagonal running along the screen's vertical
+        transform={sprite.mirrored ? 'matrix(0, -1, -1, 0, 0, 0)' : undefined}
         transition="all 0.2s"
         _hover={{ boxShadow: "0 0 0 2px rgba(66, 153, 225, 0.6)" }} // Hover effect
       >
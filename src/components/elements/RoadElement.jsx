@@ -2,6 +2,11 @@ import IsometricElement from './IsometricElement';
 
 /**
  * Road element for the isometric scene
+ * 
+ * Roads are auto-tiled: the canvas passes a variant sprite that joins up
+ * with neighbouring roads. The element is square so the variant can be
+ * rotated to any side.
+ * 
  * @param {Object} props - Component props
  */
 export default function RoadElement({
@@ -18,7 +23,7 @@ export default function RoadElement({
       position={position}
       rotation={rotation}
       scale={scale}
-      size={{ width: 64, height: 32 }}
+      size={{ width: 46, height: 46 }} // Projects onto one 64x32 tile
       imageUrl="/assets/elements/road.png"
       backgroundColor="rgba(80, 80, 80, 0.8)"
       {...props}
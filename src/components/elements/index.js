@@ -14,43 +14,26 @@ export const ELEMENT_TYPES = {
 };
 
 // Element metadata for the palette
-export const ELEMENT_METADATA = [
-  {
-    id: 'building',
-    type: 'building',
-    name: 'Building',
-    description: 'A standard building',
-    imageUrl: '/assets/elements/building.png'
-  },
-  {
-    id: 'tree',
-    type: 'tree',
-    name: 'Tree',
-    description: 'A decorative tree',
-    imageUrl: '/assets/elements/tree.png'
-  },
-  {
-    id: 'road',
-    type: 'road',
-    name: 'Road',
-    description: 'A road segment',
-    imageUrl: '/assets/elements/road.png'
-  },
-  {
-    id: 'park',
-    type: 'park',
-    name: 'Park',
-    description: 'A small park area',
-    imageUrl: '/assets/elements/park.png'
-  },
-  {
-    id: 'officeBuilding',
-    type: 'officeBuilding',
-    name: 'Office Building',
-    description: 'A tall office building',
-    imageUrl: '/assets/elements/office-building.png'
-  }
-];
+export {
+  ELEMENT_METADATA,
+  DEFAULT_FOOTPRINT,
+  DEFAULT_ELEMENT_HEIGHT,
+  DEFAULT_TRAVERSAL_COST,
+  getElementMetadata,
+  getElementFootprint,
+  getElementSprites,
+  getElementHeight,
+  isElementStackable,
+  getElementConnections,
+  getElementTraversalCost,
+  getElementDefaultLayer,
+  getElementPropertySchema,
+  GROUND_TILE_METADATA,
+  getGroundTileMetadata,
+  getGroundTraversalCost,
+  GROUND_TILESETS,
+  getGroundTileset
+} from './metadata';
 
 export {
   BuildingElement,
@@ -0,0 +1,336 @@
+/**
+ * Element registry metadata
+ * 
+ * Describes every element type that can be placed in the scene: how it is
+ * presented in the palette and how much of the grid it occupies. This module
+ * has no component imports so it can be shared by utilities and context code.
+ */
+
+// Footprint used for unknown element types
+export const DEFAULT_FOOTPRINT = { width: 1, height: 1 };
+
+// Height (in elevation levels) used for unknown element types
+export const DEFAULT_ELEMENT_HEIGHT = 1;
+
+// Route tool cost of crossing a cell with nothing on it
+export const DEFAULT_TRAVERSAL_COST = 3;
+
+// Element metadata for the palette
+// footprint - number of grid cells covered along the x and y axes at
+//   rotation 0; quarter turns swap the two (see getFootprint)
+// sprites - optional sprites for the directions the element can face
+//   {north, east, south, west}: rotation 0 faces west (-x), 90 north (-y),
+//   180 east (+x) and 270 south (+y). Directions without a sprite are drawn
+//   by mirroring the sprite of the direction across the screen's vertical
+//   axis (west and north, east and south), or imageUrl (see spriteUtils)
+// height - vertical extent in elevation levels (see isometricToScreen)
+// stackable - whether other elements can be placed on top of this one
+// traversalCost - cost of walking across the element's cells for the route
+//   tool, or null if it can't be crossed (see pathUtils)
+// layer - scene layer that new elements of this type belong to (see layerUtils)
+// properties - optional schema of the custom properties every element of the
+//   type has (see propertyUtils); each field is {key, label, type, default}
+//   where type is 'string', 'number', 'boolean' or 'enum' (with options)
+// connections - optional auto-tiling settings for 1x1 types that join up with
+//   their neighbours (see connectionUtils):
+//   group - elements connect to neighbours of any type in the same group
+//   variants - sprite for each connection shape (isolated, end, straight,
+//   corner, tee, cross), drawn with its connections facing the sprite's top
+//   edge first and continuing clockwise
+export const ELEMENT_METADATA = [
+  {
+    id: 'building',
+    type: 'building',
+    name: 'Building',
+    description: 'A standard building',
+    imageUrl: '/assets/elements/building.png',
+    sprites: {
+      west: '/assets/elements/building.svg',
+      east: '/assets/elements/building-back.svg'
+    },
+    footprint: { width: 2, height: 2 },
+    height: 4,
+    stackable: true,
+    traversalCost: null,
+    layer: 'buildings',
+    properties: [
+      { key: 'floors', label: 'Floors', type: 'number', default: 4 },
+      { key: 'occupancy', label: 'Occupancy', type: 'number', default: 20 },
+      { key: 'use', label: 'Use', type: 'enum', options: ['residential', 'commercial', 'mixed'], default: 'residential' }
+    ]
+  },
+  {
+    id: 'tree',
+    type: 'tree',
+    name: 'Tree',
+    description: 'A decorative tree',
+    imageUrl: '/assets/elements/tree.png',
+    footprint: { width: 1, height: 1 },
+    height: 2,
+    stackable: false,
+    traversalCost: 6,
+    layer: 'props',
+    properties: [
+      { key: 'species', label: 'Species', type: 'enum', options: ['oak', 'pine', 'birch', 'maple'], default: 'oak' }
+    ]
+  },
+  {
+    id: 'road',
+    type: 'road',
+    name: 'Road',
+    description: 'A road segment',
+    imageUrl: '/assets/elements/road.png',
+    footprint: { width: 1, height: 1 },
+    height: 0.25,
+    stackable: true,
+    traversalCost: 1,
+    layer: 'roads',
+    properties: [
+      { key: 'streetName', label: 'Street name', type: 'string', default: '' },
+      { key: 'lanes', label: 'Lanes', type: 'number', default: 2 },
+      { key: 'oneWay', label: 'One way', type: 'boolean', default: false }
+    ],
+    connections: {
+      group: 'road',
+      variants: {
+        isolated: '/assets/elements/road-isolated.svg',
+        end: '/assets/elements/road-end.svg',
+        straight: '/assets/elements/road-straight.svg',
+        corner: '/assets/elements/road-corner.svg',
+        tee: '/assets/elements/road-tee.svg',
+        cross: '/assets/elements/road-cross.svg'
+      }
+    }
+  },
+  {
+    id: 'park',
+    type: 'park',
+    name: 'Park',
+    description: 'A small park area',
+    imageUrl: '/assets/elements/park.png',
+    footprint: { width: 2, height: 2 },
+    height: 0.5,
+    stackable: true,
+    traversalCost: 2,
+    layer: 'ground',
+    properties: [
+      { key: 'public', label: 'Public', type: 'boolean', default: true }
+    ]
+  },
+  {
+    id: 'officeBuilding',
+    type: 'officeBuilding',
+    name: 'Office Building',
+    description: 'A tall office building',
+    imageUrl: '/assets/elements/office-building.png',
+    footprint: { width: 2, height: 2 },
+    height: 6,
+    stackable: true,
+    traversalCost: null,
+    layer: 'buildings',
+    properties: [
+      { key: 'floors', label: 'Floors', type: 'number', default: 12 },
+      { key: 'occupancy', label: 'Occupancy', type: 'number', default: 300 },
+      { key: 'use', label: 'Use', type: 'enum', options: ['residential', 'commercial', 'mixed'], default: 'commercial' }
+    ]
+  }
+];
+
+/**
+ * Get the metadata entry for an element type
+ * 
+ * @param {string} type - The element type
+ * @returns {Object|undefined} - The metadata entry, if the type is registered
+ */
+export function getElementMetadata(type) {
+  return ELEMENT_METADATA.find(meta => meta.type === type);
+}
+
+/**
+ * Get the footprint of an element type
+ * 
+ * @param {string} type - The element type
+ * @returns {Object} - Footprint in grid cells {width, height}
+ */
+export function getElementFootprint(type) {
+  return getElementMetadata(type)?.footprint || DEFAULT_FOOTPRINT;
+}
+
+/**
+ * Get the directional sprites of an element type
+ * 
+ * @param {string} type - The element type
+ * @returns {Object} - Sprite URLs by direction {north, east, south, west}; directions may be missing
+ */
+export function getElementSprites(type) {
+  return getElementMetadata(type)?.sprites || {};
+}
+
+/**
+ * Get the height of an element type
+ * 
+ * @param {string} type - The element type
+ * @returns {number} - Vertical extent in elevation levels
+ */
+export function getElementHeight(type) {
+  return getElementMetadata(type)?.height ?? DEFAULT_ELEMENT_HEIGHT;
+}
+
+/**
+ * Check whether other elements can be stacked on an element type
+ * 
+ * @param {string} type - The element type
+ * @returns {boolean} - Whether the type supports elements on top of it
+ */
+export function isElementStackable(type) {
+  return getElementMetadata(type)?.stackable ?? false;
+}
+
+/**
+ * Get the route tool cost of crossing an element type
+ * 
+ * @param {string} type - The element type
+ * @returns {number|null} - Cost per cell, or null if the type blocks routes
+ */
+export function getElementTraversalCost(type) {
+  const metadata = getElementMetadata(type);
+  return metadata ? metadata.traversalCost : DEFAULT_TRAVERSAL_COST;
+}
+
+/**
+ * Get the layer new elements of a type belong to
+ * 
+ * @param {string} type - The element type
+ * @returns {string|null} - The layer ID, or null if the type has no default layer
+ */
+export function getElementDefaultLayer(type) {
+  return getElementMetadata(type)?.layer || null;
+}
+
+/**
+ * Get the custom property schema of an element type
+ * 
+ * @param {string} type - The element type
+ * @returns {Array} - Property fields [{key, label, type, default, options}]
+ */
+export function getElementPropertySchema(type) {
+  return getElementMetadata(type)?.properties || [];
+}
+
+/**
+ * Get the auto-tiling settings of an element type
+ * 
+ * @param {string} type - The element type
+ * @returns {Object|null} - Connection settings {group, variants}, or null if the type doesn't connect
+ */
+export function getElementConnections(type) {
+  return getElementMetadata(type)?.connections || null;
+}
+
+// Ground tile types for the ground layer palette
+// color - fill of the tile's top face
+// traversalCost - route tool cost of crossing an empty cell of this type,
+//   or null if it can't be crossed
+export const GROUND_TILE_METADATA = [
+  {
+    id: 'grass',
+    type: 'grass',
+    name: 'Grass',
+    description: 'Open grassland',
+    color: '#7cb65a',
+    traversalCost: 3
+  },
+  {
+    id: 'water',
+    type: 'water',
+    name: 'Water',
+    description: 'Rivers, lakes and sea',
+    color: '#4a90d9',
+    traversalCost: null
+  },
+  {
+    id: 'sand',
+    type: 'sand',
+    name: 'Sand',
+    description: 'Beaches and dunes',
+    color: '#e3cf8f',
+    traversalCost: 4
+  },
+  {
+    id: 'asphalt',
+    type: 'asphalt',
+    name: 'Asphalt',
+    description: 'Paved surfaces and plazas',
+    color: '#5a5d63',
+    traversalCost: 1.5
+  },
+  {
+    id: 'rock',
+    type: 'rock',
+    name: 'Rock',
+    description: 'Bare rock on mountain peaks',
+    color: '#8c8479',
+    traversalCost: 5
+  }
+];
+
+/**
+ * Get the metadata entry for a ground tile type
+ * 
+ * @param {string} type - The ground tile type
+ * @returns {Object|undefined} - The metadata entry, if the type is registered
+ */
+export function getGroundTileMetadata(type) {
+  return GROUND_TILE_METADATA.find(meta => meta.type === type);
+}
+
+/**
+ * Get the route tool cost of crossing an empty cell of a ground type
+ * 
+ * @param {string|null} type - The ground tile type, or null for unpainted cells
+ * @returns {number|null} - Cost per cell, or null if the type blocks routes
+ */
+export function getGroundTraversalCost(type) {
+  const metadata = getGroundTileMetadata(type);
+  return metadata ? metadata.traversalCost : DEFAULT_TRAVERSAL_COST;
+}
+
+// Transition tile sets for the ground layer (see autotileUtils)
+// type - ground type whose edges spill over onto neighbouring cells
+// rule - 'blob47' for edge and corner transitions, 'wang16' for edges only
+// priority - a type spills over onto painted cells of types with a lower
+//   priority; types without a tile set never spill over and rank lowest
+// blend - depth of the transition band as a fraction of a tile
+export const GROUND_TILESETS = [
+  {
+    id: 'sand-shore',
+    type: 'sand',
+    rule: 'blob47',
+    priority: 1,
+    blend: 0.3
+  },
+  {
+    id: 'grass-edge',
+    type: 'grass',
+    rule: 'blob47',
+    priority: 2,
+    blend: 0.25
+  },
+  {
+    id: 'asphalt-curb',
+    type: 'asphalt',
+    rule: 'wang16',
+    priority: 3,
+    blend: 0.15
+  }
+];
+
+/**
+ * Get the transition tile set of a ground type
+ * 
+ * @param {string} type - The ground tile type
+ * @returns {Object|undefined} - The tile set, if the type has transitions
+ */
+export function getGroundTileset(type) {
+  return GROUND_TILESETS.find(tileset => tileset.type === type);
+}
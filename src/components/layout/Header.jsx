@@ -21,6 +21,7 @@ import {
 } from '@chakra-ui/react';
 import { useScene } from '../../context/SceneContext';
 import SceneControls from '../controls/SceneControls';
+import ArrangeMenu from '../controls/ArrangeMenu';
 
 /**
  * Header component with app title and main controls
@@ -30,6 +31,8 @@ export default function Header() {
   const { 
     undo,
     redo,
+    canUndo,
+    canRedo,
     clearScene,
     sceneName,
     sceneModified
@@ -95,6 +98,7 @@ export default function Header() {
                   aria-label="Undo"
                   icon={<span>↩️</span>}
                   onClick={undo}
+                  isDisabled={!canUndo}
                 />
               </Tooltip>
               
@@ -103,11 +107,15 @@ export default function Header() {
                   aria-label="Redo"
                   icon={<span>↪️</span>}
                   onClick={redo}
+                  isDisabled={!canRedo}
                 />
               </Tooltip>
             </ButtonGroup>
           )}
           
+          {/* Selection commands */}
+          {showButtons && <ArrangeMenu />}
+          
           {/* Scene Controls */}
           <SceneControls />
           
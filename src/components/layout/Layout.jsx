@@ -2,6 +2,7 @@ import { Box, Flex } from '@chakra-ui/react';
 import Header from './Header';
 import Sidebar from './Sidebar';
 import StatusBar from './StatusBar';
+import ElementInspector from '../controls/ElementInspector';
 
 /**
  * Main layout component for the application
@@ -36,6 +37,9 @@ export default function Layout({ children }) {
         >
           {children}
         </Box>
+        
+        {/* Inspector for the selected element's name, tags, notes and properties */}
+        <ElementInspector />
       </Flex>
       
       {/* Status bar */}
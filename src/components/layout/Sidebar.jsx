@@ -21,6 +21,10 @@ import {
 } from '@chakra-ui/react';
 import { useState } from 'react';
 import ElementPalette from '../controls/ElementPalette';
+import TerrainControls from '../controls/TerrainControls';
+import GroundPalette from '../controls/GroundPalette';
+import LayersPanel from '../controls/LayersPanel';
+import HistoryPanel from '../controls/HistoryPanel';
 
 /**
  * Sidebar component for element palette and additional controls
@@ -43,6 +47,10 @@ export default function Sidebar() {
       <Tabs isFitted variant="enclosed" flex="1" display="flex" flexDirection="column">
         <TabList>
           <Tab>Elements</Tab>
+          <Tab>Ground</Tab>
+          <Tab>Terrain</Tab>
+          <Tab>Layers</Tab>
+          <Tab>History</Tab>
           <Tab>Settings</Tab>
         </TabList>
         
@@ -50,6 +58,18 @@ export default function Sidebar() {
           <TabPanel p={2}>
             <ElementPalette />
           </TabPanel>
+          <TabPanel p={2}>
+            <GroundPalette />
+          </TabPanel>
+          <TabPanel p={2}>
+            <TerrainControls />
+          </TabPanel>
+          <TabPanel p={2}>
+            <LayersPanel />
+          </TabPanel>
+          <TabPanel p={2}>
+            <HistoryPanel />
+          </TabPanel>
           <TabPanel>
             <Box p={2}>
               <Heading size="xs" mb={2}>Grid Settings</Heading>
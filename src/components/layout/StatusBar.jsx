@@ -9,6 +9,7 @@ import {
   Badge
 } from '@chakra-ui/react';
 import { useScene } from '../../context/SceneContext';
+import { getCanvasTool } from '../canvas/tools';
 
 /**
  * StatusBar component to display scene information and additional controls
@@ -21,7 +22,9 @@ export default function StatusBar() {
     selectedElementId,
     offset,
     sceneName,
-    sceneModified
+    sceneModified,
+    activeTool,
+    route
   } = useScene();
   
   // Responsive adjustments
@@ -77,6 +80,17 @@ export default function StatusBar() {
         
         <Text>Elements: {elements.length}</Text>
         
+        <Text>Tool: {getCanvasTool(activeTool).name}</Text>
+        
+        {activeTool === 'route' && (
+          <Text>
+            Route: {!route.start ? 'click a start cell'
+              : !route.end ? 'click an end cell'
+              : route.path ? `length ${route.length.toFixed(1)} cells, cost ${route.cost.toFixed(1)}`
+              : 'no walkable path'}
+          </Text>
+        )}
+        
         {showDetails && selectedElement && (
           <Text>
             Selected: {selectedElement.type} at ({selectedElement.position.x}, {selectedElement.position.y})
@@ -1,4 +1,4 @@
-import { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import { createContext, useContext, useState, useCallback, useMemo, useRef } from 'react';
 import { 
   saveSceneToLocalStorage, 
   loadSceneFromLocalStorage, 
@@ -7,6 +7,51 @@ import {
   exportSceneAsSVG,
   importSceneFromJSON
 } from '../utils/sceneUtils';
+import { canPlaceElement, getElevation } from '../utils/placementUtils';
+import { createHeightmap, resizeHeightmap, applyTerrainBrush } from '../utils/terrainUtils';
+import { createGroundLayer, resizeGroundLayer } from '../utils/groundUtils';
+import { generateCity, generateTerrain } from '../utils/generatorUtils';
+import { createId, remapElementIds } from '../utils/idUtils';
+import { alignElements, distributeElements, mirrorElements } from '../utils/arrangeUtils';
+import { createClipboardText, parseClipboardText, positionPastedElements } from '../utils/clipboardUtils';
+import { buildTraversalCosts, findPath } from '../utils/pathUtils';
+import {
+  createHistory,
+  pushCommand,
+  getHistoryChanges,
+  moveToEntry,
+  getUndoTarget,
+  getRedoTarget,
+  describeElement,
+  describeElements,
+  describeElementUpdate
+} from '../utils/historyUtils';
+import { loadHistorySettings, saveHistorySettings, compactHistory, restoreHistory } from '../utils/historyStorageUtils';
+import { createDefaultLayers, createLayer, createLayerId, keepKnownLayers } from '../utils/layerUtils';
+import {
+  createGroupId,
+  getGroupMembers,
+  canPlaceElements,
+  addElementUnits,
+  translateElements,
+  rotateElements,
+  ungroupElements,
+  groupElements
+} from '../utils/groupUtils';
+import {
+  filterSelection,
+  toggleSelectionId,
+  getSelectedMembers,
+  invertSelection
+} from '../utils/selectionUtils';
+import {
+  loadPrefabLibrary,
+  savePrefabLibrary,
+  createPrefab,
+  createPrefabLayout,
+  instantiatePrefab,
+  updatePrefabInstances
+} from '../utils/prefabUtils';
 
 /**
  * Context for managing the isometric scene state
@@ -20,9 +65,13 @@ const SceneContext = createContext();
  * This component manages the entire state of the isometric scene including:
  * - Grid configuration (size, tile dimensions, visibility)
  * - Scene elements (objects placed on the grid)
- * - History for undo/redo functionality
+ * - Terrain heightmap and the active terrain brush
+ * - Ground layer (painted ground tiles) and the active ground brush
+ * - Element layers (visibility, lock, opacity and draw order)
+ * - Element groups and the prefab library
+ * - Branching command history for undo/redo, covering every scene document change
  * - View settings (zoom, pan offset)
- * - Element selection
+ * - Element selection (several elements at once) and batch operations on it
  * - Scene metadata and persistence
  * 
  * It provides a comprehensive API for manipulating the scene through
@@ -41,16 +90,45 @@ export function SceneProvider({ children }) {
   // Scene elements (objects placed on the grid)
   const [elements, setElements] = useState([]);
   
-  // History for undo/redo
-  const [history, setHistory] = useState([]);
-  const [historyIndex, setHistoryIndex] = useState(-1);
+  // Terrain height of every grid cell, as rows [y][x]
+  const [heightmap, setHeightmap] = useState(() => createHeightmap({ width: 10, height: 10 }));
+  
+  // Terrain brush used by the terrain tool
+  const [terrainBrush, setTerrainBrush] = useState({ mode: 'raise', radius: 1 });
+  
+  // Ground type of every grid cell, as rows [y][x] (null when unpainted)
+  const [groundTiles, setGroundTiles] = useState(() => createGroundLayer({ width: 10, height: 10 }));
+  
+  // Paint brush used by the paint, erase and place tools: the target (ground
+  // tiles or elements) and type picked in a palette, and how cells are picked
+  const [paintBrush, setPaintBrush] = useState({ target: null, type: null, tool: 'pencil' });
+  
+  // Element layers from bottom to top (see layerUtils)
+  const [layers, setLayers] = useState(createDefaultLayers);
+  
+  // Saved prefabs, shared by all scenes (see prefabUtils)
+  const [prefabs, setPrefabs] = useState(loadPrefabLibrary);
+  
+  // Route tool: diagonal steps and the picked cells
+  const [routeTool, setRouteTool] = useState({ diagonal: false, start: null, end: null });
+  
+  // Canvas tool that handles pointer input on the grid (see components/canvas/tools)
+  const [activeTool, setActiveToolId] = useState('select');
+  
+  // Command history for undo/redo (see historyUtils)
+  const [history, setHistory] = useState(() => createHistory('New scene'));
+  const historyRef = useRef(history);
+  
+  // How much history is saved with scenes, shared by all scenes (see historyStorageUtils)
+  const [historySettings, setHistorySettings] = useState(loadHistorySettings);
   
   // View settings
   const [zoom, setZoom] = useState(1);
   const [offset, setOffset] = useState({ x: 0, y: 0 });
   
-  // Selected element
-  const [selectedElementId, setSelectedElementId] = useState(null);
+  // Selected elements in the order they were selected; the last one is the primary selection (see selectionUtils)
+  const [selectedElementIds, setSelectedElementIds] = useState([]);
+  const selectedElementId = selectedElementIds[selectedElementIds.length - 1] ?? null;
   
   // Cursor position on grid
   const [cursorGridPosition, setCursorGridPosition] = useState({ x: 0, y: 0 });
@@ -60,83 +138,216 @@ export function SceneProvider({ children }) {
   const [sceneModified, setSceneModified] = useState(false);
   const [canvasRef, setCanvasRef] = useState(null);
   
+  // Latest scene document (see SCENE_DOCUMENT_KEYS), kept in step with the
+  // state above so commands always record the values they replace
+  const documentRef = useRef({ elements, groundTiles, heightmap, layers, gridSize, tileSize, sceneName });
+  
+  // Document values from before changes that haven't been recorded yet
+  const pendingChangesRef = useRef({});
+  
+  /**
+   * Apply changes to the scene document
+   * 
+   * Updates the state of each changed part along with the document ref.
+   * Elements that no longer exist, or whose layer was hidden or locked,
+   * are taken out of the selection.
+   * 
+   * @param {Object} changes - New values of scene document parts {elements, groundTiles, heightmap, layers, gridSize, tileSize, sceneName}
+   */
+  const applyDocumentChanges = useCallback((changes) => {
+    const setters = {
+      elements: setElements,
+      groundTiles: setGroundTiles,
+      heightmap: setHeightmap,
+      layers: setLayers,
+      gridSize: setGridSize,
+      tileSize: setTileSize,
+      sceneName: setSceneName
+    };
+    
+    documentRef.current = { ...documentRef.current, ...changes };
+    Object.entries(changes).forEach(([key, value]) => setters[key](value));
+    
+    if (changes.elements || changes.layers) {
+      const { elements: newElements, layers: newLayers } = documentRef.current;
+      setSelectedElementIds(prevIds => filterSelection(prevIds, newElements, newLayers));
+    }
+  }, []);
+  
+  /**
+   * Replace the command history
+   * 
+   * @param {Object} newHistory - The new history {entries, currentId, activeChildIds}
+   */
+  const updateHistory = useCallback((newHistory) => {
+    historyRef.current = newHistory;
+    setHistory(newHistory);
+  }, []);
+  
+  /**
+   * Change the scene document as one undoable command
+   * 
+   * Every scene change goes through here. Changes applied with
+   * recordHistory off are shown right away and recorded together with the
+   * next recorded command, so a brush stroke becomes a single undo step.
+   * 
+   * @param {string} label - Readable description of the change, e.g. 'Move Tree to 4,5'
+   * @param {Object} changes - New values of scene document parts
+   * @param {Object} options - Command options
+   * @param {boolean} options.recordHistory - Whether to record the change (and any pending changes) in history
+   * @param {string} options.mergeKey - Merge with the previous command if it has the same key (see pushCommand)
+   */
+  const commitChange = useCallback((label, changes, { recordHistory = true, mergeKey } = {}) => {
+    const pending = pendingChangesRef.current;
+    Object.keys(changes).forEach(key => {
+      if (!(key in pending)) pending[key] = documentRef.current[key];
+    });
+    
+    applyDocumentChanges(changes);
+    setSceneModified(true);
+    if (!recordHistory) return;
+    
+    const keys = Object.keys(pending).filter(key => pending[key] !== documentRef.current[key]);
+    pendingChangesRef.current = {};
+    if (keys.length === 0) return;
+    
+    const before = {};
+    const after = {};
+    keys.forEach(key => {
+      before[key] = pending[key];
+      after[key] = documentRef.current[key];
+    });
+    
+    updateHistory(pushCommand(historyRef.current, { label, before, after, mergeKey }));
+  }, [applyDocumentChanges, updateHistory]);
+  
+  /**
+   * Replace the whole scene document and its history
+   * 
+   * Used when a scene is created, loaded or imported.
+   * 
+   * @param {Object} document - The new scene document
+   * @param {Object} newHistory - The history of the new document, e.g. createHistory('Open My City')
+   */
+  const resetDocument = useCallback((document, newHistory) => {
+    pendingChangesRef.current = {};
+    applyDocumentChanges(document);
+    updateHistory(newHistory);
+  }, [applyDocumentChanges, updateHistory]);
+  
+  /**
+   * Update the history settings
+   * 
+   * @param {Object} updates - The settings to change {maxSavedSteps, maxSavedSizeKb, squashOnSave}
+   */
+  const updateHistorySettings = useCallback((updates) => {
+    setHistorySettings(prevSettings => {
+      const newSettings = { ...prevSettings, ...updates };
+      saveHistorySettings(newSettings);
+      return newSettings;
+    });
+  }, []);
+  
   /**
    * Add a new element to the scene
    * 
    * Creates a new element with the provided properties and adds it to the scene.
+   * The element's footprint must fit inside the grid and must not overlap
+   * cells occupied by other elements.
    * Also updates history and marks the scene as modified.
    * 
    * @param {Object} element - The element to add
+   * @returns {boolean} - Whether the element was placed
    */
   const addElement = useCallback((element) => {
-    setElements((prevElements) => {
-      const newElements = [...prevElements, {
-        id: Date.now().toString(),
-        ...element
-      }];
-      
-      // Add to history
-      addToHistory(newElements);
-      
-      // Mark scene as modified
-      setSceneModified(true);
-      
-      return newElements;
-    });
-  }, []);
+    const currentElements = documentRef.current.elements;
+    if (!canPlaceElement(element, currentElements, gridSize)) {
+      return false;
+    }
+    
+    const newElement = { id: createId(), ...element };
+    commitChange(
+      `Add ${describeElement(newElement)} at ${newElement.position.x},${newElement.position.y}`,
+      { elements: [...currentElements, newElement] }
+    );
+    
+    return true;
+  }, [gridSize, commitChange]);
   
   /**
    * Update an existing element
    * 
    * Updates the properties of an element with the specified ID.
-   * Also updates history and marks the scene as modified.
+   * Updates that move the element (or change its type) are rejected if the
+   * resulting footprint leaves the grid or overlaps another element.
+   * Also updates history and marks the scene as modified. Repeated updates
+   * of the same properties (e.g. from a slider) are merged into one undo step.
    * 
    * @param {string} id - The ID of the element to update
    * @param {Object} updates - The properties to update
+   * @returns {boolean} - Whether the update was applied
    */
   const updateElement = useCallback((id, updates) => {
-    setElements((prevElements) => {
-      const newElements = prevElements.map((element) => 
-        element.id === id ? { ...element, ...updates } : element
-      );
-      
-      // Add to history
-      addToHistory(newElements);
-      
-      // Mark scene as modified
-      setSceneModified(true);
-      
-      return newElements;
+    const currentElements = documentRef.current.elements;
+    const currentElement = currentElements.find(element => element.id === id);
+    if (!currentElement) return false;
+    
+    if ((updates.position || updates.type) &&
+        !canPlaceElement({ ...currentElement, ...updates }, currentElements, gridSize, id)) {
+      return false;
+    }
+    
+    commitChange(
+      describeElementUpdate(currentElement, updates),
+      {
+        elements: currentElements.map((element) =>
+          element.id === id ? { ...element, ...updates } : element
+        )
+      },
+      { mergeKey: `update-${id}-${Object.keys(updates).sort().join(',')}` }
+    );
+    
+    return true;
+  }, [gridSize, commitChange]);
+  
+  /**
+   * Remove a set of elements from the scene
+   * 
+   * @param {Array} members - The elements to remove, whole groups included
+   * @param {string} action - The verb of the history label
+   */
+  const removeMembers = useCallback((members, action = 'Delete') => {
+    if (members.length === 0) return;
+    
+    const removedIds = new Set(members.map(element => element.id));
+    commitChange(`${action} ${describeElements(members)}`, {
+      elements: documentRef.current.elements.filter((element) => !removedIds.has(element.id))
     });
-  }, []);
+  }, [commitChange]);
   
   /**
    * Remove an element from the scene
    * 
-   * Removes the element with the specified ID from the scene.
+   * Removes the element with the specified ID from the scene, along with
+   * the rest of its group.
    * Also updates history, marks the scene as modified, and deselects
    * the element if it was selected.
    * 
    * @param {string} id - The ID of the element to remove
    */
   const removeElement = useCallback((id) => {
-    setElements((prevElements) => {
-      const newElements = prevElements.filter((element) => element.id !== id);
-      
-      // Add to history
-      addToHistory(newElements);
-      
-      // Mark scene as modified
-      setSceneModified(true);
-      
-      return newElements;
-    });
-    
-    // Deselect if the removed element was selected
-    if (selectedElementId === id) {
-      setSelectedElementId(null);
-    }
-  }, [selectedElementId]);
+    removeMembers(getSelectedMembers(documentRef.current.elements, [id], documentRef.current.layers));
+  }, [removeMembers]);
+  
+  /**
+   * Remove the selected elements from the scene
+   * 
+   * Removes every selected element along with the rest of its group, as a
+   * single undo step.
+   */
+  const removeSelectedElements = useCallback(() => {
+    removeMembers(getSelectedMembers(documentRef.current.elements, selectedElementIds, documentRef.current.layers));
+  }, [selectedElementIds, removeMembers]);
   
   /**
    * Clear all elements from the scene
@@ -145,108 +356,792 @@ export function SceneProvider({ children }) {
    * marks the scene as modified, and deselects any selected element.
    */
   const clearScene = useCallback(() => {
-    // Add current state to history before clearing
-    addToHistory([]);
-    setElements([]);
-    setSelectedElementId(null);
+    if (documentRef.current.elements.length === 0) return;
     
-    // Mark scene as modified
-    setSceneModified(true);
-  }, []);
+    commitChange('Clear scene', { elements: [] });
+  }, [commitChange]);
+  
+  /**
+   * Duplicate a set of elements
+   * 
+   * The copies are offset by one cell and selected. Groups are copied into
+   * new groups. Nothing happens if the copies would not fit on the grid.
+   * 
+   * @param {Array} members - The elements to duplicate, whole groups included
+   * @param {Array} ids - The IDs to select the copies of; the other copies are not selected
+   */
+  const duplicateMembers = useCallback((members, ids) => {
+    if (members.length === 0) return;
+    
+    const currentElements = documentRef.current.elements;
+    
+    // Create new elements with the same properties but offset position
+    const { elements: remapped, idMap } = remapElementIds(members);
+    const copies = remapped.map(element => ({
+      ...element,
+      position: {
+        ...element.position,
+        x: element.position.x + 1,
+        y: element.position.y + 1
+      }
+    }));
+    
+    if (!canPlaceElements(copies, currentElements, gridSize)) return;
+    
+    commitChange(`Duplicate ${describeElements(members)}`, {
+      elements: [...currentElements, ...copies]
+    });
+    
+    // Select the copies of the selected elements
+    setSelectedElementIds(ids.map(id => idMap.get(id)).filter(Boolean));
+  }, [gridSize, commitChange]);
   
   /**
    * Duplicate an element
    * 
    * Creates a copy of the specified element with a slight position offset.
+   * Grouped elements are copied with their whole group, into a new group.
+   * Nothing happens if the copy would not fit on the grid at that position.
    * Also updates history, marks the scene as modified, and selects the new element.
    * 
    * @param {string} id - The ID of the element to duplicate
    */
   const duplicateElement = useCallback((id) => {
-    const elementToDuplicate = elements.find(element => element.id === id);
-    if (!elementToDuplicate) return;
+    duplicateMembers(getSelectedMembers(documentRef.current.elements, [id], documentRef.current.layers), [id]);
+  }, [duplicateMembers]);
+  
+  /**
+   * Duplicate the selected elements
+   * 
+   * Copies every selected element along with the rest of its group, as a
+   * single undo step, and selects the copies.
+   */
+  const duplicateSelectedElements = useCallback(() => {
+    duplicateMembers(getSelectedMembers(documentRef.current.elements, selectedElementIds, documentRef.current.layers), selectedElementIds);
+  }, [selectedElementIds, duplicateMembers]);
+  
+  /**
+   * Copy the selected elements
+   * 
+   * The scene is not changed; the caller puts the returned text on the
+   * system clipboard (see clipboardUtils).
+   * 
+   * @returns {string|null} - The clipboard text, or null if nothing is selected
+   */
+  const copySelectedElements = useCallback(() => {
+    const { elements: currentElements, tileSize: currentTileSize, layers: currentLayers } = documentRef.current;
+    const members = getSelectedMembers(currentElements, selectedElementIds, currentLayers);
+    if (members.length === 0) return null;
     
-    // Create a new element with the same properties but offset position
-    const newElement = {
-      ...elementToDuplicate,
-      id: Date.now().toString(),
-      position: {
-        x: elementToDuplicate.position.x + 1,
-        y: elementToDuplicate.position.y + 1
-      }
-    };
+    return createClipboardText(members, { tileSize: currentTileSize, layers: currentLayers });
+  }, [selectedElementIds]);
+  
+  /**
+   * Cut the selected elements
+   * 
+   * Copies the selected elements and removes them as a single undo step.
+   * 
+   * @returns {string|null} - The clipboard text, or null if nothing is selected
+   */
+  const cutSelectedElements = useCallback(() => {
+    const text = copySelectedElements();
+    if (text) removeMembers(getSelectedMembers(documentRef.current.elements, selectedElementIds, documentRef.current.layers), 'Cut');
+    return text;
+  }, [selectedElementIds, copySelectedElements, removeMembers]);
+  
+  /**
+   * Paste elements from clipboard text at the cursor
+   * 
+   * The elements keep their layout, with the top corner of their bounds
+   * at the cursor's grid cell (see positionPastedElements), and are
+   * selected. Groups are pasted as a whole; groups and elements that don't
+   * fit are skipped. Elements on layers the scene doesn't have move to
+   * their type's default layer.
+   * 
+   * @param {string} text - The clipboard text
+   * @returns {Object} - The outcome {success, error, added, skipped}
+   */
+  const pasteElements = useCallback((text) => {
+    let pasted;
+    try {
+      pasted = parseClipboardText(text);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
     
-    setElements(prevElements => {
-      const newElements = [...prevElements, newElement];
-      
-      // Add to history
-      addToHistory(newElements);
-      
-      // Mark scene as modified
-      setSceneModified(true);
-      
-      return newElements;
-    });
+    const { elements: currentElements, layers: currentLayers } = documentRef.current;
+    const incoming = keepKnownLayers(
+      positionPastedElements(pasted.elements, cursorGridPosition, currentElements, gridSize),
+      currentLayers
+    );
+    const { elements: newElements, added, skipped } = addElementUnits(incoming, currentElements, gridSize);
+    
+    if (added.length === 0) {
+      return { success: false, error: 'The pasted elements don\'t fit here.', added: 0, skipped: skipped + pasted.dropped };
+    }
     
-    // Select the new element
-    setSelectedElementId(newElement.id);
-  }, [elements]);
+    commitChange(`Paste ${describeElements(added)}`, { elements: newElements });
+    setSelectedElementIds(added.map(element => element.id));
+    
+    return { success: true, added: added.length, skipped: skipped + pasted.dropped };
+  }, [cursorGridPosition, gridSize, commitChange]);
   
   /**
-   * Add current state to history
+   * Jump to an entry in history
    * 
-   * Adds the current state of elements to the history stack.
-   * If we're not at the end of history, truncates the future history.
+   * Undoes the commands back to the entry the current one shares with the
+   * target, then replays the commands down to the target, so any branch
+   * can be reached. Unrecorded changes (e.g. from an unfinished brush
+   * stroke) are discarded.
    * 
-   * @param {Array} newElements - The new elements state to add to history
+   * @param {string} entryId - The ID of the history entry to jump to
    */
-  const addToHistory = useCallback((newElements) => {
-    setHistory(prevHistory => {
-      // If we're not at the end of the history, truncate
-      const newHistory = prevHistory.slice(0, historyIndex + 1);
-      return [...newHistory, newElements];
-    });
-    setHistoryIndex(prevIndex => prevIndex + 1);
-  }, [historyIndex]);
+  const jumpToHistory = useCallback((entryId) => {
+    const current = historyRef.current;
+    if (!entryId || entryId === current.currentId || !current.entries.some(entry => entry.id === entryId)) return;
+    
+    const pending = pendingChangesRef.current;
+    pendingChangesRef.current = {};
+    applyDocumentChanges({ ...pending, ...getHistoryChanges(current, entryId) });
+    updateHistory(moveToEntry(current, entryId));
+    setSceneModified(true);
+  }, [applyDocumentChanges, updateHistory]);
   
   /**
    * Undo the last action
    * 
-   * Reverts to the previous state in the history stack.
+   * Reverts the command of the current history entry.
    */
   const undo = useCallback(() => {
-    if (historyIndex > 0) {
-      setHistoryIndex(prevIndex => prevIndex - 1);
-      setElements(history[historyIndex - 1]);
-      setSceneModified(true);
-    }
-  }, [history, historyIndex]);
+    jumpToHistory(getUndoTarget(historyRef.current));
+  }, [jumpToHistory]);
   
   /**
    * Redo the last undone action
    * 
-   * Advances to the next state in the history stack.
+   * Reapplies the next command on the branch that was last visited.
    */
   const redo = useCallback(() => {
-    if (historyIndex < history.length - 1) {
-      setHistoryIndex(prevIndex => prevIndex + 1);
-      setElements(history[historyIndex + 1]);
-      setSceneModified(true);
-    }
-  }, [history, historyIndex]);
+    jumpToHistory(getRedoTarget(historyRef.current));
+  }, [jumpToHistory]);
   
   /**
    * Update grid size
    * 
    * Changes the number of cells in the isometric grid.
+   * The terrain heightmap and ground layer are resized to match.
    * 
    * @param {Object} newSize - The new grid size {width, height}
    */
   const updateGridSize = useCallback((newSize) => {
-    setGridSize(newSize);
-    setSceneModified(true);
+    const current = documentRef.current;
+    if (newSize.width === current.gridSize.width && newSize.height === current.gridSize.height) return;
+    
+    commitChange(`Resize grid to ${newSize.width} × ${newSize.height}`, {
+      gridSize: newSize,
+      heightmap: resizeHeightmap(current.heightmap, newSize),
+      groundTiles: resizeGroundLayer(current.groundTiles, newSize)
+    });
+  }, [commitChange]);
+  
+  /**
+   * Edit the terrain
+   * 
+   * Applies a terrain brush centred on a grid cell. Like paint strokes,
+   * brush strokes are not recorded while the pointer moves; the finished
+   * stroke is recorded as a single undo step by finishTerrainEdit.
+   * 
+   * @param {Object} brush - The brush {mode, radius, target}
+   * @param {Object} center - The cell at the centre of the brush {x, y}
+   */
+  const editTerrain = useCallback((brush, center) => {
+    commitChange(null, {
+      heightmap: applyTerrainBrush(documentRef.current.heightmap, brush, center, gridSize)
+    }, { recordHistory: false });
+  }, [gridSize, commitChange]);
+  
+  /**
+   * Record a finished terrain brush stroke in history
+   * 
+   * @param {Object} brush - The brush the stroke used {mode}
+   */
+  const finishTerrainEdit = useCallback((brush) => {
+    const action = brush.mode.charAt(0).toUpperCase() + brush.mode.slice(1);
+    commitChange(`${action} terrain`, {});
+  }, [commitChange]);
+  
+  /**
+   * Reset the terrain
+   * 
+   * Flattens every cell back to ground level.
+   */
+  const resetTerrain = useCallback(() => {
+    commitChange('Reset terrain', { heightmap: createHeightmap(gridSize) });
+  }, [gridSize, commitChange]);
+  
+  /**
+   * Update the terrain brush
+   * 
+   * Changes the active terrain brush mode or radius.
+   * 
+   * @param {Object} updates - The brush properties to update {mode, radius}
+   */
+  const updateTerrainBrush = useCallback((updates) => {
+    setTerrainBrush(prev => ({ ...prev, ...updates }));
+  }, []);
+  
+  /**
+   * Replace the scene elements
+   * 
+   * Used by the paint tools, which add or remove many elements at once.
+   * Like updateGroundTiles, strokes update the elements without recording
+   * history while the pointer moves, then record the finished stroke as a
+   * single undo step. The selection is cleared if the selected element was
+   * removed.
+   * 
+   * @param {Array} newElements - The new list of elements
+   * @param {boolean} recordHistory - Whether to add the change to history
+   * @param {string} label - History label of the change
+   */
+  const updateElements = useCallback((newElements, recordHistory = true, label = 'Edit elements') => {
+    commitChange(label, { elements: newElements }, { recordHistory });
+  }, [commitChange]);
+  
+  /**
+   * Move a set of elements so that one of them ends up at a new position
+   * 
+   * The others move along by the same offset. The move is rejected if any
+   * moved element would leave the grid or overlap another element.
+   * 
+   * @param {Array} members - The elements to move, whole groups included
+   * @param {string} anchorId - The ID of the element whose new position is given
+   * @param {Object} position - The anchor's new position {x, y, z}
+   * @returns {boolean} - Whether the elements were moved
+   */
+  const moveMembers = useCallback((members, anchorId, position) => {
+    const anchor = members.find(el => el.id === anchorId);
+    if (!anchor) return false;
+    
+    const delta = {
+      x: position.x - anchor.position.x,
+      y: position.y - anchor.position.y,
+      z: (position.z || 0) - getElevation(anchor)
+    };
+    const newElements = translateElements(documentRef.current.elements, members, delta, gridSize);
+    if (!newElements) return false;
+    
+    updateElements(newElements, true, `Move ${describeElements(members)} to ${position.x},${position.y}`);
+    return true;
+  }, [gridSize, updateElements]);
+  
+  /**
+   * Move an element to a new position
+   * 
+   * The rest of the element's group moves along by the same offset. The
+   * move is rejected if any moved element would leave the grid or overlap
+   * another element.
+   * 
+   * @param {string} id - The ID of the element to move
+   * @param {Object} position - The element's new position {x, y, z}
+   * @returns {boolean} - Whether the element was moved
+   */
+  const moveElement = useCallback((id, position) => (
+    moveMembers(getSelectedMembers(documentRef.current.elements, [id], documentRef.current.layers), id, position)
+  ), [moveMembers]);
+  
+  /**
+   * Move the selected elements
+   * 
+   * Used when one of the selected elements is dragged: every selected
+   * element, with the rest of its group, moves by the same offset as a
+   * single undo step.
+   * 
+   * @param {string} anchorId - The ID of the dragged element
+   * @param {Object} position - The dragged element's new position {x, y, z}
+   * @returns {boolean} - Whether the elements were moved
+   */
+  const moveSelectedElements = useCallback((anchorId, position) => (
+    moveMembers(getSelectedMembers(documentRef.current.elements, selectedElementIds, documentRef.current.layers), anchorId, position)
+  ), [selectedElementIds, moveMembers]);
+  
+  /**
+   * Rotate a set of elements around the centre of their bounds
+   * 
+   * @param {Array} members - The elements to rotate, whole groups included
+   * @param {number} degrees - Rotation in multiples of 90 (negative for anticlockwise)
+   * @returns {boolean} - Whether the elements were rotated
+   */
+  const rotateMembers = useCallback((members, degrees) => {
+    if (members.length === 0) return false;
+    
+    const newElements = rotateElements(documentRef.current.elements, members, degrees, gridSize);
+    if (!newElements) return false;
+    
+    updateElements(newElements, true, `Rotate ${describeElements(members)}`);
+    return true;
+  }, [gridSize, updateElements]);
+  
+  /**
+   * Rotate an element
+   * 
+   * A grouped element turns its whole group around the group's centre, so
+   * the layout rotates as one unit.
+   * 
+   * @param {string} id - The ID of the element to rotate
+   * @param {number} degrees - Rotation in multiples of 90 (negative for anticlockwise)
+   * @returns {boolean} - Whether the element was rotated
+   */
+  const rotateElement = useCallback((id, degrees) => (
+    rotateMembers(getSelectedMembers(documentRef.current.elements, [id], documentRef.current.layers), degrees)
+  ), [rotateMembers]);
+  
+  /**
+   * Rotate the selected elements
+   * 
+   * The selection turns as one unit around the centre of its bounds.
+   * 
+   * @param {number} degrees - Rotation in multiples of 90 (negative for anticlockwise)
+   * @returns {boolean} - Whether the elements were rotated
+   */
+  const rotateSelectedElements = useCallback((degrees) => (
+    rotateMembers(getSelectedMembers(documentRef.current.elements, selectedElementIds, documentRef.current.layers), degrees)
+  ), [selectedElementIds, rotateMembers]);
+  
+  /**
+   * Rearrange the selected elements as a single undo step
+   * 
+   * @param {string} verb - The verb of the history label, e.g. 'Align'
+   * @param {Function} arrange - Returns the updated elements given the scene elements and the selected members, or null if they don't fit
+   * @returns {boolean} - Whether the arranged elements fit
+   */
+  const arrangeSelectedElements = useCallback((verb, arrange) => {
+    const { elements: currentElements, layers: currentLayers } = documentRef.current;
+    const members = getSelectedMembers(currentElements, selectedElementIds, currentLayers);
+    if (members.length === 0) return false;
+    
+    const newElements = arrange(currentElements, members);
+    if (!newElements) return false;
+    
+    if (newElements !== currentElements) {
+      updateElements(newElements, true, `${verb} ${describeElements(members)}`);
+    }
+    return true;
+  }, [selectedElementIds, updateElements]);
+  
+  /**
+   * Align the selected elements along a grid axis
+   * 
+   * Groups move as a whole (see alignElements).
+   * 
+   * @param {string} axis - The grid axis to move along ('x' or 'y')
+   * @param {string} edge - What to line up ('start', 'center' or 'end')
+   * @returns {boolean} - Whether the aligned elements fit
+   */
+  const alignSelectedElements = useCallback((axis, edge) => (
+    arrangeSelectedElements('Align', (current, members) => alignElements(current, members, axis, edge, gridSize))
+  ), [gridSize, arrangeSelectedElements]);
+  
+  /**
+   * Space the selected elements evenly along a grid axis
+   * 
+   * @param {string} axis - The grid axis to move along ('x' or 'y')
+   * @returns {boolean} - Whether the distributed elements fit
+   */
+  const distributeSelectedElements = useCallback((axis) => (
+    arrangeSelectedElements('Distribute', (current, members) => distributeElements(current, members, axis, gridSize))
+  ), [gridSize, arrangeSelectedElements]);
+  
+  /**
+   * Mirror the selected elements across the centre of their bounds
+   * 
+   * @param {string} axis - The grid axis to flip ('x' or 'y')
+   * @returns {boolean} - Whether the mirrored elements fit
+   */
+  const mirrorSelectedElements = useCallback((axis) => (
+    arrangeSelectedElements('Mirror', (current, members) => mirrorElements(current, members, axis, gridSize))
+  ), [gridSize, arrangeSelectedElements]);
+  
+  /**
+   * Raise or lower a set of elements
+   * 
+   * No element can go below the ground or into the space of another element.
+   * 
+   * @param {Array} members - The elements to move, whole groups included
+   * @param {number} levels - Number of levels to move (negative to lower)
+   * @returns {boolean} - Whether the elements were moved
+   */
+  const raiseMembers = useCallback((members, levels) => {
+    if (members.length === 0) return false;
+    
+    const dz = Math.max(-Math.min(...members.map(getElevation)), levels);
+    if (dz === 0) return false;
+    
+    const newElements = translateElements(documentRef.current.elements, members, { z: dz }, gridSize);
+    if (!newElements) return false;
+    
+    updateElements(newElements, true, `${dz > 0 ? 'Raise' : 'Lower'} ${describeElements(members)}`);
+    return true;
+  }, [gridSize, updateElements]);
+  
+  /**
+   * Raise or lower an element
+   * 
+   * Moves an element, with the rest of its group, up or down by a number of
+   * elevation levels. No element can go below the ground or into the space
+   * of another element.
+   * 
+   * @param {string} id - The ID of the element to move
+   * @param {number} levels - Number of levels to move (negative to lower)
+   * @returns {boolean} - Whether the element was moved
+   */
+  const changeElementElevation = useCallback((id, levels) => (
+    raiseMembers(getSelectedMembers(documentRef.current.elements, [id], documentRef.current.layers), levels)
+  ), [raiseMembers]);
+  
+  /**
+   * Raise or lower the selected elements
+   * 
+   * @param {number} levels - Number of levels to move (negative to lower)
+   * @returns {boolean} - Whether the elements were moved
+   */
+  const changeSelectedElevation = useCallback((levels) => (
+    raiseMembers(getSelectedMembers(documentRef.current.elements, selectedElementIds, documentRef.current.layers), levels)
+  ), [selectedElementIds, raiseMembers]);
+  
+  /**
+   * Scale the selected elements
+   * 
+   * Repeated changes to the same selection (e.g. from a slider) are merged
+   * into one undo step.
+   * 
+   * @param {number} scale - The new scale factor
+   */
+  const scaleSelectedElements = useCallback((scale) => {
+    const { elements: currentElements, layers: currentLayers } = documentRef.current;
+    const members = getSelectedMembers(currentElements, selectedElementIds, currentLayers);
+    if (members.length === 0) return;
+    
+    const memberIds = new Set(members.map(element => element.id));
+    commitChange(
+      `Scale ${describeElements(members)}`,
+      { elements: currentElements.map(element => (memberIds.has(element.id) ? { ...element, scale } : element)) },
+      { mergeKey: `scale-${[...memberIds].sort().join(',')}` }
+    );
+  }, [selectedElementIds, commitChange]);
+  
+  /**
+   * Move the selected elements to another layer
+   * 
+   * Elements moved to a hidden or locked layer leave the selection.
+   * 
+   * @param {string} layerId - The ID of the layer
+   */
+  const moveSelectedToLayer = useCallback((layerId) => {
+    const { elements: currentElements, layers: currentLayers } = documentRef.current;
+    const members = getSelectedMembers(currentElements, selectedElementIds, currentLayers);
+    const layer = currentLayers.find(l => l.id === layerId);
+    if (members.length === 0 || !layer) return;
+    
+    const memberIds = new Set(members.map(element => element.id));
+    updateElements(
+      currentElements.map(element => (memberIds.has(element.id) ? { ...element, layerId } : element)),
+      true,
+      `Move ${describeElements(members)} to layer ${layer.name}`
+    );
+  }, [selectedElementIds, updateElements]);
+  
+  /**
+   * Group the selected elements
+   * 
+   * The selected elements, along with the rest of any groups they belong
+   * to, form one new group.
+   */
+  const groupSelectedElements = useCallback(() => {
+    const { elements: currentElements, layers: currentLayers } = documentRef.current;
+    const members = getSelectedMembers(currentElements, selectedElementIds, currentLayers);
+    if (members.length < 2) return;
+    
+    updateElements(groupElements(currentElements, selectedElementIds), true, `Group ${describeElements(members)}`);
+  }, [selectedElementIds, updateElements]);
+  
+  /**
+   * Dissolve the group an element belongs to
+   * 
+   * @param {string} id - The ID of one of the group's elements
+   */
+  const ungroupElement = useCallback((id) => {
+    const currentElements = documentRef.current.elements;
+    updateElements(ungroupElements(currentElements, id), true, `Ungroup ${describeElements(getGroupMembers(currentElements, id))}`);
+  }, [updateElements]);
+  
+  /**
+   * Replace the prefab library
+   * 
+   * @param {Array} newPrefabs - The new list of prefabs
+   */
+  const updatePrefabLibrary = useCallback((newPrefabs) => {
+    setPrefabs(newPrefabs);
+    savePrefabLibrary(newPrefabs);
+  }, []);
+  
+  /**
+   * Save an element's group as a new prefab
+   * 
+   * The group becomes the prefab's first instance.
+   * 
+   * @param {string} id - The ID of one of the group's elements
+   * @param {string} name - The prefab name
+   * @returns {Object|null} - The new prefab, or null if the element doesn't exist
+   */
+  const saveGroupAsPrefab = useCallback((id, name) => {
+    const currentElements = documentRef.current.elements;
+    const members = getGroupMembers(currentElements, id);
+    if (members.length === 0) return null;
+    
+    const prefab = createPrefab(name, members);
+    const groupId = members[0].groupId || createGroupId();
+    const memberIds = new Set(members.map(element => element.id));
+    
+    updatePrefabLibrary([...prefabs, prefab]);
+    updateElements(currentElements.map(element =>
+      memberIds.has(element.id) ? { ...element, groupId, prefabId: prefab.id } : element
+    ), true, `Save ${describeElements(members)} as prefab ${name}`);
+    
+    return prefab;
+  }, [prefabs, updatePrefabLibrary, updateElements]);
+  
+  /**
+   * Update a prefab from an edited instance
+   * 
+   * Saves the layout of the element's group as the new prefab layout.
+   * Other instances can be rebuilt from the new layout in the same undo step.
+   * 
+   * @param {string} id - The ID of one of the instance's elements
+   * @param {boolean} updateInstances - Whether to rebuild the prefab's other instances
+   * @returns {Object|null} - Numbers of rebuilt and skipped instances {updated, skipped}, or null if the element isn't a prefab instance
+   */
+  const updatePrefabFromGroup = useCallback((id, updateInstances = false) => {
+    const currentElements = documentRef.current.elements;
+    const members = getGroupMembers(currentElements, id);
+    const prefab = prefabs.find(p => p.id === members.find(el => el.id === id)?.prefabId);
+    if (!prefab) return null;
+    
+    const updatedPrefab = { ...prefab, ...createPrefabLayout(members) };
+    const memberIds = new Set(members.map(element => element.id));
+    let newElements = currentElements.map(element =>
+      memberIds.has(element.id) ? { ...element, prefabId: prefab.id } : element
+    );
+    let result = { updated: 0, skipped: 0 };
+    
+    if (updateInstances) {
+      const { elements: rebuilt, ...counts } = updatePrefabInstances(newElements, updatedPrefab, gridSize, members[0].groupId);
+      newElements = rebuilt;
+      result = counts;
+    }
+    
+    updatePrefabLibrary(prefabs.map(p => (p.id === prefab.id ? updatedPrefab : p)));
+    updateElements(newElements, true, `Update prefab ${prefab.name}`);
+    
+    return result;
+  }, [prefabs, gridSize, updatePrefabLibrary, updateElements]);
+  
+  /**
+   * Rename a prefab
+   * 
+   * @param {string} prefabId - The ID of the prefab
+   * @param {string} name - The new name
+   */
+  const renamePrefab = useCallback((prefabId, name) => {
+    updatePrefabLibrary(prefabs.map(prefab => (prefab.id === prefabId ? { ...prefab, name } : prefab)));
+  }, [prefabs, updatePrefabLibrary]);
+  
+  /**
+   * Remove a prefab from the library
+   * 
+   * Placed instances stay in their scenes as regular groups.
+   * 
+   * @param {string} prefabId - The ID of the prefab
+   */
+  const removePrefab = useCallback((prefabId) => {
+    updatePrefabLibrary(prefabs.filter(prefab => prefab.id !== prefabId));
+  }, [prefabs, updatePrefabLibrary]);
+  
+  /**
+   * Place a prefab on the grid
+   * 
+   * Prefabs are shared between scenes, so elements on layers the scene
+   * doesn't have move to their type's default layer.
+   * 
+   * @param {string} prefabId - The ID of the prefab
+   * @param {Object} origin - Cell of the instance's top corner {x, y}
+   * @returns {boolean} - Whether the prefab was placed
+   */
+  const placePrefab = useCallback((prefabId, origin) => {
+    const prefab = prefabs.find(p => p.id === prefabId);
+    if (!prefab) return false;
+    
+    const { elements: currentElements, layers: currentLayers } = documentRef.current;
+    const placed = instantiatePrefab(prefab, origin, currentElements, gridSize);
+    if (!placed) return false;
+    
+    const instance = keepKnownLayers(placed, currentLayers);
+    updateElements([...currentElements, ...instance], true, `Place prefab ${prefab.name}`);
+    setSelectedElementIds(instance.length > 0 ? [instance[0].id] : []);
+    return true;
+  }, [prefabs, gridSize, updateElements]);
+  
+  /**
+   * Update the ground layer
+   * 
+   * Replaces the painted ground tiles. Brush strokes update the layer
+   * without recording history while the pointer moves, then record the
+   * finished stroke as a single undo step.
+   * 
+   * @param {Array} newTiles - The new ground layer rows [y][x]
+   * @param {boolean} recordHistory - Whether to add the change to history
+   * @param {string} label - History label of the change
+   */
+  const updateGroundTiles = useCallback((newTiles, recordHistory = true, label = 'Paint ground') => {
+    commitChange(label, { groundTiles: newTiles }, { recordHistory });
+  }, [commitChange]);
+  
+  /**
+   * Update the paint brush
+   * 
+   * Changes what the paint brush paints (ground tiles or elements), the
+   * type it paints and the tool used to pick cells.
+   * 
+   * @param {Object} updates - The brush properties to update {target, type, tool}
+   */
+  const updatePaintBrush = useCallback((updates) => {
+    setPaintBrush(prev => ({ ...prev, ...updates }));
   }, []);
   
+  /**
+   * Update the route tool
+   * 
+   * Toggles diagonal steps and sets the route's start and end cells.
+   * 
+   * @param {Object} updates - The route tool properties to update {diagonal, start, end}
+   */
+  const updateRouteTool = useCallback((updates) => {
+    setRouteTool(prev => ({ ...prev, ...updates }));
+  }, []);
+  
+  // Route between the route tool's cells {start, end, path, cost, length},
+  // recalculated whenever the scene changes so the drawn path and the
+  // reported length and cost stay current; path is null when no route was
+  // found or the end is not picked yet
+  const route = useMemo(() => {
+    const { start, end, diagonal } = routeTool;
+    const result = { start, end, path: null, cost: 0, length: 0 };
+    if (!start || !end) return result;
+    
+    const costs = buildTraversalCosts(elements, groundTiles, gridSize);
+    const found = findPath(costs, start, end, { diagonal, heightmap });
+    
+    return found ? { ...result, ...found } : result;
+  }, [elements, groundTiles, heightmap, gridSize, routeTool]);
+  
+  /**
+   * Switch the canvas tool
+   * 
+   * Only one tool handles pointer input at a time. Leaving the route tool
+   * clears the picked route.
+   * 
+   * @param {string} toolId - The ID of the tool (see components/canvas/tools)
+   */
+  const setActiveTool = useCallback((toolId) => {
+    setActiveToolId(toolId);
+    
+    if (toolId !== 'route') {
+      setRouteTool(prev => (prev.start || prev.end ? { ...prev, start: null, end: null } : prev));
+    }
+  }, []);
+  
+  /**
+   * Update a layer
+   * 
+   * Changes a layer's name, visibility, lock, opacity or draw order
+   * override. Elements on a layer that is hidden or locked leave the
+   * selection. Opacity changes from dragging a slider are merged into one undo
+   * step.
+   * 
+   * @param {string} id - The ID of the layer to update
+   * @param {Object} updates - The layer properties to update {name, visible, locked, opacity, drawOnTop}
+   */
+  const updateLayer = useCallback((id, updates) => {
+    const currentLayers = documentRef.current.layers;
+    const layer = currentLayers.find(l => l.id === id);
+    if (!layer) return;
+    
+    const newLayers = currentLayers.map(l => (l.id === id ? { ...l, ...updates } : l));
+    
+    let label = `Edit layer ${layer.name}`;
+    if (updates.name !== undefined) label = `Rename layer ${layer.name} to ${updates.name}`;
+    else if (updates.visible !== undefined) label = `${updates.visible ? 'Show' : 'Hide'} layer ${layer.name}`;
+    else if (updates.locked !== undefined) label = `${updates.locked ? 'Lock' : 'Unlock'} layer ${layer.name}`;
+    else if (updates.opacity !== undefined) label = `Set opacity of layer ${layer.name}`;
+    else if (updates.drawOnTop !== undefined) label = `${updates.drawOnTop ? 'Draw' : 'Stop drawing'} layer ${layer.name} on top`;
+    
+    commitChange(label, { layers: newLayers }, { mergeKey: `layer-${id}-${Object.keys(updates).sort().join(',')}` });
+  }, [commitChange]);
+  
+  /**
+   * Move a layer up or down the layer list
+   * 
+   * @param {string} id - The ID of the layer to move
+   * @param {number} direction - 1 to move the layer up, -1 to move it down
+   */
+  const moveLayer = useCallback((id, direction) => {
+    const currentLayers = documentRef.current.layers;
+    const index = currentLayers.findIndex(layer => layer.id === id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= currentLayers.length) return;
+    
+    const newLayers = [...currentLayers];
+    [newLayers[index], newLayers[target]] = [newLayers[target], newLayers[index]];
+    commitChange(`Move layer ${currentLayers[index].name} ${direction > 0 ? 'up' : 'down'}`, { layers: newLayers });
+  }, [commitChange]);
+  
+  /**
+   * Add a layer at the top of the layer list
+   * 
+   * @param {string} name - The name of the new layer
+   * @returns {string} - The ID of the new layer
+   */
+  const addLayer = useCallback((name) => {
+    const currentLayers = documentRef.current.layers;
+    const id = createLayerId(name, currentLayers);
+    commitChange(`Add layer ${name}`, { layers: [...currentLayers, createLayer({ id, name })] });
+    return id;
+  }, [commitChange]);
+  
+  /**
+   * Remove a layer
+   * 
+   * Elements on the layer move back to the default layer of their type.
+   * The last remaining layer can't be removed.
+   * 
+   * @param {string} id - The ID of the layer to remove
+   * @returns {boolean} - Whether the layer was removed
+   */
+  const removeLayer = useCallback((id) => {
+    const { elements: currentElements, layers: currentLayers } = documentRef.current;
+    const layer = currentLayers.find(l => l.id === id);
+    if (currentLayers.length <= 1 || !layer) return false;
+    
+    const changes = { layers: currentLayers.filter(l => l.id !== id) };
+    if (currentElements.some(element => element.layerId === id)) {
+      changes.elements = currentElements.map(element =>
+        element.layerId === id ? { ...element, layerId: undefined } : element
+      );
+    }
+    
+    commitChange(`Remove layer ${layer.name}`, changes);
+    return true;
+  }, [commitChange]);
+  
   /**
    * Update tile size
    * 
@@ -255,9 +1150,11 @@ export function SceneProvider({ children }) {
    * @param {Object} newSize - The new tile size {width, height}
    */
   const updateTileSize = useCallback((newSize) => {
-    setTileSize(newSize);
-    setSceneModified(true);
-  }, []);
+    const current = documentRef.current.tileSize;
+    if (newSize.width === current.width && newSize.height === current.height) return;
+    
+    commitChange(`Change tile size to ${newSize.width} × ${newSize.height}`, { tileSize: newSize }, { mergeKey: 'tile-size' });
+  }, [commitChange]);
   
   /**
    * Toggle grid visibility
@@ -293,14 +1190,48 @@ export function SceneProvider({ children }) {
   /**
    * Select an element
    * 
-   * Sets the currently selected element by ID.
+   * Replaces the selection with a single element.
    * 
    * @param {string|null} id - The ID of the element to select, or null to deselect
    */
   const selectElement = useCallback((id) => {
-    setSelectedElementId(id);
+    setSelectedElementIds(id ? [id] : []);
+  }, []);
+  
+  /**
+   * Add an element to the selection, or take it out again
+   * 
+   * @param {string} id - The ID of the element to toggle
+   */
+  const toggleElementSelection = useCallback((id) => {
+    setSelectedElementIds(prevIds => toggleSelectionId(prevIds, id));
   }, []);
   
+  /**
+   * Replace the selection
+   * 
+   * Elements on hidden or locked layers are left out.
+   * 
+   * @param {Array} ids - The IDs of the elements to select
+   */
+  const selectElements = useCallback((ids) => {
+    setSelectedElementIds(filterSelection(ids, elements, layers));
+  }, [elements, layers]);
+  
+  /**
+   * Select every element on a visible, unlocked layer
+   */
+  const selectAllElements = useCallback(() => {
+    setSelectedElementIds(filterSelection(elements.map(element => element.id), elements, layers));
+  }, [elements, layers]);
+  
+  /**
+   * Select the elements that aren't selected, and deselect the ones that are
+   */
+  const invertElementSelection = useCallback(() => {
+    setSelectedElementIds(prevIds => invertSelection(prevIds, elements, layers));
+  }, [elements, layers]);
+  
   /**
    * Update cursor grid position
    * 
@@ -329,70 +1260,145 @@ export function SceneProvider({ children }) {
    * Clears the current scene and resets all scene-related state.
    */
   const createNewScene = useCallback(() => {
-    clearScene();
-    setSceneName('Untitled Scene');
+    resetDocument({
+      elements: [],
+      heightmap: createHeightmap(gridSize),
+      groundTiles: createGroundLayer(gridSize),
+      layers: createDefaultLayers(),
+      sceneName: 'Untitled Scene'
+    }, createHistory('New scene'));
     setSceneModified(false);
     setZoom(1);
     setOffset({ x: 0, y: 0 });
-  }, [clearScene]);
+  }, [resetDocument, gridSize]);
+  
+  /**
+   * Generate a city layout
+   * 
+   * Replaces all elements with a procedurally generated road network and
+   * city blocks covering the current grid. The result is recorded as a
+   * single undo step.
+   * 
+   * @param {Object} options - Generator settings {seed, density, blockSize, zoning}
+   * @returns {number} - Number of generated elements
+   */
+  const generateCityScene = useCallback((options) => {
+    const generated = generateCity(gridSize, options);
+    updateElements(generated, true, 'Generate city');
+    return generated.length;
+  }, [gridSize, updateElements]);
+  
+  /**
+   * Generate terrain
+   * 
+   * Replaces the heightmap, ground layer and elements with noise-generated
+   * terrain, biomes and vegetation covering the current grid. The result
+   * is recorded as a single undo step.
+   * 
+   * @param {Object} options - Generator settings (see TERRAIN_GENERATOR_DEFAULTS)
+   * @returns {number} - Number of generated elements
+   */
+  const generateTerrainScene = useCallback((options) => {
+    const generated = generateTerrain(gridSize, options);
+    
+    commitChange('Generate terrain', {
+      heightmap: generated.heightmap,
+      groundTiles: generated.groundTiles,
+      elements: generated.elements
+    });
+    
+    return generated.elements.length;
+  }, [gridSize, commitChange]);
   
   /**
    * Save the current scene
    * 
-   * Saves the current scene state to localStorage.
+   * Saves the current scene state to localStorage, along with its undo
+   * history as far as the history settings allow. Saving under a new name
+   * renames the scene, which is recorded in history before the history is
+   * saved, so the saved history ends at the saved state.
    * 
    * @param {string} name - The name to save the scene under
    * @returns {boolean} - Whether the save was successful
    */
-  const saveScene = useCallback((name = sceneName) => {
+  const saveScene = useCallback((name = documentRef.current.sceneName) => {
+    if (name !== documentRef.current.sceneName) {
+      commitChange(`Rename scene to ${name}`, { sceneName: name });
+    }
+    
+    // serializeScene picks the parts of the document it saves
     const sceneState = {
-      elements,
-      gridSize,
-      tileSize
+      ...documentRef.current,
+      history: compactHistory(historyRef.current, historySettings)
     };
     
     const success = saveSceneToLocalStorage(name, sceneState);
-    
-    if (success) {
-      setSceneName(name);
-      setSceneModified(false);
-    }
+    if (success) setSceneModified(false);
     
     return success;
-  }, [elements, gridSize, tileSize, sceneName]);
+  }, [historySettings, commitChange]);
+  
+  /**
+   * Replace the scene with a deserialized scene
+   * 
+   * The history saved with the scene is restored if it has any; otherwise
+   * a new history is started.
+   * 
+   * @param {Object} sceneState - The scene state (see deserializeScene)
+   * @param {string} name - The scene name
+   * @param {string} label - Label of the first entry of a new history
+   * @returns {boolean} - Whether the saved history was restored
+   */
+  const openSceneState = useCallback((sceneState, name, label) => {
+    const sceneGridSize = sceneState.gridSize || gridSize;
+    
+    const document = {
+      elements: sceneState.elements || [],
+      gridSize: sceneGridSize,
+      tileSize: sceneState.tileSize || documentRef.current.tileSize,
+      heightmap: resizeHeightmap(sceneState.heightmap || [], sceneGridSize),
+      groundTiles: resizeGroundLayer(sceneState.groundTiles || [], sceneGridSize),
+      layers: sceneState.layers,
+      sceneName: name
+    };
+    const { history: newHistory, restored } = restoreHistory(sceneState.history, document, label);
+    
+    resetDocument(document, newHistory);
+    return restored;
+  }, [gridSize, resetDocument]);
   
   /**
    * Load a saved scene
    * 
-   * Loads a scene from localStorage and updates the current state.
+   * Loads a scene from localStorage and updates the current state. Scenes
+   * saved with an older schema version, or repaired while loading, are
+   * marked as modified, so saving them again stores the updated data.
+   * The undo history saved with the scene is restored, so changes made
+   * before it was saved can still be undone.
    * 
    * @param {string} name - The name of the scene to load
-   * @returns {boolean} - Whether the load was successful
+   * @param {Object} options - Load options {repair} (see deserializeScene)
+   * @returns {Object} - The outcome {success, error, problems, migration, repairs, historyRestored}, where migration describes any schema upgrade {fromVersion, applied, warnings}, problems lists what blocked the load and historyRestored tells whether the saved undo history was restored
    */
-  const loadScene = useCallback((name) => {
-    const sceneState = loadSceneFromLocalStorage(name);
+  const loadScene = useCallback((name, options) => {
+    let sceneState;
+    try {
+      sceneState = loadSceneFromLocalStorage(name, options);
+    } catch (error) {
+      return { success: false, error: error.message, problems: error.problems };
+    }
     
     if (sceneState) {
-      const { elements: loadedElements, gridSize: loadedGridSize, tileSize: loadedTileSize } = sceneState;
-      
-      // Update state with loaded scene data
-      setElements(loadedElements || []);
-      if (loadedGridSize) setGridSize(loadedGridSize);
-      if (loadedTileSize) setTileSize(loadedTileSize);
+      const { migration, repairs } = sceneState;
       
-      // Reset history with the loaded state
-      setHistory([loadedElements || []]);
-      setHistoryIndex(0);
+      const historyRestored = openSceneState(sceneState, name, `Open ${name}`);
+      setSceneModified(migration.applied.length > 0 || repairs.length > 0);
       
-      // Update scene metadata
-      setSceneName(name);
-      setSceneModified(false);
-      
-      return true;
+      return { success: true, migration, repairs, historyRestored };
     }
     
-    return false;
-  }, []);
+    return { success: false, error: `No saved scene named "${name}".` };
+  }, [openSceneState]);
   
   /**
    * Export the scene as JSON
@@ -406,11 +1412,14 @@ export function SceneProvider({ children }) {
     const sceneState = {
       elements,
       gridSize,
-      tileSize
+      tileSize,
+      heightmap,
+      groundTiles,
+      layers
     };
     
     return exportSceneAsJSON(sceneState, filename);
-  }, [elements, gridSize, tileSize, sceneName]);
+  }, [elements, gridSize, tileSize, heightmap, groundTiles, layers, sceneName]);
   
   /**
    * Export the scene as an image
@@ -445,50 +1454,59 @@ export function SceneProvider({ children }) {
   /**
    * Import a scene from JSON file
    * 
-   * Imports a scene from a JSON file and updates the current state.
+   * Imports a scene from a JSON file and updates the current state. Files
+   * written with an older schema version are upgraded.
    * 
    * @param {File} file - The JSON file to import
-   * @returns {Promise<boolean>} - Whether the import was successful
+   * @param {Object} options - Import options {repair} (see deserializeScene)
+   * @returns {Promise<Object>} - The outcome {success, error, problems, migration, repairs}, where migration describes any schema upgrade {fromVersion, applied, warnings} and problems lists what blocked the import
    */
-  const importScene = useCallback(async (file) => {
+  const importScene = useCallback(async (file, options) => {
     try {
-      const sceneState = await importSceneFromJSON(file);
+      const sceneState = await importSceneFromJSON(file, options);
+      const { migration, repairs } = sceneState;
       
-      if (sceneState) {
-        const { elements: importedElements, gridSize: importedGridSize, tileSize: importedTileSize } = sceneState;
-        
-        // Update state with imported scene data
-        setElements(importedElements || []);
-        if (importedGridSize) setGridSize(importedGridSize);
-        if (importedTileSize) setTileSize(importedTileSize);
-        
-        // Reset history with the imported state
-        setHistory([importedElements || []]);
-        setHistoryIndex(0);
-        
-        // Update scene metadata
-        setSceneName(file.name.replace(/\.[^/.]+$/, '') || 'Imported Scene');
-        setSceneModified(true);
-        
-        return true;
-      }
+      openSceneState(sceneState, file.name.replace(/\.[^/.]+$/, '') || 'Imported Scene', `Import ${file.name}`);
+      setSceneModified(true);
+      
+      return { success: true, migration, repairs };
     } catch (error) {
       console.error('Error importing scene:', error);
+      return { success: false, error: error.message, problems: error.problems };
     }
-    
-    return false;
-  }, []);
+  }, [openSceneState]);
   
   /**
-   * Initialize history with empty state
-   * This ensures we always have at least one history entry
+   * Merge the elements of a scene file into the current scene
+   * 
+   * The incoming elements get fresh IDs (see remapElementIds) and keep their
+   * positions. Groups are merged as a whole; elements or groups that don't
+   * fit next to the current elements are skipped. Elements on layers the
+   * current scene doesn't have move to their type's default layer. Terrain
+   * and ground tiles of the merged scene are not merged.
+   * 
+   * @param {File} file - The JSON file to merge
+   * @param {Object} options - Import options {repair} (see deserializeScene)
+   * @returns {Promise<Object>} - The outcome {success, error, problems, migration, repairs, added, skipped}
    */
-  useEffect(() => {
-    if (history.length === 0) {
-      setHistory([[]]);
-      setHistoryIndex(0);
+  const mergeScene = useCallback(async (file, options) => {
+    let sceneState;
+    try {
+      sceneState = await importSceneFromJSON(file, options);
+    } catch (error) {
+      console.error('Error merging scene:', error);
+      return { success: false, error: error.message, problems: error.problems };
     }
-  }, [history.length]);
+    
+    // The scene may have changed while the file was read
+    const { elements: currentElements, layers: currentLayers, gridSize: currentGridSize } = documentRef.current;
+    const incoming = keepKnownLayers(remapElementIds(sceneState.elements).elements, currentLayers);
+    const { elements: merged, added, skipped } = addElementUnits(incoming, currentElements, currentGridSize);
+    
+    if (added.length > 0) updateElements(merged, true, `Merge ${file.name}`);
+    
+    return { success: true, migration: sceneState.migration, repairs: sceneState.repairs, added: added.length, skipped };
+  }, [updateElements]);
   
   // Context value containing all state and functions
   const value = {
@@ -500,11 +1518,35 @@ export function SceneProvider({ children }) {
     // Scene elements
     elements,
     
+    // Terrain
+    heightmap,
+    terrainBrush,
+    
+    // Ground layer
+    groundTiles,
+    
+    // Paint brush
+    paintBrush,
+    
+    // Route tool
+    routeTool,
+    route,
+    
+    // Canvas tool
+    activeTool,
+    
+    // Layers
+    layers,
+    
+    // Prefab library
+    prefabs,
+    
     // View settings
     zoom,
     offset,
     
     // Selection
+    selectedElementIds,
     selectedElementId,
     cursorGridPosition,
     
@@ -512,28 +1554,90 @@ export function SceneProvider({ children }) {
     sceneName,
     sceneModified,
     
+    // Command history
+    history,
+    canUndo: getUndoTarget(history) !== null,
+    canRedo: getRedoTarget(history) !== null,
+    historySettings,
+    updateHistorySettings,
+    
     // Element operations
     addElement,
     updateElement,
     removeElement,
     clearScene,
     duplicateElement,
+    changeElementElevation,
+    updateElements,
+    moveElement,
+    rotateElement,
+    
+    // Group and prefab operations
+    groupSelectedElements,
+    ungroupElement,
+    saveGroupAsPrefab,
+    updatePrefabFromGroup,
+    renamePrefab,
+    removePrefab,
+    placePrefab,
     
     // History operations
     undo,
     redo,
+    jumpToHistory,
     
     // Grid operations
     updateGridSize,
     updateTileSize,
     toggleGridVisibility,
     
+    // Terrain operations
+    editTerrain,
+    finishTerrainEdit,
+    resetTerrain,
+    updateTerrainBrush,
+    
+    // Ground layer operations
+    updateGroundTiles,
+    
+    // Paint operations
+    updatePaintBrush,
+    
+    // Route operations
+    updateRouteTool,
+    
+    // Tool operations
+    setActiveTool,
+    
+    // Layer operations
+    updateLayer,
+    moveLayer,
+    addLayer,
+    removeLayer,
+    
     // View operations
     updateZoom,
     updateOffset,
     
     // Selection operations
     selectElement,
+    toggleElementSelection,
+    selectElements,
+    selectAllElements,
+    invertElementSelection,
+    removeSelectedElements,
+    duplicateSelectedElements,
+    copySelectedElements,
+    cutSelectedElements,
+    pasteElements,
+    moveSelectedElements,
+    rotateSelectedElements,
+    alignSelectedElements,
+    distributeSelectedElements,
+    mirrorSelectedElements,
+    changeSelectedElevation,
+    scaleSelectedElements,
+    moveSelectedToLayer,
     updateCursorGridPosition,
     
     // Canvas reference
@@ -541,12 +1645,15 @@ export function SceneProvider({ children }) {
     
     // Scene operations
     createNewScene,
+    generateCityScene,
+    generateTerrainScene,
     saveScene,
     loadScene,
     exportSceneJSON,
     exportSceneImage,
     exportSceneSVG,
-    importScene
+    importScene,
+    mergeScene
   };
   
   return (
@@ -2,6 +2,9 @@ import { useCallback } from 'react';
 import { useDndMonitor } from '@dnd-kit/core';
 import { useScene } from '../context/SceneContext';
 import { screenToIsometric } from '../utils/isometricUtils';
+import { canPlaceElement, getStackElevation, getFootprint } from '../utils/placementUtils';
+import { getElementFootprint, DEFAULT_FOOTPRINT } from '../components/elements/metadata';
+import { getSelectedMembers } from '../utils/selectionUtils';
 
 /**
  * Custom hook for handling drag and drop functionality in the isometric scene
@@ -9,7 +12,9 @@ import { screenToIsometric } from '../utils/isometricUtils';
  * This hook provides utilities for:
  * - Converting screen coordinates to isometric grid positions
  * - Handling element placement via drag and drop
- * - Managing element movement on the grid
+ * - Placing prefabs dragged from the palette
+ * - Managing element movement on the grid, for groups and whole selections
+ * - Rejecting drops where an element's footprint does not fit
  * 
  * It integrates with the DnD Kit library to provide a smooth drag and drop
  * experience that respects the isometric projection of the scene.
@@ -20,8 +25,14 @@ export function useDragDrop() {
   const { 
     gridSize, 
     tileSize, 
+    elements,
+    layers,
     addElement, 
-    updateElement, 
+    moveElement, 
+    moveSelectedElements, 
+    selectedElementIds, 
+    placePrefab, 
+    prefabs, 
     offset, 
     zoom 
   } = useScene();
@@ -31,13 +42,15 @@ export function useDragDrop() {
    * 
    * Converts screen (pixel) coordinates to isometric grid coordinates,
    * taking into account the current zoom level and pan offset.
-   * Also ensures the resulting coordinates are within the grid bounds.
+   * Also ensures the resulting coordinates are within the grid bounds,
+   * leaving room for the given footprint.
    * 
    * @param {number} x - Screen X coordinate (pixels)
    * @param {number} y - Screen Y coordinate (pixels)
+   * @param {Object} footprint - Footprint in grid cells {width, height}
    * @returns {Object} - Grid position {x, y} in grid cells
    */
-  const calculateGridPosition = useCallback((x, y) => {
+  const calculateGridPosition = useCallback((x, y, footprint = DEFAULT_FOOTPRINT) => {
     // Adjust for zoom and offset
     const adjustedX = (x - offset.x) / zoom;
     const adjustedY = (y - offset.y) / zoom;
@@ -52,8 +65,8 @@ export function useDragDrop() {
     
     // Ensure coordinates are within grid bounds
     // This prevents elements from being placed outside the valid grid area
-    const boundedX = Math.max(0, Math.min(gridSize.width - 1, Math.round(gridX)));
-    const boundedY = Math.max(0, Math.min(gridSize.height - 1, Math.round(gridY)));
+    const boundedX = Math.max(0, Math.min(gridSize.width - footprint.width, Math.round(gridX)));
+    const boundedY = Math.max(0, Math.min(gridSize.height - footprint.height, Math.round(gridY)));
     
     return { x: boundedX, y: boundedY };
   }, [gridSize, tileSize, offset, zoom]);
@@ -61,9 +74,15 @@ export function useDragDrop() {
   /**
    * Handle element placement when dragging from palette to canvas
    * 
-   * This function is called when a drag operation ends. It handles two cases:
+   * This function is called when a drag operation ends. It handles three cases:
    * 1. Placing a new element from the palette onto the canvas
-   * 2. Moving an existing element to a new position on the canvas
+   * 2. Placing a prefab from the palette onto the canvas
+   * 3. Moving an existing element (with its group) to a new position on the canvas;
+   *    dragging a selected element moves the whole selection along
+   * 
+   * In all cases the elements come to rest on top of any stackable elements
+   * under their footprint, and the drop is ignored if they would still
+   * overlap other elements.
    * 
    * @param {Object} event - The drag end event from DnD Kit
    */
@@ -73,36 +92,67 @@ export function useDragDrop() {
     // If there's no drop target, do nothing
     if (!over) return;
     
+    // Check if this is a prefab from the palette
+    if (active.data?.current?.prefabId) {
+      const prefab = prefabs.find(p => p.id === active.data.current.prefabId);
+      if (!prefab) return;
+      
+      const { clientX, clientY } = event.activatorEvent;
+      placePrefab(prefab.id, calculateGridPosition(clientX, clientY, prefab.size));
+    }
     // Check if this is a new element from the palette
-    if (active.id.toString().startsWith('palette-')) {
+    else if (active.id.toString().startsWith('palette-')) {
       const elementType = active.data?.current?.type;
       if (!elementType) return;
       
       // Get the drop position from the event
       const { clientX, clientY } = event.activatorEvent;
-      const { x, y } = calculateGridPosition(clientX, clientY);
+      const footprint = getElementFootprint(elementType);
+      const { x, y } = calculateGridPosition(clientX, clientY, footprint);
+      const z = getStackElevation({ x, y }, footprint, elements);
       
-      // Add new element to the scene at the calculated position
-      addElement({
+      const newElement = {
         type: elementType,
-        position: { x, y },
+        position: { x, y, z },
         rotation: 0,
         scale: 1,
-      });
+      };
+      
+      // Skip drops onto occupied cells
+      if (!canPlaceElement(newElement, elements, gridSize)) return;
+      
+      // Add new element to the scene at the calculated position
+      addElement(newElement);
     } 
     // Handle moving existing elements
     else {
       const elementId = active.data?.current?.id;
-      if (!elementId) return;
+      const element = elements.find(el => el.id === elementId);
+      if (!element) return;
       
       // Get the drop position from the event
       const { clientX, clientY } = event.activatorEvent;
-      const { x, y } = calculateGridPosition(clientX, clientY);
+      const footprint = getFootprint(element);
+      const { x, y } = calculateGridPosition(clientX, clientY, footprint);
+      
+      // Dragging a selected element moves the whole selection
+      const isSelected = selectedElementIds.includes(elementId);
+      
+      // Rest on whatever is below, other than the elements that move along
+      const movingIds = new Set(
+        getSelectedMembers(elements, isSelected ? selectedElementIds : [elementId], layers).map(el => el.id)
+      );
+      const z = getStackElevation({ x, y }, footprint, elements.filter(el => !movingIds.has(el.id)));
       
-      // Update the element's position in the scene
-      updateElement(elementId, { position: { x, y } });
+      // Update the positions in the scene; moves onto cells occupied by
+      // other elements are skipped
+      if (isSelected) {
+        moveSelectedElements(elementId, { x, y, z });
+      } else {
+        moveElement(elementId, { x, y, z });
+      }
     }
-  }, [addElement, updateElement, calculateGridPosition]);
+  }, [elements, layers, gridSize, selectedElementIds, addElement, moveElement, moveSelectedElements, placePrefab, prefabs, calculateGridPosition]);
   
   // Monitor drag events using DnD Kit's monitor
   useDndMonitor({
@@ -0,0 +1,33 @@
+import { useMemo, useRef } from 'react';
+import {
+  calculateGroundTransitions,
+  updateGroundTransitions,
+  getChangedGroundCells
+} from '../utils/autotileUtils';
+
+/**
+ * Custom hook for the transition tiles of the ground layer
+ * 
+ * Keeps the transitions of the last ground layer it saw, so painting a few
+ * cells only recalculates those cells and their neighbours. Resized or
+ * replaced layers are recalculated in full.
+ * 
+ * @param {Array} groundTiles - The ground layer rows [y][x]
+ * @returns {Map} - Map of cell keys ("x,y") to transition lists (see calculateCellTransitions)
+ */
+export function useGroundTransitions(groundTiles) {
+  // Ground layer and transitions from the previous calculation
+  const cacheRef = useRef(null);
+  
+  return useMemo(() => {
+    const cache = cacheRef.current;
+    const changedCells = cache ? getChangedGroundCells(cache.groundTiles, groundTiles) : null;
+    
+    const transitions = changedCells
+      ? updateGroundTransitions(cache.transitions, groundTiles, changedCells)
+      : calculateGroundTransitions(groundTiles);
+    
+    cacheRef.current = { groundTiles, transitions };
+    return transitions;
+  }, [groundTiles]);
+}
@@ -0,0 +1,173 @@
+import { useCallback, useRef } from 'react';
+import { useScene } from '../context/SceneContext';
+import { paintGroundCells, getGroundType } from '../utils/groundUtils';
+import { getElementMetadata, getGroundTileMetadata } from '../components/elements/metadata';
+import {
+  BRUSH_ERASER,
+  getLineCells,
+  getRectangleCells,
+  getFloodFillCells,
+  getElementTypeLookup,
+  paintElementCells,
+  fillElementCells
+} from '../utils/brushUtils';
+
+/**
+ * Label a finished stroke for history
+ * 
+ * @param {Object} brush - The brush the stroke used {target, type, tool}
+ * @returns {string} - The label, e.g. 'Paint Water'
+ */
+const getStrokeLabel = (brush) => {
+  if (brush.type === BRUSH_ERASER) {
+    return brush.target === 'ground' ? 'Erase ground' : 'Erase elements';
+  }
+  
+  const metadata = brush.target === 'ground' ? getGroundTileMetadata(brush.type) : getElementMetadata(brush.type);
+  const name = metadata?.name || brush.type;
+  return brush.tool === 'fill' ? `Fill with ${name}` : `Paint ${name}`;
+};
+
+/**
+ * Custom hook for painting ground tiles or elements with a paint brush
+ * 
+ * Supported tools:
+ * - pencil: paints every cell the pointer crosses
+ * - rectangle: paints the rectangle between the start cell and the pointer
+ * - line: paints the straight line between the start cell and the pointer
+ * - fill: paints the connected region of same-type cells under the pointer
+ * 
+ * A stroke starts on mouse down and ends on mouse up. While it is in
+ * progress the scene shows a preview of the result, and the finished
+ * stroke is recorded as a single undo step.
+ * 
+ * @param {Object} paintBrush - The brush to paint with {target, type, tool}; type BRUSH_ERASER erases
+ * @returns {Object} - Stroke handlers and whether the brush can paint
+ */
+export function usePaintBrush(paintBrush) {
+  const { 
+    elements, 
+    groundTiles, 
+    gridSize, 
+    layers, 
+    updateElements, 
+    updateGroundTiles 
+  } = useScene();
+  
+  // Current stroke: brush settings, scene state before the stroke, cells and result
+  const strokeRef = useRef(null);
+  
+  const isActive = Boolean(paintBrush.target && paintBrush.type);
+  
+  /**
+   * Apply the stroke's cells to the scene state it started from
+   * 
+   * @param {Object} stroke - The current stroke
+   * @returns {Array} - The painted ground layer or elements
+   */
+  const paintStroke = useCallback((stroke) => {
+    const { target, type, tool } = stroke.brush;
+    
+    if (target === 'ground') {
+      return paintGroundCells(stroke.base, stroke.cells, type);
+    }
+    
+    return tool === 'fill'
+      ? fillElementCells(stroke.base, stroke.cells, type, gridSize, layers)
+      : paintElementCells(stroke.base, stroke.cells, type, gridSize, layers);
+  }, [gridSize, layers]);
+  
+  /**
+   * Show the stroke's result in the scene
+   * 
+   * @param {Object} stroke - The current stroke
+   * @param {boolean} recordHistory - Whether to add the result to history
+   */
+  const applyStroke = useCallback((stroke, recordHistory) => {
+    stroke.result = paintStroke(stroke);
+    
+    if (stroke.brush.target === 'ground') {
+      updateGroundTiles(stroke.result, recordHistory);
+    } else {
+      updateElements(stroke.result, recordHistory);
+    }
+  }, [paintStroke, updateGroundTiles, updateElements]);
+  
+  /**
+   * Start a brush stroke at a grid cell
+   * 
+   * @param {Object} cell - The grid cell under the pointer {x, y}
+   * @returns {boolean} - Whether a stroke was started
+   */
+  const beginStroke = useCallback((cell) => {
+    if (!isActive) return false;
+    
+    const base = paintBrush.target === 'ground' ? groundTiles : elements;
+    let cells = [cell];
+    
+    if (paintBrush.tool === 'fill') {
+      const getCellKey = paintBrush.target === 'ground'
+        ? (x, y) => getGroundType(groundTiles, x, y)
+        : getElementTypeLookup(elements);
+      cells = getFloodFillCells(cell, getCellKey, gridSize);
+    }
+    
+    strokeRef.current = { brush: { ...paintBrush }, base, start: cell, lastCell: cell, cells };
+    applyStroke(strokeRef.current, false);
+    
+    return true;
+  }, [isActive, paintBrush, groundTiles, elements, gridSize, applyStroke]);
+  
+  /**
+   * Continue the current stroke over a grid cell
+   * 
+   * @param {Object} cell - The grid cell under the pointer {x, y}
+   */
+  const continueStroke = useCallback((cell) => {
+    const stroke = strokeRef.current;
+    if (!stroke || stroke.brush.tool === 'fill') return;
+    
+    // Only repaint when the pointer enters a new cell
+    if (stroke.lastCell.x === cell.x && stroke.lastCell.y === cell.y) return;
+    
+    switch (stroke.brush.tool) {
+      case 'rectangle':
+        stroke.cells = getRectangleCells(stroke.start, cell);
+        break;
+      case 'line':
+        stroke.cells = getLineCells(stroke.start, cell);
+        break;
+      default:
+        // Join to the previous cell so fast pointer moves leave no gaps
+        stroke.cells = [...stroke.cells, ...getLineCells(stroke.lastCell, cell).slice(1)];
+        break;
+    }
+    
+    stroke.lastCell = cell;
+    applyStroke(stroke, false);
+  }, [applyStroke]);
+  
+  /**
+   * End the current stroke and record it in history
+   */
+  const endStroke = useCallback(() => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    
+    strokeRef.current = null;
+    
+    const label = getStrokeLabel(stroke.brush);
+    if (stroke.brush.target === 'ground') {
+      updateGroundTiles(stroke.result, true, label);
+    } else {
+      updateElements(stroke.result, true, label);
+    }
+  }, [updateGroundTiles, updateElements]);
+  
+  return {
+    isActive,
+    beginStroke,
+    continueStroke,
+    endStroke
+  };
+}
@@ -0,0 +1,76 @@
+import { useCallback, useRef } from 'react';
+import { useScene } from '../context/SceneContext';
+import { getCellHeight } from '../utils/terrainUtils';
+
+/**
+ * Custom hook for painting the terrain with the active terrain brush
+ * 
+ * A stroke starts on mouse down, applies the brush each time the pointer
+ * enters a new cell, and ends on mouse up, when it is recorded as a single
+ * undo step. The flatten brush levels every cell in the stroke to the
+ * height of the cell where the stroke started.
+ * 
+ * @returns {Object} - Stroke handlers and the brush state
+ */
+export function useTerrainBrush() {
+  const { heightmap, terrainBrush, editTerrain, finishTerrainEdit } = useScene();
+  
+  // Current stroke: brush settings and last painted cell
+  const strokeRef = useRef(null);
+  
+  const isActive = Boolean(terrainBrush.mode);
+  
+  /**
+   * Start a brush stroke at a grid cell
+   * 
+   * @param {Object} cell - The grid cell under the pointer {x, y}
+   * @returns {boolean} - Whether a stroke was started
+   */
+  const beginStroke = useCallback((cell) => {
+    if (!terrainBrush.mode) return false;
+    
+    const brush = {
+      ...terrainBrush,
+      target: getCellHeight(heightmap, cell.x, cell.y)
+    };
+    
+    strokeRef.current = { brush, lastCell: cell };
+    editTerrain(brush, cell);
+    
+    return true;
+  }, [terrainBrush, heightmap, editTerrain]);
+  
+  /**
+   * Continue the current stroke over a grid cell
+   * 
+   * @param {Object} cell - The grid cell under the pointer {x, y}
+   */
+  const continueStroke = useCallback((cell) => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    
+    // Only paint once per cell so raise/lower do not stack up while hovering
+    if (stroke.lastCell.x === cell.x && stroke.lastCell.y === cell.y) return;
+    
+    stroke.lastCell = cell;
+    editTerrain(stroke.brush, cell);
+  }, [editTerrain]);
+  
+  /**
+   * End the current stroke and record it in history
+   */
+  const endStroke = useCallback(() => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    
+    strokeRef.current = null;
+    finishTerrainEdit(stroke.brush);
+  }, [finishTerrainEdit]);
+  
+  return {
+    isActive,
+    beginStroke,
+    continueStroke,
+    endStroke
+  };
+}
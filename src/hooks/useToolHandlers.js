@@ -0,0 +1,31 @@
+import { useEffect } from 'react';
+
+/**
+ * Custom hook for registering the pointer handlers of a canvas tool
+ * 
+ * The canvas passes pointer input to the handlers of the active tool (see
+ * components/canvas/tools). Each handler is optional and receives the
+ * mouse event and the pointer {cell, point, elementId, isOverCanvas}: the
+ * grid cell under the pointer, the point in the scene layer's pixels
+ * (where tool overlays are drawn), the ID of the element under the
+ * pointer, if it takes pointer events, and whether the pointer is over
+ * the canvas at all. Pointer downs on controls over the canvas are not
+ * passed on; moves and ups are, so drags can end anywhere. A tool that
+ * uses right-clicks handles onContextMenu and prevents the browser's menu.
+ * 
+ * @param {Object} canvas - The canvas the tool is used on {handlersRef, sceneLayerRef, beginPan}
+ * @param {Object} handlers - The tool's handlers {onPointerDown, onPointerMove, onPointerUp, onContextMenu}
+ */
+export function useToolHandlers(canvas, handlers) {
+  const { handlersRef } = canvas;
+  
+  // Register the latest handlers after every render, so they see current state
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+  
+  // Stop handling input once the tool is switched off
+  useEffect(() => () => {
+    handlersRef.current = null;
+  }, [handlersRef]);
+}
@@ -0,0 +1,138 @@
+/**
+ * Utility functions for arranging a selection of elements
+ * 
+ * Aligning and distributing move whole units (see getElementUnits): a
+ * group keeps its layout and is lined up by the bounds of all its
+ * members. Mirroring flips the layout of the whole selection, groups
+ * included, and turns each sprite to face the mirrored direction.
+ * 
+ * Axes are the isometric grid axes: 'x' runs along grid columns and 'y'
+ * along grid rows. Like the group transforms in groupUtils, every
+ * function checks the arranged elements as a whole and returns null if
+ * they don't fit, or the elements unchanged if nothing moves.
+ */
+
+import { getFootprint } from './placementUtils';
+import { getElementUnits, getGroupBounds, transformMembers } from './groupUtils';
+
+// Names of the bounds properties for each axis
+const AXIS_BOUNDS = {
+  x: { start: 'x', size: 'width' },
+  y: { start: 'y', size: 'height' }
+};
+
+/**
+ * Move each unit of a set of elements along an axis
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} units - The units to move, each a list of elements
+ * @param {string} axis - The grid axis ('x' or 'y')
+ * @param {Function} getStart - Returns the new start of a unit's bounds on the axis, given the unit's bounds and index
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array|null} - Updated elements, or null if the moved units don't fit
+ */
+const moveUnits = (elements, units, axis, getStart, gridSize) => {
+  const { start } = AXIS_BOUNDS[axis];
+  const deltas = new Map();
+  units.forEach((unit, index) => {
+    const bounds = getGroupBounds(unit);
+    const delta = getStart(bounds, index) - bounds[start];
+    unit.forEach(element => deltas.set(element.id, delta));
+  });
+  
+  return transformMembers(elements, units.flat(), element => {
+    const delta = deltas.get(element.id);
+    if (delta === 0) return element;
+    
+    return { ...element, position: { ...element.position, [axis]: element.position[axis] + delta } };
+  }, gridSize);
+};
+
+/**
+ * Align the units of a set of elements along a grid axis
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} members - The elements to align, whole groups included
+ * @param {string} axis - The grid axis to move along ('x' or 'y')
+ * @param {string} edge - What to line up: the lowest edges ('start'), centres ('center') or highest edges ('end') of the units
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array|null} - Updated elements, or null if the aligned elements don't fit
+ */
+export const alignElements = (elements, members, axis, edge, gridSize) => {
+  const { start, size } = AXIS_BOUNDS[axis];
+  const bounds = getGroupBounds(members);
+  const low = bounds[start];
+  const high = bounds[start] + bounds[size];
+  
+  return moveUnits(elements, getElementUnits(members), axis, unitBounds => {
+    if (edge === 'start') return low;
+    if (edge === 'end') return high - unitBounds[size];
+    return Math.round((low + high - unitBounds[size]) / 2);
+  }, gridSize);
+};
+
+/**
+ * Space the units of a set of elements evenly along a grid axis
+ * 
+ * The first and last units stay where they are; the ones between are
+ * moved so the gaps between neighbouring units are as equal as whole
+ * cells allow. Units keep their order along the axis.
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} members - The elements to distribute, whole groups included
+ * @param {string} axis - The grid axis to move along ('x' or 'y')
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array|null} - Updated elements, or null if the distributed elements don't fit
+ */
+export const distributeElements = (elements, members, axis, gridSize) => {
+  const { start, size } = AXIS_BOUNDS[axis];
+  const units = getElementUnits(members)
+    .map(unit => ({ unit, bounds: getGroupBounds(unit) }))
+    .sort((a, b) => a.bounds[start] - b.bounds[start]);
+  if (units.length < 3) return elements;
+  
+  const first = units[0].bounds;
+  const last = units[units.length - 1].bounds;
+  const totalSize = units.reduce((sum, { bounds }) => sum + bounds[size], 0);
+  const gap = (last[start] + last[size] - first[start] - totalSize) / (units.length - 1);
+  
+  // Start of each unit: the sizes of the units before it plus equal gaps
+  const starts = [];
+  units.reduce((offset, { bounds }, index) => {
+    starts.push(Math.round(first[start] + offset + gap * index));
+    return offset + bounds[size];
+  }, 0);
+  
+  return moveUnits(elements, units.map(({ unit }) => unit), axis, (_, index) => starts[index], gridSize);
+};
+
+/**
+ * Mirror a set of elements across the centre line of their bounds
+ * 
+ * Mirroring along 'x' swaps the low and high ends of the grid columns
+ * the elements span, and turns sprites facing -x to face +x and back;
+ * mirroring along 'y' does the same for rows and the ±y directions (see
+ * rotateElements for the directions sprites face).
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} members - The elements to mirror
+ * @param {string} axis - The grid axis to flip ('x' or 'y')
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array|null} - Updated elements, or null if the mirrored elements don't fit
+ */
+export const mirrorElements = (elements, members, axis, gridSize) => {
+  const { start, size } = AXIS_BOUNDS[axis];
+  const bounds = getGroupBounds(members);
+  
+  return transformMembers(elements, members, element => {
+    const footprint = getFootprint(element);
+    const mirrored = 2 * bounds[start] + bounds[size] - element.position[axis] - footprint[size];
+    const rotation = element.rotation || 0;
+    
+    return {
+      ...element,
+      position: { ...element.position, [axis]: mirrored },
+      rotation: ((axis === 'x' ? 180 - rotation : 360 - rotation) % 360 + 360) % 360
+    };
+  }, gridSize);
+};
@@ -0,0 +1,262 @@
+/**
+ * Utility functions for ground transition autotiling
+ * 
+ * Where two ground types meet, the type with the higher tile set priority
+ * spills over onto the edges and corners of its neighbour, so boundaries
+ * blend instead of following the hard tile diamond. For each painted cell
+ * and each higher-priority type around it, a transition mask records which
+ * of the eight neighbouring cells hold that type. The mask is reduced by
+ * the tile set's rule and numbered within the rule's tile set:
+ * - wang16: only the four edges count (16 tiles)
+ * - blob47: edges and corners count, but a corner is dropped when either
+ *   edge next to it is set, since the edge band already covers it (47 tiles)
+ * 
+ * Tile sets are declared in GROUND_TILESETS. Transitions are stored in a Map
+ * keyed by "x,y" and can be updated incrementally as cells are painted.
+ */
+
+import { getGroundTileset } from '../components/elements/metadata';
+import { getGroundType } from './groundUtils';
+
+// Neighbouring cells clockwise from the tile's top corner
+// Bit i of a transition mask is set when NEIGHBOURS[i] holds the spilling type;
+// even bits are corners and odd bits are edges of the tile diamond
+export const NEIGHBOURS = [
+  { dx: -1, dy: -1 }, // top corner
+  { dx: 0, dy: -1 },  // top-right edge
+  { dx: 1, dy: -1 },  // right corner
+  { dx: 1, dy: 0 },   // bottom-right edge
+  { dx: 1, dy: 1 },   // bottom corner
+  { dx: 0, dy: 1 },   // bottom-left edge
+  { dx: -1, dy: 1 },  // left corner
+  { dx: -1, dy: 0 }   // top-left edge
+];
+
+// Bits of the four edge neighbours
+const EDGE_BITS = 0b10101010;
+
+/**
+ * Reduce a transition mask to the neighbours that matter for a rule
+ * 
+ * @param {number} mask - The full 8-neighbour mask
+ * @param {string} rule - The tile set rule ('blob47' or 'wang16')
+ * @returns {number} - The reduced mask
+ */
+export const reduceTransitionMask = (mask, rule) => {
+  if (rule === 'wang16') {
+    return mask & EDGE_BITS;
+  }
+  
+  let reduced = mask;
+  
+  for (let corner = 0; corner < 8; corner += 2) {
+    const before = 1 << ((corner + 7) % 8);
+    const after = 1 << (corner + 1);
+    
+    if (mask & (before | after)) {
+      reduced &= ~(1 << corner);
+    }
+  }
+  
+  return reduced;
+};
+
+/**
+ * List the distinct reduced masks of a rule
+ * 
+ * @param {string} rule - The tile set rule
+ * @returns {Array} - Reduced masks in ascending order
+ */
+const listRuleMasks = (rule) => {
+  const masks = new Set();
+  
+  for (let mask = 0; mask < 256; mask++) {
+    masks.add(reduceTransitionMask(mask, rule));
+  }
+  
+  return [...masks].sort((a, b) => a - b);
+};
+
+// Reduced masks of each rule, in tile index order
+export const RULE_MASKS = {
+  blob47: listRuleMasks('blob47'),
+  wang16: listRuleMasks('wang16')
+};
+
+/**
+ * Get the tile index of a reduced mask within its rule's tile set
+ * 
+ * Index 0 is the tile without transitions. Sprite-based tile sets can use
+ * the index to pick their image.
+ * 
+ * @param {number} reducedMask - The reduced mask
+ * @param {string} rule - The tile set rule
+ * @returns {number} - The tile index
+ */
+export const getTransitionTileIndex = (reducedMask, rule) => {
+  return RULE_MASKS[rule].indexOf(reducedMask);
+};
+
+/**
+ * Get the tile set priority of a ground type
+ * 
+ * @param {string} type - The ground type
+ * @returns {number} - Priority (0 for types without a tile set)
+ */
+const getPriority = (type) => getGroundTileset(type)?.priority ?? 0;
+
+/**
+ * Calculate the transitions drawn over a cell
+ * 
+ * Unpainted cells have no transitions and do not spill over.
+ * 
+ * @param {Array} groundTiles - The ground layer
+ * @param {number} x - X position on the grid (grid cells)
+ * @param {number} y - Y position on the grid (grid cells)
+ * @returns {Array} - Transitions from lowest to highest priority [{type, mask, tile, blend}]
+ */
+export const calculateCellTransitions = (groundTiles, x, y) => {
+  const ownType = getGroundType(groundTiles, x, y);
+  if (!ownType) return [];
+  
+  const ownPriority = getPriority(ownType);
+  const masks = new Map();
+  
+  NEIGHBOURS.forEach(({ dx, dy }, bit) => {
+    const type = getGroundType(groundTiles, x + dx, y + dy);
+    if (!type || type === ownType || !getGroundTileset(type) || getPriority(type) <= ownPriority) return;
+    
+    masks.set(type, (masks.get(type) || 0) | (1 << bit));
+  });
+  
+  const transitions = [];
+  
+  masks.forEach((mask, type) => {
+    const { rule, blend } = getGroundTileset(type);
+    const reduced = reduceTransitionMask(mask, rule);
+    if (reduced === 0) return;
+    
+    transitions.push({
+      type,
+      mask: reduced,
+      tile: getTransitionTileIndex(reduced, rule),
+      blend
+    });
+  });
+  
+  return transitions.sort((a, b) => getPriority(a.type) - getPriority(b.type));
+};
+
+/**
+ * Calculate the transitions of every cell in the ground layer
+ * 
+ * @param {Array} groundTiles - The ground layer
+ * @returns {Map} - Map of cell keys ("x,y") to transition lists
+ */
+export const calculateGroundTransitions = (groundTiles) => {
+  const transitions = new Map();
+  
+  groundTiles.forEach((row, y) => {
+    row.forEach((_, x) => {
+      const cellTransitions = calculateCellTransitions(groundTiles, x, y);
+      if (cellTransitions.length > 0) {
+        transitions.set(`${x},${y}`, cellTransitions);
+      }
+    });
+  });
+  
+  return transitions;
+};
+
+/**
+ * Update transitions after some cells were painted
+ * 
+ * Only the painted cells and their neighbours are recalculated.
+ * 
+ * @param {Map} transitions - The transitions before painting
+ * @param {Array} groundTiles - The ground layer after painting
+ * @param {Array} cells - The painted cells [{x, y}]
+ * @returns {Map} - Updated transitions (the input is not modified)
+ */
+export const updateGroundTransitions = (transitions, groundTiles, cells) => {
+  const next = new Map(transitions);
+  const visited = new Set();
+  
+  cells.forEach(cell => {
+    [{ dx: 0, dy: 0 }, ...NEIGHBOURS].forEach(({ dx, dy }) => {
+      const x = cell.x + dx;
+      const y = cell.y + dy;
+      const key = `${x},${y}`;
+      
+      if (visited.has(key) || groundTiles[y]?.[x] === undefined) return;
+      visited.add(key);
+      
+      const cellTransitions = calculateCellTransitions(groundTiles, x, y);
+      if (cellTransitions.length > 0) {
+        next.set(key, cellTransitions);
+      } else {
+        next.delete(key);
+      }
+    });
+  });
+  
+  return next;
+};
+
+/**
+ * List the cells whose ground type differs between two ground layers
+ * 
+ * @param {Array} previous - The earlier ground layer
+ * @param {Array} current - The later ground layer
+ * @returns {Array|null} - Changed cells [{x, y}], or null if the layers have different sizes
+ */
+export const getChangedGroundCells = (previous, current) => {
+  if (previous.length !== current.length ||
+      previous.some((row, y) => row.length !== current[y].length)) {
+    return null;
+  }
+  
+  const cells = [];
+  
+  current.forEach((row, y) => {
+    if (row === previous[y]) return;
+    
+    row.forEach((type, x) => {
+      if (type !== previous[y][x]) {
+        cells.push({ x, y });
+      }
+    });
+  });
+  
+  return cells;
+};
+
+/**
+ * Build the shapes of a transition within a tile
+ * 
+ * Shapes are given in tile coordinates: u runs along the grid x axis and v
+ * along the grid y axis, from 0 at the tile's top corner to 1 at the far
+ * edges. Each set edge gets a band along that edge and each remaining
+ * corner a small triangle.
+ * 
+ * @param {number} mask - The reduced transition mask
+ * @param {number} blend - Depth of the band as a fraction of a tile
+ * @returns {Array} - Polygons as lists of tile coordinates [[{u, v}]]
+ */
+export const getTransitionShapes = (mask, blend) => {
+  const b = blend;
+  const shapes = {
+    0: [[0, 0], [b, 0], [0, b]],
+    1: [[0, 0], [1, 0], [1, b], [0, b]],
+    2: [[1, 0], [1, b], [1 - b, 0]],
+    3: [[1 - b, 0], [1, 0], [1, 1], [1 - b, 1]],
+    4: [[1, 1], [1 - b, 1], [1, 1 - b]],
+    5: [[0, 1 - b], [1, 1 - b], [1, 1], [0, 1]],
+    6: [[0, 1], [0, 1 - b], [b, 1]],
+    7: [[0, 0], [b, 0], [b, 1], [0, 1]]
+  };
+  
+  return Object.entries(shapes)
+    .filter(([bit]) => mask & (1 << bit))
+    .map(([, points]) => points.map(([u, v]) => ({ u, v })));
+};
@@ -0,0 +1,220 @@
+/**
+ * Utility functions for brush tools
+ * 
+ * This module provides the cell selection shapes used by the paint tools
+ * (pencil, rectangle, line and flood fill) and the functions that apply a
+ * painted set of cells to the scene elements. Painting the ground layer is
+ * handled by paintGroundCells in groundUtils.
+ */
+
+import {
+  canPlaceElement,
+  getStackElevation,
+  getFootprint,
+  getFootprintCells,
+  buildOccupancyMap
+} from './placementUtils';
+import { createId } from './idUtils';
+import { isElementSelectable } from './selectionUtils';
+
+// Brush type that clears painted cells instead of painting them
+export const BRUSH_ERASER = 'eraser';
+
+// Available paint tools
+export const PAINT_TOOLS = ['pencil', 'rectangle', 'line', 'fill'];
+
+/**
+ * List the cells on a straight line between two cells
+ * 
+ * Uses Bresenham's algorithm, so consecutive cells always touch. This is also
+ * used by the pencil to fill gaps when the pointer skips over cells.
+ * 
+ * @param {Object} from - The first cell {x, y}
+ * @param {Object} to - The last cell {x, y}
+ * @returns {Array} - List of cells from start to end [{x, y}]
+ */
+export const getLineCells = (from, to) => {
+  const cells = [];
+  const dx = Math.abs(to.x - from.x);
+  const dy = -Math.abs(to.y - from.y);
+  const stepX = from.x < to.x ? 1 : -1;
+  const stepY = from.y < to.y ? 1 : -1;
+  let error = dx + dy;
+  let x = from.x;
+  let y = from.y;
+  
+  for (;;) {
+    cells.push({ x, y });
+    if (x === to.x && y === to.y) break;
+    
+    const doubled = 2 * error;
+    if (doubled >= dy) {
+      error += dy;
+      x += stepX;
+    }
+    if (doubled <= dx) {
+      error += dx;
+      y += stepY;
+    }
+  }
+  
+  return cells;
+};
+
+/**
+ * List the cells in the rectangle spanned by two corner cells
+ * 
+ * @param {Object} from - One corner cell {x, y}
+ * @param {Object} to - The opposite corner cell {x, y}
+ * @returns {Array} - List of cells row by row [{x, y}]
+ */
+export const getRectangleCells = (from, to) => {
+  const cells = [];
+  
+  for (let y = Math.min(from.y, to.y); y <= Math.max(from.y, to.y); y++) {
+    for (let x = Math.min(from.x, to.x); x <= Math.max(from.x, to.x); x++) {
+      cells.push({ x, y });
+    }
+  }
+  
+  return cells;
+};
+
+/**
+ * List the cells of the connected region around a start cell
+ * 
+ * Walks the 4-neighbourhood from the start cell, collecting every cell
+ * whose key matches the start cell's key.
+ * 
+ * @param {Object} start - The cell to fill from {x, y}
+ * @param {Function} getCellKey - Returns the value that defines a region for a cell (x, y)
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array} - List of cells in the region [{x, y}]
+ */
+export const getFloodFillCells = (start, getCellKey, gridSize) => {
+  if (start.x < 0 || start.y < 0 || start.x >= gridSize.width || start.y >= gridSize.height) {
+    return [];
+  }
+  
+  const regionKey = getCellKey(start.x, start.y);
+  const visited = new Set([`${start.x},${start.y}`]);
+  const queue = [start];
+  const cells = [];
+  
+  while (queue.length > 0) {
+    const cell = queue.shift();
+    cells.push(cell);
+    
+    [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+      const x = cell.x + dx;
+      const y = cell.y + dy;
+      const key = `${x},${y}`;
+      
+      if (x < 0 || y < 0 || x >= gridSize.width || y >= gridSize.height) return;
+      if (visited.has(key) || getCellKey(x, y) !== regionKey) return;
+      
+      visited.add(key);
+      queue.push({ x, y });
+    });
+  }
+  
+  return cells;
+};
+
+/**
+ * Build a lookup from cells to the type of the ground-level element covering them
+ * 
+ * Used by the flood fill to find regions of same-type elements.
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @returns {Function} - Returns the element type at a cell (x, y), or null when empty
+ */
+export const getElementTypeLookup = (elements) => {
+  const occupancy = buildOccupancyMap(elements);
+  const types = new Map(elements.map(element => [element.id, element.type]));
+  
+  return (x, y) => {
+    const entries = occupancy.get(`${x},${y}`) || [];
+    const ground = entries.find(entry => entry.bottom === 0);
+    return ground ? types.get(ground.id) : null;
+  };
+};
+
+/**
+ * Paint elements onto a set of cells
+ * 
+ * With a regular type, an element is added at each cell where its footprint
+ * fits, resting on top of any stackable elements already there. Cells are
+ * processed in order, and a cell already covered by an element painted
+ * earlier in the same call is skipped, so a stroke never stacks elements
+ * on itself. With BRUSH_ERASER, every element covering one of
+ * the cells is removed instead, except elements on hidden or locked
+ * layers, which are left alone.
+ * 
+ * @param {Array} elements - The current elements
+ * @param {Array} cells - Cells to paint [{x, y}]
+ * @param {string} type - Element type to paint, or BRUSH_ERASER
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @param {Array} layers - The scene layers
+ * @returns {Array} - Updated elements (the input is not modified)
+ */
+export const paintElementCells = (elements, cells, type, gridSize, layers) => {
+  if (type === BRUSH_ERASER) {
+    const erasable = elements.filter(element => isElementSelectable(element, layers));
+    const occupancy = buildOccupancyMap(erasable);
+    const removed = new Set();
+    
+    cells.forEach(cell => {
+      (occupancy.get(`${cell.x},${cell.y}`) || []).forEach(entry => removed.add(entry.id));
+    });
+    
+    return elements.filter(element => !removed.has(element.id));
+  }
+  
+  const result = [...elements];
+  const footprint = getFootprint({ type });
+  const covered = new Set();
+  
+  cells.forEach(cell => {
+    const footprintCells = getFootprintCells(cell, footprint);
+    if (footprintCells.some(({ x, y }) => covered.has(`${x},${y}`))) return;
+    
+    const element = {
+      id: createId(),
+      type,
+      position: {
+        x: cell.x,
+        y: cell.y,
+        z: getStackElevation(cell, footprint, result)
+      },
+      rotation: 0,
+      scale: 1
+    };
+    
+    if (canPlaceElement(element, result, gridSize)) {
+      result.push(element);
+      footprintCells.forEach(({ x, y }) => covered.add(`${x},${y}`));
+    }
+  });
+  
+  return result;
+};
+
+/**
+ * Replace the elements in a flood-filled region
+ * 
+ * Removes every element covering a cell of the region, other than elements
+ * on hidden or locked layers, then paints the new type over the region
+ * wherever it fits around the elements that stay.
+ * 
+ * @param {Array} elements - The current elements
+ * @param {Array} cells - Cells of the region [{x, y}]
+ * @param {string} type - Element type to paint, or BRUSH_ERASER
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @param {Array} layers - The scene layers
+ * @returns {Array} - Updated elements (the input is not modified)
+ */
+export const fillElementCells = (elements, cells, type, gridSize, layers) => {
+  const cleared = paintElementCells(elements, cells, BRUSH_ERASER, gridSize, layers);
+  return type === BRUSH_ERASER ? cleared : paintElementCells(cleared, cells, type, gridSize, layers);
+};
@@ -0,0 +1,116 @@
+/**
+ * Utility functions for copying and pasting elements
+ * 
+ * Copied elements go on the system clipboard as scene JSON (see
+ * serializeScene), so they can be pasted into another tab or another
+ * scene, or read and edited in a text editor. The elements are stored
+ * relative to the top corner of their bounds, with the lowest element at
+ * elevation 0, on a grid just large enough to hold them. The data is
+ * marked with CLIPBOARD_FORMAT.
+ * 
+ * Pasted text is upgraded and validated like an imported scene file (see
+ * deserializeScene), so an exported scene can be pasted as well. Invalid
+ * elements are repaired or dropped.
+ */
+
+import { serializeScene, deserializeScene, validateSceneData } from './sceneUtils';
+import { getStackElevation } from './placementUtils';
+import { getGroupBounds } from './groupUtils';
+import { remapElementIds } from './idUtils';
+
+// Marks clipboard data written by the app
+export const CLIPBOARD_FORMAT = 'isometric-scene-creator/elements';
+
+/**
+ * Move a set of elements so their bounds start at a cell and elevation
+ * 
+ * @param {Array} elements - The elements
+ * @param {Object} origin - Cell of the new top corner and the new lowest elevation {x, y, z}
+ * @returns {Array} - Moved copies of the elements
+ */
+const moveLayout = (elements, origin) => {
+  const bounds = getGroupBounds(elements);
+  const baseZ = Math.min(...elements.map(element => element.position.z || 0));
+  
+  return elements.map(element => ({
+    ...element,
+    position: {
+      x: origin.x + element.position.x - bounds.x,
+      y: origin.y + element.position.y - bounds.y,
+      z: origin.z + (element.position.z || 0) - baseZ
+    }
+  }));
+};
+
+/**
+ * Create the clipboard text for a set of elements
+ * 
+ * @param {Array} members - The elements to copy, whole groups included
+ * @param {Object} sceneState - The scene they are copied from {tileSize, layers}
+ * @returns {string} - The clipboard data as JSON
+ */
+export const createClipboardText = (members, { tileSize, layers }) => {
+  const bounds = getGroupBounds(members);
+  const sceneData = serializeScene({
+    elements: moveLayout(members, { x: 0, y: 0, z: 0 }),
+    gridSize: { width: bounds.width, height: bounds.height },
+    tileSize,
+    heightmap: [],
+    groundTiles: [],
+    layers
+  });
+  
+  return JSON.stringify({ format: CLIPBOARD_FORMAT, ...sceneData }, null, 2);
+};
+
+/**
+ * Read the elements from clipboard text
+ * 
+ * @param {string} text - The clipboard text
+ * @returns {Object} - The elements that can be pasted and the number of invalid elements dropped {elements, dropped}
+ * @throws {Error} - If the text doesn't hold scene elements
+ */
+export const parseClipboardText = (text) => {
+  let sceneData;
+  try {
+    sceneData = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The clipboard doesn't hold scene elements (${error.message}).`);
+  }
+  
+  if (!validateSceneData(sceneData)) {
+    throw new Error('The clipboard doesn\'t hold scene elements.');
+  }
+  
+  const { elements } = deserializeScene(sceneData, { repair: true });
+  if (elements.length === 0) {
+    throw new Error('The clipboard holds no elements that can be pasted.');
+  }
+  
+  return { elements, dropped: sceneData.elements.length - elements.length };
+};
+
+/**
+ * Position pasted elements on the grid
+ * 
+ * The top corner of the elements' bounds goes to the given cell, moved
+ * back as far as needed to keep the bounds on the grid, and the elements
+ * rest on top of any stackable elements under their bounds. Every pasted
+ * element gets a fresh ID, and groups are pasted as new groups.
+ * 
+ * @param {Array} pasted - The elements read from the clipboard
+ * @param {Object} cell - The cell to paste at {x, y}
+ * @param {Array} elements - The elements in the scene
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array} - The positioned elements
+ */
+export const positionPastedElements = (pasted, cell, elements, gridSize) => {
+  const bounds = getGroupBounds(pasted);
+  const origin = {
+    x: Math.max(0, Math.min(cell.x, gridSize.width - bounds.width)),
+    y: Math.max(0, Math.min(cell.y, gridSize.height - bounds.height))
+  };
+  const z = getStackElevation(origin, bounds, elements);
+  
+  return moveLayout(remapElementIds(pasted).elements, { ...origin, z });
+};
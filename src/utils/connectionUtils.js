@@ -0,0 +1,134 @@
+/**
+ * Utility functions for auto-tiling connectable elements
+ * 
+ * Element types that declare connection settings in the element registry
+ * (roads, and in future fences, rivers or rail) pick their sprite from the
+ * neighbours they join up with. Each element looks at its four neighbouring
+ * cells and connects to elements of the same connection group standing at
+ * the same elevation. The resulting set of connections is matched to one
+ * of six shapes (isolated, end, straight, corner, tee, cross) plus the
+ * rotation that turns the shape's sprite to face the right way.
+ * 
+ * Connections are described in sprite space. IsometricElement lays a
+ * sprite onto the grid with its top edge facing -x, its right edge facing
+ * -y, its bottom edge facing +x and its left edge facing +y.
+ */
+
+import { getElementConnections } from '../components/elements/metadata';
+import { getElevation } from './placementUtils';
+
+// Neighbouring cells in sprite order: top, right, bottom, left
+// Bit i of a connection mask is set when the element connects towards DIRECTIONS[i]
+export const DIRECTIONS = [
+  { dx: -1, dy: 0 },
+  { dx: 0, dy: -1 },
+  { dx: 1, dy: 0 },
+  { dx: 0, dy: 1 }
+];
+
+// Connection mask of each shape's sprite before rotation
+export const CONNECTION_SHAPES = {
+  isolated: 0b0000,
+  end: 0b0001,
+  straight: 0b0101,
+  corner: 0b0011,
+  tee: 0b0111,
+  cross: 0b1111
+};
+
+/**
+ * Rotate a connection mask a quarter turn clockwise
+ * 
+ * @param {number} mask - The connection mask
+ * @returns {number} - The rotated mask
+ */
+const rotateMask = (mask) => ((mask << 1) | (mask >> 3)) & 0b1111;
+
+/**
+ * Find the shape and rotation that produce a connection mask
+ * 
+ * @param {number} mask - The connection mask
+ * @returns {Object} - The shape name and clockwise rotation in degrees {shape, rotation}
+ */
+export const getConnectionShape = (mask) => {
+  for (const [shape, shapeMask] of Object.entries(CONNECTION_SHAPES)) {
+    let rotated = shapeMask;
+    
+    for (let turns = 0; turns < 4; turns++) {
+      if (rotated === mask) {
+        return { shape, rotation: turns * 90 };
+      }
+      rotated = rotateMask(rotated);
+    }
+  }
+  
+  return { shape: 'isolated', rotation: 0 };
+};
+
+/**
+ * Calculate the connection mask of every connectable element
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @returns {Map} - Map of element IDs to connection masks
+ */
+export const calculateConnectionMasks = (elements) => {
+  // Connectable elements keyed by cell and elevation
+  const connectables = new Map();
+  
+  elements.forEach(element => {
+    const connections = getElementConnections(element.type);
+    if (!connections || !element.position) return;
+    
+    const key = `${element.position.x},${element.position.y},${getElevation(element)}`;
+    connectables.set(key, connections.group);
+  });
+  
+  const masks = new Map();
+  
+  elements.forEach(element => {
+    const connections = getElementConnections(element.type);
+    if (!connections || !element.position) return;
+    
+    let mask = 0;
+    
+    DIRECTIONS.forEach(({ dx, dy }, index) => {
+      const key = `${element.position.x + dx},${element.position.y + dy},${getElevation(element)}`;
+      if (connectables.get(key) === connections.group) {
+        mask |= 1 << index;
+      }
+    });
+    
+    masks.set(element.id, mask);
+  });
+  
+  return masks;
+};
+
+/**
+ * Calculate the sprite variant of every connectable element
+ * 
+ * Elements without connection settings are left out of the result and keep
+ * their regular sprite.
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @returns {Map} - Map of element IDs to variants {shape, rotation, imageUrl}
+ */
+export const calculateConnectionVariants = (elements) => {
+  const masks = calculateConnectionMasks(elements);
+  const variants = new Map();
+  
+  elements.forEach(element => {
+    if (!masks.has(element.id)) return;
+    
+    const { shape, rotation } = getConnectionShape(masks.get(element.id));
+    const { variants: sprites } = getElementConnections(element.type);
+    
+    variants.set(element.id, {
+      shape,
+      rotation,
+      imageUrl: sprites[shape]
+    });
+  });
+  
+  return variants;
+};
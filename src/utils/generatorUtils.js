@@ -0,0 +1,280 @@
+/**
+ * Utility functions for procedural scene generation
+ * 
+ * Generators take a seed so the same settings always produce the same
+ * scene. They return plain scene data, which the caller applies as a single
+ * undoable change.
+ */
+
+import {
+  addToOccupancyMap,
+  getFootprint,
+  getOverlappingIds,
+  isFootprintInBounds
+} from './placementUtils';
+import { createRandom, randomInt, randomWeighted } from './randomUtils';
+import { createPerlinNoise, sampleFractalNoise } from './noiseUtils';
+import { createHeightmap, TERRAIN_MAX_HEIGHT } from './terrainUtils';
+import { createGroundLayer } from './groundUtils';
+import { createId } from './idUtils';
+
+// Element type placed in each city zone
+export const CITY_ZONES = {
+  residential: 'building',
+  commercial: 'officeBuilding',
+  green: 'park'
+};
+
+// Default city generator settings
+// density - chance (0-1) of filling each free block cell
+// blockSize - typical number of cells between parallel roads
+// zoning - relative weight of each zone when assigning blocks
+export const CITY_GENERATOR_DEFAULTS = {
+  seed: 1,
+  density: 0.7,
+  blockSize: 4,
+  zoning: {
+    residential: 5,
+    commercial: 3,
+    green: 2
+  }
+};
+
+/**
+ * Pick the positions of parallel roads along one axis
+ * 
+ * @param {Function} random - A generator from createRandom
+ * @param {number} length - Number of cells along the axis
+ * @param {number} blockSize - Typical number of cells between roads
+ * @returns {Array} - Road positions in ascending order
+ */
+const getRoadLines = (random, length, blockSize) => {
+  const lines = [];
+  let at = randomInt(random, 0, Math.floor(blockSize / 2));
+  
+  while (at < length) {
+    lines.push(at);
+    at += Math.max(2, blockSize + randomInt(random, -1, 1)) + 1;
+  }
+  
+  return lines;
+};
+
+/**
+ * Split an axis into the spans between roads
+ * 
+ * @param {Array} lines - Road positions in ascending order
+ * @param {number} length - Number of cells along the axis
+ * @returns {Array} - Spans of road-free cells [{start, end}] (inclusive)
+ */
+const getBlockSpans = (lines, length) => {
+  const spans = [];
+  let start = 0;
+  
+  [...lines, length].forEach(line => {
+    if (line > start) {
+      spans.push({ start, end: line - 1 });
+    }
+    start = line + 1;
+  });
+  
+  return spans;
+};
+
+/**
+ * Generate a city layout
+ * 
+ * Lays a grid-like road network over the whole grid, then assigns each
+ * block between the roads to a zone and fills it with that zone's element
+ * type, with trees in the gaps.
+ * 
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @param {Object} options - Generator settings (see CITY_GENERATOR_DEFAULTS)
+ * @returns {Array} - The generated elements
+ */
+export const generateCity = (gridSize, options = {}) => {
+  const { seed, density, blockSize, zoning } = { ...CITY_GENERATOR_DEFAULTS, ...options };
+  const random = createRandom(seed);
+  const elements = [];
+  
+  // Space filled by the elements placed so far, kept up to date as they
+  // are added so each placement check doesn't rebuild it
+  const occupancy = new Map();
+  
+  // Add an element where it fits, returning whether it was placed
+  const place = (type, x, y) => {
+    const element = {
+      id: createId(),
+      type,
+      position: { x, y, z: 0 },
+      rotation: 0,
+      scale: 1
+    };
+    
+    if (!isFootprintInBounds(element.position, getFootprint(element), gridSize) ||
+        getOverlappingIds(element, occupancy).length > 0) {
+      return false;
+    }
+    
+    elements.push(element);
+    addToOccupancyMap(occupancy, element);
+    return true;
+  };
+  
+  // Road network
+  const columns = getRoadLines(random, gridSize.width, blockSize);
+  const rows = getRoadLines(random, gridSize.height, blockSize);
+  
+  for (let y = 0; y < gridSize.height; y++) {
+    for (let x = 0; x < gridSize.width; x++) {
+      if (columns.includes(x) || rows.includes(y)) {
+        place('road', x, y);
+      }
+    }
+  }
+  
+  // Blocks between the roads
+  getBlockSpans(rows, gridSize.height).forEach(ySpan => {
+    getBlockSpans(columns, gridSize.width).forEach(xSpan => {
+      const zone = randomWeighted(random, zoning);
+      if (!zone) return;
+      
+      const treeChance = zone === 'green' ? 0.6 : 0.25;
+      
+      for (let y = ySpan.start; y <= ySpan.end; y++) {
+        for (let x = xSpan.start; x <= xSpan.end; x++) {
+          // Keep multi-tile elements inside the block
+          const fits = x < xSpan.end && y < ySpan.end;
+          
+          if (random() >= density) continue;
+          if (fits && place(CITY_ZONES[zone], x, y)) continue;
+          if (random() < treeChance) {
+            place('tree', x, y);
+          }
+        }
+      }
+    });
+  });
+  
+  return elements;
+};
+
+// Default terrain generator settings
+// scale - typical size of hills and islands in cells
+// waterLevel - share of the noise range (0-1) that lies under water
+// shoreWidth - share of the noise range above the water that becomes sand
+// peakLevel - share of the noise range above which land becomes rock
+// maxHeight - terrain height of the highest peaks (levels)
+// vegetation - chance (0-1) of a tree on each grass cell
+// island - whether land falls away towards the edges of the grid
+export const TERRAIN_GENERATOR_DEFAULTS = {
+  seed: 1,
+  scale: 8,
+  waterLevel: 0.35,
+  shoreWidth: 0.06,
+  peakLevel: 0.85,
+  maxHeight: 5,
+  vegetation: 0.25,
+  island: true
+};
+
+/**
+ * Sample a noise field over the grid
+ * 
+ * Values are stretched to cover [0, 1] so the level settings mean the same
+ * thing for every seed.
+ * 
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @param {number} seed - The seed
+ * @param {number} scale - Typical feature size in cells
+ * @param {boolean} island - Whether to fade the field out towards the edges
+ * @returns {Array} - Field rows [y][x]
+ */
+const createNoiseField = (gridSize, seed, scale, island) => {
+  const noise = createPerlinNoise(seed);
+  
+  const field = Array.from({ length: gridSize.height }, (_, y) =>
+    Array.from({ length: gridSize.width }, (_, x) => {
+      let value = sampleFractalNoise(noise, x / scale, y / scale);
+      
+      if (island) {
+        // Distance from the centre: 0 in the middle, 1 at the edges
+        const nx = (2 * x) / Math.max(1, gridSize.width - 1) - 1;
+        const ny = (2 * y) / Math.max(1, gridSize.height - 1) - 1;
+        value *= 1 - Math.min(1, Math.max(Math.abs(nx), Math.abs(ny)) ** 2);
+      }
+      
+      return value;
+    })
+  );
+  
+  const values = field.flat();
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  
+  return field.map(row => row.map(value => (value - min) / range));
+};
+
+/**
+ * Generate terrain from noise
+ * 
+ * Builds a heightmap and a ground layer with biomes by height: water below
+ * the water level, sand along the shore, grass inland and rock on the
+ * peaks. Trees are scattered over the grass.
+ * 
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @param {Object} options - Generator settings (see TERRAIN_GENERATOR_DEFAULTS)
+ * @returns {Object} - Generated scene data {heightmap, groundTiles, elements}
+ */
+export const generateTerrain = (gridSize, options = {}) => {
+  const {
+    seed,
+    scale,
+    waterLevel,
+    shoreWidth,
+    peakLevel,
+    maxHeight,
+    vegetation,
+    island
+  } = { ...TERRAIN_GENERATOR_DEFAULTS, ...options };
+  
+  const field = createNoiseField(gridSize, seed, scale, island);
+  const random = createRandom(seed);
+  const elements = [];
+  
+  const heightmap = createHeightmap(gridSize);
+  const groundTiles = createGroundLayer(gridSize);
+  
+  field.forEach((row, y) => {
+    row.forEach((value, x) => {
+      if (value < waterLevel) {
+        groundTiles[y][x] = 'water';
+        return;
+      }
+      
+      // Height above the water, from 0 at the shoreline to maxHeight at the top
+      const land = (value - waterLevel) / (1 - waterLevel || 1);
+      heightmap[y][x] = Math.min(TERRAIN_MAX_HEIGHT, Math.round(land * maxHeight));
+      
+      if (value < waterLevel + shoreWidth) {
+        groundTiles[y][x] = 'sand';
+      } else if (value >= peakLevel) {
+        groundTiles[y][x] = 'rock';
+      } else {
+        groundTiles[y][x] = 'grass';
+        
+        if (random() < vegetation) {
+          elements.push({
+            id: createId(),
+            type: 'tree',
+            position: { x, y, z: 0 },
+            rotation: 0,
+            scale: 1
+          });
+        }
+      }
+    });
+  });
+  
+  return { heightmap, groundTiles, elements };
+};
@@ -0,0 +1,79 @@
+/**
+ * Utility functions for the ground layer
+ * 
+ * The ground layer is a tilemap that gives every grid cell an optional
+ * ground type (grass, water, sand, asphalt...). It is drawn as filled tiles
+ * underneath all elements. Like the heightmap, it is stored as an array of
+ * rows: groundTiles[y][x], with null for unpainted cells.
+ */
+
+import { BRUSH_ERASER } from './brushUtils';
+
+/**
+ * Create an empty ground layer
+ * 
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array} - Ground layer rows [y][x]
+ */
+export const createGroundLayer = (gridSize) => {
+  return Array.from({ length: gridSize.height }, () => Array(gridSize.width).fill(null));
+};
+
+/**
+ * Resize a ground layer to new grid dimensions
+ * 
+ * Existing tiles are kept where the cell still exists; new cells are unpainted.
+ * 
+ * @param {Array} groundTiles - The current ground layer
+ * @param {Object} gridSize - The new grid dimensions {width, height}
+ * @returns {Array} - Resized ground layer
+ */
+export const resizeGroundLayer = (groundTiles, gridSize) => {
+  return Array.from({ length: gridSize.height }, (_, y) =>
+    Array.from({ length: gridSize.width }, (_, x) => getGroundType(groundTiles, x, y))
+  );
+};
+
+/**
+ * Get the ground type of a cell
+ * 
+ * @param {Array} groundTiles - The ground layer
+ * @param {number} x - X position on the grid (grid cells)
+ * @param {number} y - Y position on the grid (grid cells)
+ * @returns {string|null} - Ground type, or null when unpainted
+ */
+export const getGroundType = (groundTiles, x, y) => {
+  return groundTiles?.[y]?.[x] || null;
+};
+
+/**
+ * Check whether a ground layer has any painted cells
+ * 
+ * @param {Array} groundTiles - The ground layer
+ * @returns {boolean} - Whether any cell has a ground type
+ */
+export const hasGroundTiles = (groundTiles) => {
+  return groundTiles.some(row => row.some(type => type !== null));
+};
+
+/**
+ * Paint cells of a ground layer
+ * 
+ * Cells outside the layer are ignored.
+ * 
+ * @param {Array} groundTiles - The current ground layer
+ * @param {Array} cells - Cells to paint [{x, y}]
+ * @param {string} type - Ground type to paint, or BRUSH_ERASER to clear
+ * @returns {Array} - Updated ground layer (the input is not modified)
+ */
+export const paintGroundCells = (groundTiles, cells, type) => {
+  const next = groundTiles.map(row => [...row]);
+  const value = type === BRUSH_ERASER ? null : type;
+  
+  cells.forEach(({ x, y }) => {
+    if (next[y] === undefined || x < 0 || x >= next[y].length) return;
+    next[y][x] = value;
+  });
+  
+  return next;
+};
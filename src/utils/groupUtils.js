@@ -0,0 +1,256 @@
+/**
+ * Utility functions for element groups
+ * 
+ * Elements that share a `groupId` form a group that moves, rotates,
+ * duplicates and is deleted as one unit. Elements placed from a prefab
+ * also carry the `prefabId` of the prefab they came from (see prefabUtils).
+ * 
+ * Group transforms keep the members' layout: they are checked as a whole
+ * and either every member fits or nothing changes.
+ */
+
+import { canPlaceElement, getFootprint } from './placementUtils';
+import { createId } from './idUtils';
+
+/**
+ * Create an ID for a new group
+ * 
+ * @returns {string} - The group ID
+ */
+export const createGroupId = () => createId('group');
+
+/**
+ * List the members of the group an element belongs to
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {string} id - The ID of one of the group's elements
+ * @returns {Array} - The group's elements, or just the element itself when it isn't grouped
+ */
+export const getGroupMembers = (elements, id) => {
+  const element = elements.find(el => el.id === id);
+  if (!element) return [];
+  if (!element.groupId) return [element];
+  
+  return elements.filter(el => el.groupId === element.groupId);
+};
+
+/**
+ * Take an element out of its group
+ * 
+ * @param {Object} element - The element
+ * @returns {Object} - A copy of the element without group or prefab IDs
+ */
+const withoutGroup = (element) => {
+  const ungrouped = { ...element };
+  delete ungrouped.groupId;
+  delete ungrouped.prefabId;
+  return ungrouped;
+};
+
+/**
+ * Dissolve the group an element belongs to
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {string} id - The ID of one of the group's elements
+ * @returns {Array} - Updated elements (the input is not modified)
+ */
+export const ungroupElements = (elements, id) => {
+  const memberIds = new Set(getGroupMembers(elements, id).map(element => element.id));
+  return elements.map(element => (memberIds.has(element.id) ? withoutGroup(element) : element));
+};
+
+/**
+ * Group a set of elements
+ * 
+ * The elements, along with the rest of any groups they belong to, form
+ * one new group. They lose their prefab IDs, since they are no longer
+ * part of an unchanged instance.
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} ids - The IDs of the elements to group
+ * @returns {Array} - Updated elements (the input is not modified)
+ */
+export const groupElements = (elements, ids) => {
+  const memberIds = new Set(ids.flatMap(id => getGroupMembers(elements, id).map(element => element.id)));
+  if (memberIds.size < 2) return elements;
+  
+  const groupId = createGroupId();
+  return elements.map(element => (memberIds.has(element.id) ? { ...withoutGroup(element), groupId } : element));
+};
+
+/**
+ * Calculate the cells spanned by a set of elements
+ * 
+ * @param {Array} members - The elements
+ * @returns {Object} - Bounding box in grid cells {x, y, width, height}
+ */
+export const getGroupBounds = (members) => {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  
+  members.forEach(element => {
+    const footprint = getFootprint(element);
+    minX = Math.min(minX, element.position.x);
+    minY = Math.min(minY, element.position.y);
+    maxX = Math.max(maxX, element.position.x + footprint.width);
+    maxY = Math.max(maxY, element.position.y + footprint.height);
+  });
+  
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+/**
+ * Check whether a set of elements can be placed together
+ * 
+ * Each element must fit among the other scene elements and the elements
+ * of the set checked before it.
+ * 
+ * @param {Array} placed - The elements to place
+ * @param {Array} others - The scene elements that stay where they are
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {boolean} - Whether every element fits
+ */
+export const canPlaceElements = (placed, others, gridSize) => {
+  const accepted = [...others];
+  
+  return placed.every(element => {
+    if (!canPlaceElement(element, accepted, gridSize)) return false;
+    accepted.push(element);
+    return true;
+  });
+};
+
+/**
+ * Split a set of elements into units that are placed and moved as one
+ * 
+ * @param {Array} members - The elements
+ * @returns {Array} - The units, each a group's elements or a single ungrouped element, in order of first appearance
+ */
+export const getElementUnits = (members) => {
+  const units = new Map();
+  members.forEach(element => {
+    const key = element.groupId || element.id;
+    if (!units.has(key)) units.set(key, []);
+    units.get(key).push(element);
+  });
+  
+  return [...units.values()];
+};
+
+/**
+ * Add incoming elements to the scene, a whole group at a time
+ * 
+ * Grouped elements are added together or not at all; groups and
+ * ungrouped elements that don't fit next to the elements already placed
+ * are skipped.
+ * 
+ * @param {Array} incoming - The elements to add, with IDs unique in the scene
+ * @param {Array} elements - The elements in the scene
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Object} - The updated elements, the added elements and the number skipped {elements, added, skipped}
+ */
+export const addElementUnits = (incoming, elements, gridSize) => {
+  const merged = [...elements];
+  const added = [];
+  let skipped = 0;
+  getElementUnits(incoming).forEach(unit => {
+    if (canPlaceElements(unit, merged, gridSize)) {
+      merged.push(...unit);
+      added.push(...unit);
+    } else {
+      skipped += unit.length;
+    }
+  });
+  
+  return { elements: merged, added, skipped };
+};
+
+/**
+ * Replace a set of elements with transformed copies, if they fit
+ * 
+ * A transform can return an element unchanged; if every member is
+ * unchanged, the elements are returned as they are.
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} members - The elements to replace
+ * @param {Function} transform - Returns the transformed copy of a member
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array|null} - Updated elements, or null if the transformed members don't fit
+ */
+export const transformMembers = (elements, members, transform, gridSize) => {
+  const memberIds = new Set(members.map(element => element.id));
+  const others = elements.filter(element => !memberIds.has(element.id));
+  const transformed = new Map(members.map(element => [element.id, transform(element)]));
+  
+  if (members.every(element => transformed.get(element.id) === element)) return elements;
+  if (!canPlaceElements([...transformed.values()], others, gridSize)) return null;
+  
+  return elements.map(element => transformed.get(element.id) || element);
+};
+
+/**
+ * Move a set of elements by an offset
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} members - The elements to move
+ * @param {Object} delta - Offset in grid cells and levels {x, y, z}
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array|null} - Updated elements, or null if the moved members don't fit
+ */
+export const translateElements = (elements, members, delta, gridSize) => {
+  return transformMembers(elements, members, element => ({
+    ...element,
+    position: {
+      x: element.position.x + (delta.x || 0),
+      y: element.position.y + (delta.y || 0),
+      z: (element.position.z || 0) + (delta.z || 0)
+    }
+  }), gridSize);
+};
+
+/**
+ * Rotate a set of elements around the centre of their bounds
+ * 
+ * Positions turn with the sprites: a quarter turn clockwise maps the
+ * grid direction an element's sprite faces (-x) to the next one (-y), so
+ * offsets from the centre (dx, dy) become (-dy, dx). Footprints turn too
+ * (see getFootprint).
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} members - The elements to rotate
+ * @param {number} degrees - Rotation in multiples of 90 (negative for anticlockwise)
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array|null} - Updated elements, or null if the rotated members don't fit
+ */
+export const rotateElements = (elements, members, degrees, gridSize) => {
+  const bounds = getGroupBounds(members);
+  const centreX = bounds.x + bounds.width / 2;
+  const centreY = bounds.y + bounds.height / 2;
+  const turns = (((Math.round(degrees / 90)) % 4) + 4) % 4;
+  
+  return transformMembers(elements, members, element => {
+    const footprint = getFootprint(element);
+    const rotation = (((element.rotation || 0) + degrees) % 360 + 360) % 360;
+    const rotatedFootprint = getFootprint({ ...element, rotation });
+    
+    // Rotate the centre of the footprint, then step back to the origin
+    // cell of the turned footprint
+    let dx = element.position.x + footprint.width / 2 - centreX;
+    let dy = element.position.y + footprint.height / 2 - centreY;
+    for (let turn = 0; turn < turns; turn++) {
+      [dx, dy] = [-dy, dx];
+    }
+    
+    return {
+      ...element,
+      position: {
+        ...element.position,
+        x: Math.round(centreX + dx - rotatedFootprint.width / 2),
+        y: Math.round(centreY + dy - rotatedFootprint.height / 2)
+      },
+      rotation
+    };
+  }, gridSize);
+};
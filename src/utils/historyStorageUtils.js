@@ -0,0 +1,325 @@
+/**
+ * Utility functions for saving undo history with a scene
+ * 
+ * In memory, each history command keeps the full values of the document
+ * parts it changed (see historyUtils). Saved history is compacted instead:
+ * each command stores a patch per changed part that can be applied in
+ * either direction:
+ * 
+ * - elements: the elements removed and added, with their positions in
+ *   the list before and after the change {removed, added}
+ * - heightmap and groundTiles: the changed cells as [x, y, before, after] {cells}
+ * - anything else, or a change the above can't describe: both values {before, after}
+ * 
+ * When a scene is opened, the states of all entries are rebuilt from the
+ * saved document by applying the patches outward from the current entry.
+ * 
+ * How much history is saved is limited by the history settings, which are
+ * shared by all scenes and kept in localStorage.
+ */
+
+import { SCENE_DOCUMENT_KEYS, createHistory, dropOldestEntry } from './historyUtils';
+
+// localStorage key of the history settings
+const HISTORY_SETTINGS_KEY = 'isometric-history-settings';
+
+// Default history settings
+// maxSavedSteps - most commands saved with a scene
+// maxSavedSizeKb - most storage saved history may take, in kilobytes of JSON
+// squashOnSave - save scenes without their history
+export const DEFAULT_HISTORY_SETTINGS = {
+  maxSavedSteps: 100,
+  maxSavedSizeKb: 256,
+  squashOnSave: false
+};
+
+// Document parts stored as changed cells
+const GRID_KEYS = ['heightmap', 'groundTiles'];
+
+/**
+ * Load the history settings from localStorage
+ * 
+ * @returns {Object} - The settings {maxSavedSteps, maxSavedSizeKb, squashOnSave}
+ */
+export const loadHistorySettings = () => {
+  try {
+    const settings = JSON.parse(localStorage.getItem(HISTORY_SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_HISTORY_SETTINGS, ...settings };
+  } catch (error) {
+    console.error('Error loading history settings:', error);
+    return DEFAULT_HISTORY_SETTINGS;
+  }
+};
+
+/**
+ * Save the history settings to localStorage
+ * 
+ * @param {Object} settings - The settings to save
+ * @returns {boolean} - Whether the save was successful
+ */
+export const saveHistorySettings = (settings) => {
+  try {
+    localStorage.setItem(HISTORY_SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error('Error saving history settings:', error);
+    return false;
+  }
+};
+
+/**
+ * Describe the change to a list of elements as the elements removed and added
+ * 
+ * Elements count as unchanged when the same element object is in both
+ * lists; every other element is listed with its position.
+ * 
+ * @param {Array} before - The elements before the change
+ * @param {Array} after - The elements after the change
+ * @returns {Object|null} - The patch {removed, added}, or null if unchanged elements were reordered
+ */
+const diffElements = (before, after) => {
+  const afterSet = new Set(after);
+  const beforeSet = new Set(before);
+  const keptBefore = before.filter(element => afterSet.has(element));
+  const keptAfter = after.filter(element => beforeSet.has(element));
+  
+  if (keptBefore.some((element, index) => element !== keptAfter[index])) return null;
+  
+  return {
+    removed: before.flatMap((element, index) => (afterSet.has(element) ? [] : [[index, element]])),
+    added: after.flatMap((element, index) => (beforeSet.has(element) ? [] : [[index, element]]))
+  };
+};
+
+/**
+ * Describe the change to a grid of cells as the changed cells
+ * 
+ * @param {Array} before - The grid before the change, as rows [y][x]
+ * @param {Array} after - The grid after the change, as rows [y][x]
+ * @returns {Object|null} - The patch {cells}, or null if the grid was resized
+ */
+const diffGrid = (before, after) => {
+  if (before.length !== after.length || before.some((row, y) => row.length !== after[y].length)) return null;
+  
+  const cells = [];
+  before.forEach((row, y) => {
+    if (row === after[y]) return;
+    row.forEach((value, x) => {
+      if (value !== after[y][x]) cells.push([x, y, value, after[y][x]]);
+    });
+  });
+  
+  return { cells };
+};
+
+/**
+ * Create the patch for one document part
+ * 
+ * @param {string} key - The document part
+ * @param {*} before - Its value before the change
+ * @param {*} after - Its value after the change
+ * @returns {Object} - The patch
+ */
+const createPatch = (key, before, after) => {
+  let patch = null;
+  if (key === 'elements') patch = diffElements(before, after);
+  if (GRID_KEYS.includes(key)) patch = diffGrid(before, after);
+  return patch || { before, after };
+};
+
+/**
+ * Apply a patch to a document part
+ * 
+ * @param {*} value - The current value of the part
+ * @param {Object} patch - The patch (see createPatch)
+ * @param {boolean} forward - Whether to redo the change (true) or undo it (false)
+ * @returns {*} - The value on the other side of the change
+ * @throws {Error} - If the patch doesn't fit the value
+ */
+const applyPatch = (value, patch, forward) => {
+  if ('before' in patch || 'after' in patch) {
+    return forward ? patch.after : patch.before;
+  }
+  
+  if (Array.isArray(patch.cells)) {
+    const grid = value.map(row => row.slice());
+    patch.cells.forEach(([x, y, before, after]) => {
+      if (!grid[y] || x < 0 || x >= grid[y].length) throw new Error(`Cell ${x},${y} is outside the grid`);
+      grid[y][x] = forward ? after : before;
+    });
+    return grid;
+  }
+  
+  if (Array.isArray(patch.removed) && Array.isArray(patch.added)) {
+    const [taken, given] = forward ? [patch.removed, patch.added] : [patch.added, patch.removed];
+    taken.forEach(([index, element]) => {
+      if (value[index]?.id !== element?.id) throw new Error(`Element ${element?.id} is not at index ${index}`);
+    });
+    
+    const takenIndexes = new Set(taken.map(([index]) => index));
+    const elements = value.filter((_, index) => !takenIndexes.has(index));
+    if (elements.length !== value.length - takenIndexes.size) throw new Error('Element patch doesn\'t fit the scene');
+    
+    [...given].sort((a, b) => a[0] - b[0]).forEach(([index, element]) => {
+      if (index > elements.length) throw new Error(`Index ${index} is outside the elements`);
+      elements.splice(index, 0, element);
+    });
+    return elements;
+  }
+  
+  throw new Error('Unrecognised history patch');
+};
+
+/**
+ * Compact a history entry for saving
+ * 
+ * @param {Object} entry - The history entry
+ * @returns {Object} - The entry with a patch per changed document part instead of its before and after values
+ */
+const compactEntry = (entry) => {
+  const compacted = { id: entry.id, parentId: entry.parentId, label: entry.label, timestamp: entry.timestamp };
+  if (entry.parentId === null) return compacted;
+  
+  compacted.changes = {};
+  Object.keys(entry.after || {}).forEach(key => {
+    compacted.changes[key] = createPatch(key, entry.before[key], entry.after[key]);
+  });
+  return compacted;
+};
+
+/**
+ * Compact a history for saving with a scene
+ * 
+ * The oldest entries are dropped (see dropOldestEntry) until the history
+ * fits the step and size limits of the settings.
+ * 
+ * @param {Object} history - The history (see historyUtils)
+ * @param {Object} settings - The history settings {maxSavedSteps, maxSavedSizeKb, squashOnSave}
+ * @returns {Object|null} - The saved history {entries, currentId, activeChildIds}, or null if no history is saved
+ */
+export const compactHistory = (history, settings = DEFAULT_HISTORY_SETTINGS) => {
+  if (settings.squashOnSave) return null;
+  
+  const compacted = new Map();
+  const getCompacted = (entry) => {
+    if (!compacted.has(entry)) {
+      const saved = compactEntry(entry);
+      compacted.set(entry, { saved, size: JSON.stringify(saved).length });
+    }
+    return compacted.get(entry);
+  };
+  const getSize = (current) => current.entries.reduce((size, entry) => size + getCompacted(entry).size, 0);
+  
+  let trimmed = history;
+  while (
+    trimmed.entries.length - 1 > settings.maxSavedSteps ||
+    getSize(trimmed) > settings.maxSavedSizeKb * 1024
+  ) {
+    const next = dropOldestEntry(trimmed);
+    if (next === trimmed) break;
+    trimmed = next;
+  }
+  
+  // Nothing but the starting point is left, so there is nothing to undo
+  if (trimmed.entries.length === 1) return null;
+  
+  return {
+    entries: trimmed.entries.map(entry => getCompacted(entry).saved),
+    currentId: trimmed.currentId,
+    activeChildIds: trimmed.activeChildIds
+  };
+};
+
+/**
+ * Check the structure of saved history
+ * 
+ * @param {*} saved - The saved history
+ * @returns {boolean} - Whether every entry has an ID, a label and a parent saved before it
+ */
+const isValidSavedHistory = (saved) => {
+  if (!saved || typeof saved !== 'object' || !Array.isArray(saved.entries) || saved.entries.length === 0) return false;
+  
+  const seenIds = new Set();
+  const isValid = saved.entries.every((entry, index) => {
+    const hasParent = index === 0 ? entry?.parentId === null : seenIds.has(entry?.parentId);
+    const isValidEntry = hasParent &&
+      typeof entry.id === 'string' && !seenIds.has(entry.id) &&
+      typeof entry.label === 'string' &&
+      typeof entry.timestamp === 'number' &&
+      (index === 0 || (entry.changes && typeof entry.changes === 'object' &&
+        Object.keys(entry.changes).every(key => SCENE_DOCUMENT_KEYS.includes(key))));
+    seenIds.add(entry?.id);
+    return isValidEntry;
+  });
+  
+  return isValid && seenIds.has(saved.currentId);
+};
+
+/**
+ * Rebuild a saved history around the document it was saved with
+ * 
+ * Saved history that doesn't fit the document (for example because the
+ * scene was edited elsewhere) is discarded, and a new history is started.
+ * 
+ * @param {Object|null} saved - The saved history (see compactHistory)
+ * @param {Object} document - The scene document as opened
+ * @param {string} label - Label of the starting entry of a new history
+ * @returns {Object} - The history, and whether the saved history was restored {history, restored}
+ */
+export const restoreHistory = (saved, document, label) => {
+  if (!saved) return { history: createHistory(label), restored: false };
+  
+  try {
+    if (!isValidSavedHistory(saved)) throw new Error('Malformed history');
+    
+    const savedById = new Map(saved.entries.map(entry => [entry.id, entry]));
+    const states = new Map([[saved.currentId, document]]);
+    
+    // Walk from the current entry to its neighbours: undo towards the
+    // parent, redo towards the children
+    const queue = [saved.currentId];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const entry = savedById.get(id);
+      const state = states.get(id);
+      
+      if (entry.parentId !== null && !states.has(entry.parentId)) {
+        const parentState = { ...state };
+        Object.entries(entry.changes).forEach(([key, patch]) => {
+          parentState[key] = applyPatch(state[key], patch, false);
+        });
+        states.set(entry.parentId, parentState);
+        queue.push(entry.parentId);
+      }
+      
+      saved.entries.forEach(child => {
+        if (child.parentId !== id || states.has(child.id)) return;
+        const childState = { ...state };
+        Object.entries(child.changes).forEach(([key, patch]) => {
+          childState[key] = applyPatch(state[key], patch, true);
+        });
+        states.set(child.id, childState);
+        queue.push(child.id);
+      });
+    }
+    
+    const entries = saved.entries.map(entry => {
+      const { id, parentId, label: entryLabel, timestamp } = entry;
+      if (parentId === null) return { id, parentId, label: entryLabel, timestamp };
+      
+      const before = {};
+      const after = {};
+      Object.keys(entry.changes).forEach(key => {
+        before[key] = states.get(parentId)[key];
+        after[key] = states.get(id)[key];
+      });
+      return { id, parentId, label: entryLabel, timestamp, before, after };
+    });
+    
+    const activeChildIds = saved.activeChildIds && typeof saved.activeChildIds === 'object' ? saved.activeChildIds : {};
+    return { history: { entries, currentId: saved.currentId, activeChildIds }, restored: true };
+  } catch (error) {
+    console.error('Error restoring saved history:', error);
+    return { history: createHistory(label), restored: false };
+  }
+};
@@ -0,0 +1,332 @@
+/**
+ * Utility functions for undo/redo history
+ * 
+ * History is a tree of commands. Each command has a readable label and
+ * records the parts of the scene document it changed, before and after
+ * the change. The scene document is everything that is saved with a
+ * scene (see SCENE_DOCUMENT_KEYS); view settings, the selection and the
+ * active tools are not part of it.
+ * 
+ * The root entry is the state the scene was created or opened in and
+ * can't be undone. Every other entry has a parent, the entry it was
+ * recorded after. `currentId` is the entry whose state the scene is in.
+ * Undo moves to its parent; a new command recorded after an undo starts a
+ * new branch next to the undone one instead of discarding it. Redo follows
+ * the branch that was last visited (`activeChildIds`), and any entry on
+ * any branch can be jumped to by undoing back to the shared ancestor and
+ * replaying the commands down to the entry.
+ * 
+ * History objects are plain data and are never modified; every function
+ * returns a new one.
+ */
+
+import { getElementMetadata } from '../components/elements/metadata';
+import { createId } from './idUtils';
+
+// Parts of the scene state that history covers
+export const SCENE_DOCUMENT_KEYS = [
+  'elements',
+  'groundTiles',
+  'heightmap',
+  'layers',
+  'gridSize',
+  'tileSize',
+  'sceneName'
+];
+
+// Maximum number of entries kept; the oldest commands are dropped first
+export const MAX_HISTORY_ENTRIES = 200;
+
+// Commands with the same merge key within this time are merged into one
+const MERGE_WINDOW_MS = 1000;
+
+/**
+ * Create a history with a single starting entry
+ * 
+ * @param {string} label - Label of the starting entry, e.g. 'New scene'
+ * @returns {Object} - The history {entries, currentId, activeChildIds}
+ */
+export const createHistory = (label) => {
+  const root = { id: createId('history'), parentId: null, label, timestamp: Date.now() };
+  return { entries: [root], currentId: root.id, activeChildIds: {} };
+};
+
+/**
+ * Find a history entry by ID
+ * 
+ * @param {Object} history - The history
+ * @param {string} id - The entry ID
+ * @returns {Object|undefined} - The entry
+ */
+export const getHistoryEntry = (history, id) => history.entries.find(entry => entry.id === id);
+
+/**
+ * Get the entries recorded directly after an entry, oldest first
+ * 
+ * @param {Object} history - The history
+ * @param {string} id - The entry ID
+ * @returns {Array} - The child entries; more than one means the history branches here
+ */
+const getChildEntries = (history, id) => history.entries.filter(entry => entry.parentId === id);
+
+/**
+ * Get the IDs of the entries from the root down to an entry
+ * 
+ * @param {Object} history - The history
+ * @param {string} id - The entry ID
+ * @returns {Array} - The entry IDs, starting with the root and ending with the entry
+ */
+export const getEntryPath = (history, id) => {
+  const path = [];
+  for (let entry = getHistoryEntry(history, id); entry; entry = getHistoryEntry(history, entry.parentId)) {
+    path.unshift(entry.id);
+  }
+  return path;
+};
+
+/**
+ * Get the entry undo moves to
+ * 
+ * @param {Object} history - The history
+ * @returns {string|null} - The parent of the current entry, or null at the root
+ */
+export const getUndoTarget = (history) => getHistoryEntry(history, history.currentId).parentId;
+
+/**
+ * Get the entry redo moves to
+ * 
+ * Follows the branch that was last visited from the current entry, or the
+ * newest branch if none was.
+ * 
+ * @param {Object} history - The history
+ * @returns {string|null} - A child of the current entry, or null if there is nothing to redo
+ */
+export const getRedoTarget = (history) => {
+  const children = getChildEntries(history, history.currentId);
+  const activeId = history.activeChildIds[history.currentId];
+  if (children.some(child => child.id === activeId)) return activeId;
+  return children.length > 0 ? children[children.length - 1].id : null;
+};
+
+/**
+ * Drop the oldest entry that can be dropped
+ * 
+ * Abandoned branches go first, oldest leaf first. When only the entries
+ * leading to the current one are left, the root is dropped and the next
+ * entry becomes the new starting point. The current entry is never
+ * dropped.
+ * 
+ * @param {Object} history - The history
+ * @returns {Object} - The history without the entry (unchanged if only the current entry is left)
+ */
+export const dropOldestEntry = (history) => {
+  const { entries, currentId } = history;
+  const activeChildIds = { ...history.activeChildIds };
+  const currentPath = new Set(getEntryPath(history, currentId));
+  const parentIds = new Set(entries.map(entry => entry.parentId));
+  const leaf = entries.find(entry => !currentPath.has(entry.id) && !parentIds.has(entry.id));
+  
+  if (leaf) {
+    if (activeChildIds[leaf.parentId] === leaf.id) delete activeChildIds[leaf.parentId];
+    return { ...history, entries: entries.filter(entry => entry !== leaf), activeChildIds };
+  }
+  
+  // Only the current branch is left, so the root has at most one child
+  const [root] = entries;
+  if (root.id === currentId) return history;
+  
+  delete activeChildIds[root.id];
+  return {
+    ...history,
+    entries: entries.slice(1).map(entry => (
+      entry.parentId === root.id
+        ? { id: entry.id, parentId: null, label: entry.label, timestamp: entry.timestamp }
+        : entry
+    )),
+    activeChildIds
+  };
+};
+
+/**
+ * Add a command after the current entry
+ * 
+ * If the current entry already has commands after it (it was undone to),
+ * the new command starts a new branch and the existing ones are kept. A
+ * command with the same merge key as the current entry, added shortly
+ * after it, extends that entry instead, so continuous edits such as
+ * dragging a slider become a single undo step.
+ * 
+ * @param {Object} history - The history
+ * @param {Object} command - The command {label, before, after, mergeKey}
+ * @returns {Object} - The updated history
+ */
+export const pushCommand = (history, command) => {
+  const current = getHistoryEntry(history, history.currentId);
+  const timestamp = Date.now();
+  
+  const canMerge = command.mergeKey &&
+    current.mergeKey === command.mergeKey &&
+    timestamp - current.timestamp < MERGE_WINDOW_MS &&
+    getChildEntries(history, current.id).length === 0;
+  
+  if (canMerge) {
+    const merged = {
+      ...current,
+      label: command.label,
+      timestamp,
+      before: { ...command.before, ...current.before },
+      after: { ...current.after, ...command.after }
+    };
+    return { ...history, entries: history.entries.map(entry => (entry === current ? merged : entry)) };
+  }
+  
+  const entry = { id: createId('history'), parentId: current.id, timestamp, ...command };
+  let updated = {
+    entries: [...history.entries, entry],
+    currentId: entry.id,
+    activeChildIds: { ...history.activeChildIds, [current.id]: entry.id }
+  };
+  
+  // The oldest entries are dropped first
+  while (updated.entries.length > MAX_HISTORY_ENTRIES) {
+    updated = dropOldestEntry(updated);
+  }
+  
+  return updated;
+};
+
+/**
+ * Get the document changes that move the scene from the current entry to another
+ * 
+ * The `before` state of each command is applied from the current entry
+ * back to the ancestor it shares with the target, then the `after` state
+ * of each command from there down to the target.
+ * 
+ * @param {Object} history - The history
+ * @param {string} targetId - The ID of the entry to move to
+ * @returns {Object} - The scene document values to apply
+ */
+export const getHistoryChanges = (history, targetId) => {
+  const fromPath = getEntryPath(history, history.currentId);
+  const toPath = getEntryPath(history, targetId);
+  
+  let shared = 0;
+  while (shared < fromPath.length && shared < toPath.length && fromPath[shared] === toPath[shared]) {
+    shared++;
+  }
+  
+  const changes = {};
+  for (let i = fromPath.length - 1; i >= shared; i--) {
+    Object.assign(changes, getHistoryEntry(history, fromPath[i]).before);
+  }
+  for (let i = shared; i < toPath.length; i++) {
+    Object.assign(changes, getHistoryEntry(history, toPath[i]).after);
+  }
+  
+  return changes;
+};
+
+/**
+ * Make another entry the current one
+ * 
+ * The branches leading to the entry become the ones redo follows.
+ * 
+ * @param {Object} history - The history
+ * @param {string} targetId - The ID of the entry to move to
+ * @returns {Object} - The updated history
+ */
+export const moveToEntry = (history, targetId) => {
+  const activeChildIds = { ...history.activeChildIds };
+  const path = getEntryPath(history, targetId);
+  for (let i = 1; i < path.length; i++) {
+    activeChildIds[path[i - 1]] = path[i];
+  }
+  
+  return { ...history, currentId: targetId, activeChildIds };
+};
+
+/**
+ * List the history as rows of a tree, for display
+ * 
+ * Rows are in depth-first order, oldest first. The first command after an
+ * entry continues its branch; each later one starts a new branch one level
+ * deeper.
+ * 
+ * @param {Object} history - The history
+ * @returns {Array} - The rows {entry, depth, startsBranch, isCurrent, isApplied}, where isApplied means the entry leads to the current state
+ */
+export const getHistoryRows = (history) => {
+  const appliedIds = new Set(getEntryPath(history, history.currentId));
+  const rows = [];
+  
+  const visit = (entry, depth, startsBranch) => {
+    rows.push({
+      entry,
+      depth,
+      startsBranch,
+      isCurrent: entry.id === history.currentId,
+      isApplied: appliedIds.has(entry.id)
+    });
+    getChildEntries(history, entry.id).forEach((child, index) => visit(child, depth + (index > 0 ? 1 : 0), index > 0));
+  };
+  
+  history.entries.filter(entry => entry.parentId === null).forEach(root => visit(root, 0, false));
+  return rows;
+};
+
+/**
+ * Describe an element for a history label
+ * 
+ * @param {Object} element - The element
+ * @returns {string} - The element's name, or the name of its type
+ */
+export const describeElement = (element) => (
+  element.name || getElementMetadata(element.type)?.name || element.type
+);
+
+/**
+ * Describe a set of elements for a history label
+ * 
+ * @param {Array} elements - The elements
+ * @returns {string} - The single element's description, or a count such as '3 elements'
+ */
+export const describeElements = (elements) => (
+  elements.length === 1 ? describeElement(elements[0]) : `${elements.length} elements`
+);
+
+/**
+ * Label an update to an element's properties
+ * 
+ * @param {Object} element - The element before the update
+ * @param {Object} updates - The updated properties
+ * @returns {string} - The label, e.g. 'Move Tree to 4,5'
+ */
+export const describeElementUpdate = (element, updates) => {
+  const name = describeElement(element);
+  const keys = Object.keys(updates);
+  
+  if (updates.position) return `Move ${name} to ${updates.position.x},${updates.position.y}`;
+  
+  // Adding a custom property changes its schema and value together
+  const isPropertyEdit = keys.every(key => key === 'properties' || key === 'propertySchema');
+  if (keys.length !== 1 && !isPropertyEdit) return `Edit ${name}`;
+  
+  switch (isPropertyEdit ? 'properties' : keys[0]) {
+    case 'name':
+      return updates.name ? `Rename ${name} to ${updates.name}` : `Clear name of ${name}`;
+    case 'rotation':
+      return `Rotate ${name}`;
+    case 'scale':
+      return `Scale ${name}`;
+    case 'layerId':
+      return `Move ${name} to another layer`;
+    case 'tags':
+      return `Edit tags of ${name}`;
+    case 'notes':
+      return `Edit notes of ${name}`;
+    case 'properties':
+      return `Edit properties of ${name}`;
+    default:
+      return `Edit ${name}`;
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * Utility functions for element, group and prefab IDs
+ * 
+ * IDs combine the creation time with a counter and a random part. The
+ * counter keeps IDs created in the same millisecond (batch placement,
+ * generators, pasting) apart within a session, and the random part makes
+ * collisions with IDs created in other sessions very unlikely.
+ * 
+ * Elements that come from outside the scene, such as pasted elements,
+ * prefab instances and merged scenes, get fresh IDs through
+ * remapElementIds before they are added.
+ */
+
+// Number of IDs created in this session
+let idCounter = 0;
+
+/**
+ * Create a new unique ID
+ * 
+ * @param {string} prefix - Optional prefix, e.g. 'group'
+ * @returns {string} - The ID
+ */
+export const createId = (prefix) => {
+  const id = [
+    Date.now().toString(36),
+    (idCounter++).toString(36),
+    Math.random().toString(36).slice(2, 6)
+  ].join('-');
+  
+  return prefix ? `${prefix}-${id}` : id;
+};
+
+/**
+ * Give a set of incoming elements fresh IDs
+ * 
+ * Groups are remapped too: elements that shared a group still share one,
+ * but under a new group ID, so they can't join a group already in the
+ * scene. Prefab IDs are kept, since they refer to the prefab library.
+ * 
+ * @param {Array} incoming - The elements to remap
+ * @returns {Object} - The remapped elements and a map of old to new element IDs {elements, idMap}
+ */
+export const remapElementIds = (incoming) => {
+  const idMap = new Map();
+  const groupIdMap = new Map();
+  
+  const elements = incoming.map(element => {
+    const remapped = { ...element, id: createId() };
+    if (element.id !== undefined) idMap.set(element.id, remapped.id);
+    
+    if (element.groupId) {
+      if (!groupIdMap.has(element.groupId)) groupIdMap.set(element.groupId, createId('group'));
+      remapped.groupId = groupIdMap.get(element.groupId);
+    }
+    
+    return remapped;
+  });
+  
+  return { elements, idMap };
+};
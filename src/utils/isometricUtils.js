@@ -36,20 +36,24 @@ export function screenToIsometric(screenX, screenY, tileWidth, tileHeight) {
  * It applies the isometric projection matrix to calculate where on the screen
  * a grid cell should be positioned.
  * 
+ * An optional elevation lifts the point straight up on screen. One elevation
+ * level corresponds to half a tile height.
+ * 
  * @param {number} isoX - X coordinate in isometric space (grid cells)
  * @param {number} isoY - Y coordinate in isometric space (grid cells)
  * @param {number} tileWidth - Width of an isometric tile (pixels)
  * @param {number} tileHeight - Height of an isometric tile (pixels)
+ * @param {number} isoZ - Elevation above the ground plane (levels)
  * @returns {Object} - Object containing screen x and y coordinates (pixels)
  */
-export function isometricToScreen(isoX, isoY, tileWidth, tileHeight) {
+export function isometricToScreen(isoX, isoY, tileWidth, tileHeight, isoZ = 0) {
   // Convert isometric grid coordinates to screen coordinates
   // For isometric projection, we use a 2x2 matrix transformation:
   // [x']   [ 1  -1] [x]
   // [y'] = [0.5 0.5] [y]
   // Multiplied by tile dimensions
   const screenX = (isoX - isoY) * (tileWidth / 2);
-  const screenY = (isoX + isoY) * (tileHeight / 2);
+  const screenY = (isoX + isoY) * (tileHeight / 2) - isoZ * (tileHeight / 2);
   return { x: screenX, y: screenY };
 }
 
@@ -109,21 +113,31 @@ export function getIsometricTransform() {
   return 'rotateX(60deg) rotateZ(-45deg)';
 }
 
+/**
+ * Number of z-index steps reserved for elevation within one grid diagonal
+ * Elevations are resolved to quarter levels, so this covers stacks of up to 25 levels
+ */
+const ELEVATION_Z_STEPS = 100;
+
 /**
  * Calculate the z-index for an element based on its position in the isometric grid
  * 
  * This function calculates the appropriate z-index for an element to ensure
  * proper layering in the isometric view. Elements further back in the grid
  * (higher x+y value) should appear behind elements that are closer to the front.
+ * Within the same diagonal, elements at a higher elevation are drawn on top
+ * of the elements they are stacked on.
  * 
  * @param {number} x - X position on the grid (grid cells)
  * @param {number} y - Y position on the grid (grid cells)
+ * @param {number} z - Elevation above the ground plane (levels)
  * @returns {number} - z-index value
  */
-export function calculateZIndex(x, y) {
+export function calculateZIndex(x, y, z = 0) {
   // Elements with higher x+y values should be drawn first (lower z-index)
   // This ensures proper layering in the isometric view
-  return x + y;
+  const elevationStep = Math.min(ELEVATION_Z_STEPS - 1, Math.max(0, Math.round(z * 4)));
+  return (x + y) * ELEVATION_Z_STEPS + elevationStep;
 }
 
 /**
@@ -0,0 +1,149 @@
+/**
+ * Utility functions for scene layers
+ * 
+ * Every element belongs to a named layer. Layers can be hidden, locked so
+ * their elements can't be selected or dragged, faded with an opacity, and
+ * lifted above the isometric drawing order. Layers are kept in a list from
+ * bottom to top; the order only matters for layers that are drawn on top.
+ * 
+ * Elements store their layer in `layerId`. Elements without one (or whose
+ * layer no longer exists) fall back to the default layer of their type in
+ * the element registry, and then to the bottom layer.
+ */
+
+import { getElementDefaultLayer } from '../components/elements/metadata';
+
+// Layers of a new scene, from bottom to top
+export const DEFAULT_LAYERS = [
+  { id: 'ground', name: 'Ground' },
+  { id: 'roads', name: 'Roads' },
+  { id: 'buildings', name: 'Buildings' },
+  { id: 'props', name: 'Props' },
+  { id: 'annotations', name: 'Annotations' }
+];
+
+// Z-index added per drawn-on-top layer below and including an element's layer
+// Larger than any element depth, so each band is drawn over the ones below it
+export const LAYER_Z_BAND = 10000;
+
+/**
+ * Create a layer with default settings
+ * 
+ * @param {Object} layer - The layer's id and name, plus any settings to override
+ * @returns {Object} - The layer {id, name, visible, locked, opacity, drawOnTop}
+ */
+export const createLayer = (layer) => ({
+  visible: true,
+  locked: false,
+  opacity: 1,
+  drawOnTop: false,
+  ...layer
+});
+
+/**
+ * Create the layers of a new scene
+ * 
+ * @returns {Array} - Layers from bottom to top
+ */
+export const createDefaultLayers = () => DEFAULT_LAYERS.map(createLayer);
+
+/**
+ * Bring loaded layers into a usable state
+ * 
+ * Missing settings get their defaults and layers without a unique id are
+ * dropped. Scenes saved before layers existed get the default layers.
+ * 
+ * @param {Array} layers - Layers read from a saved scene
+ * @returns {Array} - Layers from bottom to top
+ */
+export const normalizeLayers = (layers) => {
+  if (!Array.isArray(layers)) return createDefaultLayers();
+  
+  const ids = new Set();
+  const normalized = layers
+    .filter(layer => {
+      if (!layer || typeof layer.id !== 'string' || ids.has(layer.id)) return false;
+      ids.add(layer.id);
+      return true;
+    })
+    .map(layer => createLayer({ ...layer, name: layer.name || layer.id }));
+  
+  return normalized.length > 0 ? normalized : createDefaultLayers();
+};
+
+/**
+ * Get the layer an element belongs to
+ * 
+ * @param {Object} element - The element
+ * @param {Array} layers - The scene layers
+ * @returns {string} - The layer ID
+ */
+export const getElementLayerId = (element, layers) => {
+  if (layers.some(layer => layer.id === element.layerId)) {
+    return element.layerId;
+  }
+  
+  const defaultLayer = getElementDefaultLayer(element.type);
+  if (layers.some(layer => layer.id === defaultLayer)) {
+    return defaultLayer;
+  }
+  
+  return layers[0]?.id;
+};
+
+/**
+ * Drop references to layers a scene doesn't have
+ * 
+ * Used for elements that come from another scene: elements on unknown
+ * layers move to their type's default layer.
+ * 
+ * @param {Array} elements - The incoming elements
+ * @param {Array} layers - The scene layers
+ * @returns {Array} - The elements, without unknown layer IDs
+ */
+export const keepKnownLayers = (elements, layers) => {
+  const layerIds = new Set(layers.map(layer => layer.id));
+  return elements.map(element => (
+    element.layerId === undefined || layerIds.has(element.layerId) ? element : { ...element, layerId: undefined }
+  ));
+};
+
+/**
+ * Calculate the z-index band of every layer
+ * 
+ * Layers drawn in the regular isometric order share band 0. Each layer drawn
+ * on top gets its own band above every layer below it, so its elements cover
+ * the rest of the scene regardless of their position.
+ * 
+ * @param {Array} layers - The scene layers, from bottom to top
+ * @returns {Map} - Map of layer IDs to bands
+ */
+export const calculateLayerBands = (layers) => {
+  const bands = new Map();
+  let band = 0;
+  
+  layers.forEach(layer => {
+    if (layer.drawOnTop) band++;
+    bands.set(layer.id, layer.drawOnTop ? band : 0);
+  });
+  
+  return bands;
+};
+
+/**
+ * Create an ID for a new layer that doesn't clash with existing layers
+ * 
+ * @param {string} name - The layer name
+ * @param {Array} layers - The scene layers
+ * @returns {string} - The layer ID
+ */
+export const createLayerId = (name, layers) => {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'layer';
+  let id = base;
+  
+  for (let suffix = 2; layers.some(layer => layer.id === id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  
+  return id;
+};
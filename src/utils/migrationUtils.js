@@ -0,0 +1,174 @@
+/**
+ * Utility functions for scene schema versions and migrations
+ * 
+ * Every serialized scene records the schema version it was written with.
+ * When a scene is loaded or imported, the migrations newer than its version
+ * are applied one after another until the data matches the current schema.
+ * 
+ * Each migration works on plain serialized data and must not depend on
+ * code that keeps changing (such as the element registry), so that it
+ * keeps producing the same result as the app evolves. Every migration has
+ * a before/after fixture pair in ./fixtures/migrations, named after the
+ * version it upgrades to; `npm run check:migrations` checks them.
+ * 
+ * Scenes written by a newer version are refused when their major version is
+ * newer, since their structure may be incompatible. Newer minor or patch
+ * versions are loaded with a warning, as only additions are expected there.
+ */
+
+// Schema version written by serializeScene
+export const CURRENT_SCENE_VERSION = '1.4.0';
+
+// Schema version of scenes saved before versions were recorded
+const INITIAL_SCENE_VERSION = '1.0.0';
+
+// Layers of scenes saved before layers existed (as of schema 1.2.0)
+const LEGACY_LAYERS = [
+  { id: 'ground', name: 'Ground' },
+  { id: 'roads', name: 'Roads' },
+  { id: 'buildings', name: 'Buildings' },
+  { id: 'props', name: 'Props' },
+  { id: 'annotations', name: 'Annotations' }
+].map(layer => ({ ...layer, visible: true, locked: false, opacity: 1, drawOnTop: false }));
+
+// Migrations in version order
+// version - schema version the migration upgrades to
+// description - what changed in that version
+// migrate - returns upgraded scene data (the input is not modified)
+export const SCENE_MIGRATIONS = [
+  {
+    version: '1.1.0',
+    description: 'Terrain heights, ground tiles and element elevation',
+    migrate: (sceneData) => ({
+      ...sceneData,
+      terrain: {
+        heights: Array.isArray(sceneData.terrain?.heights) ? sceneData.terrain.heights : []
+      },
+      ground: {
+        tiles: Array.isArray(sceneData.ground?.tiles) ? sceneData.ground.tiles : []
+      },
+      elements: sceneData.elements.map(element => (
+        element?.position && element.position.z === undefined
+          ? { ...element, position: { ...element.position, z: 0 } }
+          : element
+      ))
+    })
+  },
+  {
+    version: '1.2.0',
+    description: 'Element layers',
+    migrate: (sceneData) => ({
+      ...sceneData,
+      layers: Array.isArray(sceneData.layers) ? sceneData.layers : LEGACY_LAYERS
+    })
+  },
+  {
+    version: '1.3.0',
+    description: 'Element tags and custom properties',
+    migrate: (sceneData) => ({
+      ...sceneData,
+      elements: sceneData.elements.map(element => {
+        if (!element || typeof element !== 'object') return element;
+        
+        const migrated = { ...element };
+        
+        // Tags were free text before they became a list
+        if (typeof migrated.tags === 'string') {
+          migrated.tags = migrated.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+        }
+        
+        // Properties are a map of keys to plain values
+        if (migrated.properties !== undefined &&
+            (typeof migrated.properties !== 'object' || Array.isArray(migrated.properties) || migrated.properties === null)) {
+          delete migrated.properties;
+        }
+        
+        return migrated;
+      })
+    })
+  },
+  {
+    version: '1.4.0',
+    description: 'Saved undo history',
+    // History is optional and older scenes have none, so the data is unchanged
+    migrate: (sceneData) => sceneData
+  }
+];
+
+/**
+ * Parse a version string
+ * 
+ * @param {string} version - A version such as '1.2.0'
+ * @returns {Array|null} - The [major, minor, patch] numbers, or null if the version is malformed
+ */
+const parseVersion = (version) => {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(version));
+  return match ? match.slice(1).map(Number) : null;
+};
+
+/**
+ * Compare two version strings
+ * 
+ * @param {string} a - The first version
+ * @param {string} b - The second version
+ * @returns {number} - Negative if a is older than b, positive if newer, 0 if equal
+ */
+export const compareVersions = (a, b) => {
+  const versionA = parseVersion(a);
+  const versionB = parseVersion(b);
+  
+  for (let i = 0; i < 3; i++) {
+    if (versionA[i] !== versionB[i]) return versionA[i] - versionB[i];
+  }
+  
+  return 0;
+};
+
+/**
+ * Upgrade serialized scene data to the current schema version
+ * 
+ * @param {Object} sceneData - The serialized scene data
+ * @returns {Object} - The upgraded data, the version it was written with, the descriptions of the applied migrations and any warnings {sceneData, fromVersion, applied, warnings}
+ * @throws {Error} - If the version is malformed or the scene was written by a newer major version
+ */
+export const migrateSceneData = (sceneData) => {
+  const fromVersion = sceneData.version ?? INITIAL_SCENE_VERSION;
+  const version = parseVersion(fromVersion);
+  const current = parseVersion(CURRENT_SCENE_VERSION);
+  
+  if (!version) {
+    throw new Error(`Unrecognised scene version "${fromVersion}".`);
+  }
+  
+  if (version[0] > current[0]) {
+    throw new Error(
+      `This scene was saved with a newer version of the app (schema ${fromVersion}) and can't be opened here. ` +
+      `This version supports schema ${CURRENT_SCENE_VERSION} and older.`
+    );
+  }
+  
+  if (compareVersions(fromVersion, CURRENT_SCENE_VERSION) > 0) {
+    return {
+      sceneData,
+      fromVersion,
+      applied: [],
+      warnings: [
+        `This scene was saved with a newer version of the app (schema ${fromVersion}). ` +
+        'Features this version doesn\'t know about may be lost when it is saved again.'
+      ]
+    };
+  }
+  
+  const pending = SCENE_MIGRATIONS.filter(migration => compareVersions(migration.version, fromVersion) > 0);
+  const migrated = pending.reduce(
+    (data, migration) => ({ ...migration.migrate(data), version: migration.version }),
+    sceneData
+  );
+  
+  return {
+    sceneData: { ...migrated, version: CURRENT_SCENE_VERSION },
+    fromVersion,
+    applied: pending.map(migration => migration.description),
+    warnings: []
+  };
+};
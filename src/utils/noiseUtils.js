@@ -0,0 +1,101 @@
+/**
+ * Utility functions for seeded noise
+ * 
+ * Provides 2D Perlin gradient noise and fractal (multi-octave) noise built
+ * on it. Noise generators are seeded through createRandom, so the same seed
+ * always produces the same field.
+ */
+
+import { createRandom } from './randomUtils';
+
+// Gradient directions for the lattice points
+const GRADIENTS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2],
+  [Math.SQRT1_2, -Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2]
+];
+
+/**
+ * Smooth interpolation curve used to blend lattice contributions
+ * 
+ * @param {number} t - Position between two lattice points (0-1)
+ * @returns {number} - Eased position
+ */
+const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+
+/**
+ * Linear interpolation
+ * 
+ * @param {number} a - Start value
+ * @param {number} b - End value
+ * @param {number} t - Blend factor (0-1)
+ * @returns {number} - Interpolated value
+ */
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Create a seeded 2D Perlin noise function
+ * 
+ * @param {number} seed - The seed
+ * @returns {Function} - Returns the noise value in [-1, 1] for a point (x, y)
+ */
+export const createPerlinNoise = (seed) => {
+  const random = createRandom(seed);
+  
+  // Shuffled lattice permutation, doubled to avoid wrapping indices
+  const permutation = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = permutation.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+  const table = [...permutation, ...permutation];
+  
+  // Dot product of a lattice point's gradient with the offset to (x, y)
+  const gradient = (ix, iy, dx, dy) => {
+    const [gx, gy] = GRADIENTS[table[table[ix & 255] + (iy & 255)] % GRADIENTS.length];
+    return gx * dx + gy * dy;
+  };
+  
+  return (x, y) => {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const dx = x - x0;
+    const dy = y - y0;
+    const u = fade(dx);
+    const v = fade(dy);
+    
+    const top = lerp(gradient(x0, y0, dx, dy), gradient(x0 + 1, y0, dx - 1, dy), u);
+    const bottom = lerp(gradient(x0, y0 + 1, dx, dy - 1), gradient(x0 + 1, y0 + 1, dx - 1, dy - 1), u);
+    
+    // Scale the theoretical range of 2D Perlin noise (±√0.5) to ±1
+    return Math.max(-1, Math.min(1, lerp(top, bottom, v) * Math.SQRT2));
+  };
+};
+
+/**
+ * Sample fractal noise
+ * 
+ * Sums several octaves of a noise function, each at double the frequency
+ * and half the amplitude of the previous one, for natural-looking detail.
+ * 
+ * @param {Function} noise - A noise function from createPerlinNoise
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} octaves - Number of octaves to sum
+ * @returns {number} - Noise value in [0, 1]
+ */
+export const sampleFractalNoise = (noise, x, y, octaves = 4) => {
+  let total = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let range = 0;
+  
+  for (let octave = 0; octave < octaves; octave++) {
+    total += noise(x * frequency, y * frequency) * amplitude;
+    range += amplitude;
+    amplitude /= 2;
+    frequency *= 2;
+  }
+  
+  return (total / range + 1) / 2;
+};
@@ -0,0 +1,198 @@
+/**
+ * Utility functions for route finding
+ * 
+ * The route tool finds the cheapest walkable path between two cells with
+ * A*. Every cell has a traversal cost taken from the element standing on
+ * it (or its ground type when empty); blocked cells have an infinite cost.
+ * Steps between cells whose terrain heights differ by more than one level
+ * are cliffs and can't be walked.
+ */
+
+import { getElementTraversalCost, getGroundTraversalCost } from '../components/elements/metadata';
+import { buildOccupancyMap } from './placementUtils';
+import { getGroundType } from './groundUtils';
+import { getCellHeight } from './terrainUtils';
+
+// Neighbouring cells a route can step to
+const ORTHOGONAL_STEPS = [
+  { dx: 1, dy: 0 },
+  { dx: -1, dy: 0 },
+  { dx: 0, dy: 1 },
+  { dx: 0, dy: -1 }
+];
+const DIAGONAL_STEPS = [
+  { dx: 1, dy: 1 },
+  { dx: 1, dy: -1 },
+  { dx: -1, dy: 1 },
+  { dx: -1, dy: -1 }
+];
+
+/**
+ * Build the traversal cost of every cell
+ * 
+ * Where elements are stacked, the highest one is what a route walks on.
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} groundTiles - The ground layer
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array} - Cost rows [y][x] (Infinity for blocked cells)
+ */
+export const buildTraversalCosts = (elements, groundTiles, gridSize) => {
+  const occupancy = buildOccupancyMap(elements);
+  const types = new Map(elements.map(element => [element.id, element.type]));
+  
+  return Array.from({ length: gridSize.height }, (_, y) =>
+    Array.from({ length: gridSize.width }, (_, x) => {
+      const entries = occupancy.get(`${x},${y}`);
+      const cost = entries
+        ? getElementTraversalCost(types.get(entries.reduce((top, entry) => (entry.top > top.top ? entry : top)).id))
+        : getGroundTraversalCost(getGroundType(groundTiles, x, y));
+      
+      return cost ?? Infinity;
+    })
+  );
+};
+
+/**
+ * Calculate the walking length of a path
+ * 
+ * @param {Array} path - Cells along the path [{x, y}]
+ * @returns {number} - Length in cells (diagonal steps count as √2)
+ */
+export const getPathLength = (path) => {
+  let length = 0;
+  
+  for (let i = 1; i < path.length; i++) {
+    const diagonal = path[i].x !== path[i - 1].x && path[i].y !== path[i - 1].y;
+    length += diagonal ? Math.SQRT2 : 1;
+  }
+  
+  return length;
+};
+
+/**
+ * Find the cheapest path between two cells
+ * 
+ * Each step costs its length times the average cost of the two cells it
+ * joins. Diagonal steps may not cut the corner of a blocked cell, and no
+ * step may climb or drop more than one height level, including the steps
+ * through a diagonal's two corner cells.
+ * 
+ * @param {Array} costs - Cost rows from buildTraversalCosts
+ * @param {Object} start - The first cell {x, y}
+ * @param {Object} goal - The last cell {x, y}
+ * @param {Object} options - Search options
+ * @param {boolean} options.diagonal - Whether diagonal steps are allowed
+ * @param {Array} options.heightmap - Terrain heights, used to block cliffs
+ * @returns {Object|null} - The route {path, cost, length}, or null if the goal can't be reached
+ */
+export const findPath = (costs, start, goal, { diagonal = false, heightmap = null } = {}) => {
+  const height = costs.length;
+  const width = costs[0]?.length || 0;
+  const isWalkable = (x, y) => x >= 0 && y >= 0 && x < width && y < height && costs[y][x] !== Infinity;
+  const isGentle = (ax, ay, bx, by) => (
+    !heightmap || Math.abs(getCellHeight(heightmap, ax, ay) - getCellHeight(heightmap, bx, by)) <= 1
+  );
+  
+  if (!isWalkable(start.x, start.y) || !isWalkable(goal.x, goal.y)) return null;
+  
+  // Cheapest cell cost, so the heuristic never overestimates
+  const minCost = Math.min(...costs.flat().filter(cost => cost !== Infinity));
+  const heuristic = (x, y) => {
+    const dx = Math.abs(x - goal.x);
+    const dy = Math.abs(y - goal.y);
+    const distance = diagonal
+      ? Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)
+      : dx + dy;
+    return distance * minCost;
+  };
+  
+  const steps = diagonal ? [...ORTHOGONAL_STEPS, ...DIAGONAL_STEPS] : ORTHOGONAL_STEPS;
+  const index = (x, y) => y * width + x;
+  const bestCost = new Map([[index(start.x, start.y), 0]]);
+  const cameFrom = new Map();
+  const closed = new Set();
+  
+  // Binary min-heap of open cells ordered by estimated total cost
+  const open = [{ x: start.x, y: start.y, estimate: heuristic(start.x, start.y) }];
+  const push = (node) => {
+    open.push(node);
+    let i = open.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (open[parent].estimate <= open[i].estimate) break;
+      [open[parent], open[i]] = [open[i], open[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = open[0];
+    const last = open.pop();
+    if (open.length > 0) {
+      open[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < open.length && open[left].estimate < open[smallest].estimate) smallest = left;
+        if (right < open.length && open[right].estimate < open[smallest].estimate) smallest = right;
+        if (smallest === i) break;
+        [open[smallest], open[i]] = [open[i], open[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+  
+  while (open.length > 0) {
+    const current = pop();
+    const currentIndex = index(current.x, current.y);
+    if (closed.has(currentIndex)) continue;
+    closed.add(currentIndex);
+    
+    if (current.x === goal.x && current.y === goal.y) {
+      // Walk back along the recorded steps
+      const path = [{ x: goal.x, y: goal.y }];
+      let at = currentIndex;
+      while (cameFrom.has(at)) {
+        at = cameFrom.get(at);
+        path.unshift({ x: at % width, y: Math.floor(at / width) });
+      }
+      
+      return { path, cost: bestCost.get(currentIndex), length: getPathLength(path) };
+    }
+    
+    steps.forEach(({ dx, dy }) => {
+      const x = current.x + dx;
+      const y = current.y + dy;
+      if (!isWalkable(x, y) || closed.has(index(x, y))) return;
+      
+      // Don't walk up or down cliffs
+      if (!isGentle(current.x, current.y, x, y)) return;
+      
+      // Don't cut the corners of blocked cells or cliffs
+      if (dx !== 0 && dy !== 0) {
+        const corners = [{ x: current.x + dx, y: current.y }, { x: current.x, y: current.y + dy }];
+        const isCornerClear = (corner) => (
+          isWalkable(corner.x, corner.y) &&
+          isGentle(current.x, current.y, corner.x, corner.y) &&
+          isGentle(corner.x, corner.y, x, y)
+        );
+        if (!corners.every(isCornerClear)) return;
+      }
+      
+      const stepLength = dx !== 0 && dy !== 0 ? Math.SQRT2 : 1;
+      const cost = bestCost.get(currentIndex) + stepLength * (costs[current.y][current.x] + costs[y][x]) / 2;
+      const neighbourIndex = index(x, y);
+      
+      if (cost < (bestCost.get(neighbourIndex) ?? Infinity)) {
+        bestCost.set(neighbourIndex, cost);
+        cameFrom.set(neighbourIndex, currentIndex);
+        push({ x, y, estimate: cost + heuristic(x, y) });
+      }
+    });
+  }
+  
+  return null;
+};
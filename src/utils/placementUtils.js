@@ -0,0 +1,280 @@
+/**
+ * Utility functions for element placement on the grid
+ * 
+ * This module provides functions for working with element footprints:
+ * listing the cells an element covers, checking those cells against the
+ * grid bounds, and detecting overlaps with cells other elements occupy.
+ * 
+ * Occupancy is three-dimensional: each element fills its footprint from its
+ * elevation (position.z) up to its elevation plus its type's height, so
+ * elements can be stacked on top of stackable elements.
+ */
+
+import {
+  getElementFootprint,
+  getElementHeight,
+  isElementStackable
+} from '../components/elements/metadata';
+import { calculateZIndex } from './isometricUtils';
+
+/**
+ * Get the footprint of an element
+ * 
+ * A quarter turn swaps the footprint's width and height, so a rotated
+ * multi-tile element occupies the turned cells.
+ * 
+ * @param {Object} element - The element {type, rotation}
+ * @returns {Object} - Footprint in grid cells {width, height}
+ */
+export const getFootprint = (element) => {
+  const footprint = getElementFootprint(element.type);
+  const isQuarterTurned = Math.abs(Math.round((element.rotation || 0) / 90)) % 2 === 1;
+  
+  return isQuarterTurned ? { width: footprint.height, height: footprint.width } : footprint;
+};
+
+/**
+ * Get the elevation of an element
+ * 
+ * @param {Object} element - The element {position}
+ * @returns {number} - Elevation above the ground (levels)
+ */
+export const getElevation = (element) => element.position?.z || 0;
+
+/**
+ * Get the vertical span an element fills
+ * 
+ * @param {Object} element - The element {type, position}
+ * @returns {Object} - Span in elevation levels {bottom, top}
+ */
+export const getVerticalSpan = (element) => {
+  const bottom = getElevation(element);
+  return { bottom, top: bottom + getElementHeight(element.type) };
+};
+
+/**
+ * List the grid cells covered by a footprint
+ * 
+ * The element position is the footprint's origin cell; the footprint
+ * extends along the positive x and y axes from there.
+ * 
+ * @param {Object} position - Origin cell of the footprint {x, y}
+ * @param {Object} footprint - Footprint in grid cells {width, height}
+ * @returns {Array} - List of covered cells [{x, y}]
+ */
+export const getFootprintCells = (position, footprint) => {
+  const cells = [];
+  
+  for (let dy = 0; dy < footprint.height; dy++) {
+    for (let dx = 0; dx < footprint.width; dx++) {
+      cells.push({ x: position.x + dx, y: position.y + dy });
+    }
+  }
+  
+  return cells;
+};
+
+/**
+ * Check whether a footprint lies entirely inside the grid
+ * 
+ * @param {Object} position - Origin cell of the footprint {x, y}
+ * @param {Object} footprint - Footprint in grid cells {width, height}
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {boolean} - Whether every covered cell is inside the grid
+ */
+export const isFootprintInBounds = (position, footprint, gridSize) => {
+  return (
+    position.x >= 0 &&
+    position.y >= 0 &&
+    position.x + footprint.width <= gridSize.width &&
+    position.y + footprint.height <= gridSize.height
+  );
+};
+
+/**
+ * Add an element to a lookup of occupied cells
+ * 
+ * Lets callers that place many elements one after another keep a single
+ * lookup up to date instead of rebuilding it (see buildOccupancyMap).
+ * 
+ * @param {Map} occupancy - The lookup to update
+ * @param {Object} element - The element {id, type, position}
+ * @returns {Map} - The updated lookup
+ */
+export const addToOccupancyMap = (occupancy, element) => {
+  if (!element.position) return occupancy;
+  
+  const entry = {
+    id: element.id,
+    ...getVerticalSpan(element),
+    stackable: isElementStackable(element.type)
+  };
+  
+  getFootprintCells(element.position, getFootprint(element)).forEach(cell => {
+    const key = `${cell.x},${cell.y}`;
+    if (!occupancy.has(key)) occupancy.set(key, []);
+    occupancy.get(key).push(entry);
+  });
+  
+  return occupancy;
+};
+
+/**
+ * Build a lookup of occupied cells
+ * 
+ * Maps each covered cell (keyed as "x,y") to the list of elements filling
+ * it, each entry holding the element ID, its vertical span and whether it
+ * can carry other elements.
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {string|null} ignoreId - ID of an element to leave out (e.g. the one being moved)
+ * @returns {Map} - Map of cell keys to lists of {id, bottom, top, stackable}
+ */
+export const buildOccupancyMap = (elements, ignoreId = null) => {
+  const occupancy = new Map();
+  
+  elements.forEach(element => {
+    if (element.id !== ignoreId) addToOccupancyMap(occupancy, element);
+  });
+  
+  return occupancy;
+};
+
+/**
+ * List the elements whose space an element would intersect
+ * 
+ * @param {Object} element - The element {type, position}
+ * @param {Map} occupancy - Lookup of occupied cells (see buildOccupancyMap)
+ * @returns {Array} - IDs of the intersected elements
+ */
+export const getOverlappingIds = (element, occupancy) => {
+  const span = getVerticalSpan(element);
+  const ids = new Set();
+  
+  getFootprintCells(element.position, getFootprint(element)).forEach(cell => {
+    (occupancy.get(`${cell.x},${cell.y}`) || []).forEach(entry => {
+      if (span.top > entry.bottom && span.bottom < entry.top) ids.add(entry.id);
+    });
+  });
+  
+  return [...ids];
+};
+
+/**
+ * Find the elevation at which an element would rest if dropped on a footprint
+ * 
+ * Returns the highest top among the stackable elements covering any cell of
+ * the footprint, or 0 when the footprint is on bare ground.
+ * 
+ * @param {Object} position - Origin cell of the footprint {x, y}
+ * @param {Object} footprint - Footprint in grid cells {width, height}
+ * @param {Array} elements - The elements in the scene
+ * @param {string|null} ignoreId - ID of an element to leave out (e.g. the one being moved)
+ * @returns {number} - Resting elevation (levels)
+ */
+export const getStackElevation = (position, footprint, elements, ignoreId = null) => {
+  const occupancy = buildOccupancyMap(elements, ignoreId);
+  
+  return getFootprintCells(position, footprint).reduce((elevation, cell) => {
+    const entries = occupancy.get(`${cell.x},${cell.y}`) || [];
+    return entries.reduce(
+      (highest, entry) => (entry.stackable ? Math.max(highest, entry.top) : highest),
+      elevation
+    );
+  }, 0);
+};
+
+/**
+ * Check whether an element can be placed at its position
+ * 
+ * The element's full footprint must be inside the grid and its vertical
+ * span must not intersect the span of any other element on those cells.
+ * 
+ * @param {Object} element - The element to place {type, position}
+ * @param {Array} elements - The elements in the scene
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @param {string|null} ignoreId - ID of an element to leave out (e.g. the one being moved)
+ * @returns {boolean} - Whether the placement is valid
+ */
+export const canPlaceElement = (element, elements, gridSize, ignoreId = null) => {
+  const footprint = getFootprint(element);
+  
+  if (!isFootprintInBounds(element.position, footprint, gridSize)) {
+    return false;
+  }
+  
+  if (getElevation(element) < 0) {
+    return false;
+  }
+  
+  return getOverlappingIds(element, buildOccupancyMap(elements, ignoreId)).length === 0;
+};
+
+/**
+ * Create a new element of a type at a grid cell
+ * 
+ * The element is moved back from the grid edges as far as its footprint
+ * needs and rests on top of any stackable elements beneath it. Whether it
+ * fits is left to canPlaceElement.
+ * 
+ * @param {string} type - The element type
+ * @param {Object} cell - The cell for the element's origin {x, y}
+ * @param {Array} elements - The elements in the scene
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Object} - The new element, without an ID {type, position, rotation, scale}
+ */
+export const createElementAt = (type, cell, elements, gridSize) => {
+  const footprint = getElementFootprint(type);
+  const x = Math.max(0, Math.min(cell.x, gridSize.width - footprint.width));
+  const y = Math.max(0, Math.min(cell.y, gridSize.height - footprint.height));
+  
+  return {
+    type,
+    position: { x, y, z: getStackElevation({ x, y }, footprint, elements) },
+    rotation: 0,
+    scale: 1
+  };
+};
+
+/**
+ * Calculate the drawing order of every element in the scene
+ * 
+ * Elements are ordered by the grid diagonal of their front-most cell, then
+ * by elevation (see calculateZIndex). An element stacked on others is moved
+ * onto the diagonal of the elements below it when that diagonal is further
+ * forward, so it is never drawn behind the element it stands on.
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @returns {Map} - Map of element IDs to z-index values
+ */
+export const calculateElementDepths = (elements) => {
+  const occupancy = buildOccupancyMap(elements);
+  const diagonals = new Map();
+  const depths = new Map();
+  
+  // Resolve lower elements first so supports are known before what they carry
+  const sorted = elements
+    .filter(element => element.position)
+    .sort((a, b) => getElevation(a) - getElevation(b));
+  
+  sorted.forEach(element => {
+    const footprint = getFootprint(element);
+    const elevation = getElevation(element);
+    let diagonal = element.position.x + footprint.width - 1 + element.position.y + footprint.height - 1;
+    
+    if (elevation > 0) {
+      getFootprintCells(element.position, footprint).forEach(cell => {
+        (occupancy.get(`${cell.x},${cell.y}`) || []).forEach(entry => {
+          if (entry.id !== element.id && entry.top <= elevation && diagonals.has(entry.id)) {
+            diagonal = Math.max(diagonal, diagonals.get(entry.id));
+          }
+        });
+      });
+    }
+    
+    diagonals.set(element.id, diagonal);
+    depths.set(element.id, calculateZIndex(diagonal, 0, elevation));
+  });
+  
+  return depths;
+};
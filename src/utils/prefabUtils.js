@@ -0,0 +1,207 @@
+/**
+ * Utility functions for prefabs
+ * 
+ * A prefab is a saved group layout, such as a city block with four
+ * buildings and a park, that can be placed again like a single element.
+ * Prefabs are kept in a library in localStorage, separate from saved
+ * scenes, so they are available in every scene.
+ * 
+ * A placed prefab is a regular group whose elements also carry the
+ * prefab's ID. Instances stay editable on their own; when a prefab is
+ * updated, its instances can be rebuilt from the new layout, anchored at
+ * the corner of their current bounds.
+ */
+
+import { getStackElevation } from './placementUtils';
+import { createGroupId, getGroupBounds, canPlaceElements } from './groupUtils';
+import { createId, remapElementIds } from './idUtils';
+import { validatePrefab } from './validationUtils';
+
+// localStorage key of the prefab library
+const PREFAB_LIBRARY_KEY = 'isometric-prefabs';
+
+/**
+ * Load the prefab library from localStorage
+ * 
+ * Prefabs that fail validation (see validatePrefab) are dropped. Elements
+ * without IDs are expected, as every instance gets fresh IDs.
+ * 
+ * @returns {Array} - The saved prefabs
+ */
+export const loadPrefabLibrary = () => {
+  try {
+    const prefabs = JSON.parse(localStorage.getItem(PREFAB_LIBRARY_KEY) || '[]');
+    if (!Array.isArray(prefabs)) return [];
+    
+    const validPrefabs = prefabs.filter(prefab => validatePrefab(prefab).every(problem => problem.automatic));
+    if (validPrefabs.length < prefabs.length) {
+      console.error('Dropped invalid prefabs from the prefab library:', prefabs.filter(prefab => !validPrefabs.includes(prefab)));
+    }
+    
+    return validPrefabs;
+  } catch (error) {
+    console.error('Error loading prefab library:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the prefab library to localStorage
+ * 
+ * @param {Array} prefabs - The prefabs to save
+ * @returns {boolean} - Whether the save was successful
+ */
+export const savePrefabLibrary = (prefabs) => {
+  try {
+    localStorage.setItem(PREFAB_LIBRARY_KEY, JSON.stringify(prefabs));
+    return true;
+  } catch (error) {
+    console.error('Error saving prefab library:', error);
+    return false;
+  }
+};
+
+/**
+ * Capture the layout of a group
+ * 
+ * Positions are stored relative to the group's bounds, with the lowest
+ * element at elevation 0. Scene-specific fields (IDs, group and prefab
+ * IDs) are left out.
+ * 
+ * @param {Array} members - The group's elements
+ * @returns {Object} - The layout {elements, size}
+ */
+export const createPrefabLayout = (members) => {
+  const bounds = getGroupBounds(members);
+  const baseZ = Math.min(...members.map(element => element.position.z || 0));
+  
+  return {
+    elements: members.map(element => {
+      const layoutElement = {
+        ...element,
+        position: {
+          x: element.position.x - bounds.x,
+          y: element.position.y - bounds.y,
+          z: (element.position.z || 0) - baseZ
+        }
+      };
+      
+      delete layoutElement.id;
+      delete layoutElement.groupId;
+      delete layoutElement.prefabId;
+      return layoutElement;
+    }),
+    size: { width: bounds.width, height: bounds.height }
+  };
+};
+
+/**
+ * Create a prefab from a group
+ * 
+ * @param {string} name - The prefab name
+ * @param {Array} members - The group's elements
+ * @returns {Object} - The prefab {id, name, elements, size}
+ */
+export const createPrefab = (name, members) => ({
+  id: createId('prefab'),
+  name,
+  ...createPrefabLayout(members)
+});
+
+/**
+ * Build the elements of a prefab instance
+ * 
+ * Every instance gets fresh element IDs.
+ * 
+ * @param {Object} prefab - The prefab
+ * @param {Object} origin - Cell of the instance's top corner and base elevation {x, y, z}
+ * @param {string} groupId - Group ID of the instance
+ * @returns {Array} - The instance's elements
+ */
+const buildInstance = (prefab, origin, groupId) => {
+  return remapElementIds(prefab.elements).elements.map(element => ({
+    ...element,
+    groupId,
+    prefabId: prefab.id,
+    position: {
+      x: origin.x + element.position.x,
+      y: origin.y + element.position.y,
+      z: (origin.z || 0) + (element.position.z || 0)
+    }
+  }));
+};
+
+/**
+ * Place a prefab on the grid
+ * 
+ * The instance rests on top of any stackable elements under its bounds.
+ * 
+ * @param {Object} prefab - The prefab to place
+ * @param {Object} origin - Cell of the instance's top corner {x, y}
+ * @param {Array} elements - The elements in the scene
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array|null} - The instance's elements, or null if they don't fit
+ */
+export const instantiatePrefab = (prefab, origin, elements, gridSize) => {
+  const z = getStackElevation(origin, prefab.size, elements);
+  const instance = buildInstance(prefab, { ...origin, z }, createGroupId());
+  
+  return canPlaceElements(instance, elements, gridSize) ? instance : null;
+};
+
+/**
+ * List the placed instances of a prefab
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {string} prefabId - The prefab ID
+ * @returns {Map} - Map of group IDs to the instance's elements
+ */
+export const getPrefabInstances = (elements, prefabId) => {
+  const instances = new Map();
+  
+  elements.forEach(element => {
+    if (element.prefabId !== prefabId || !element.groupId) return;
+    
+    if (!instances.has(element.groupId)) instances.set(element.groupId, []);
+    instances.get(element.groupId).push(element);
+  });
+  
+  return instances;
+};
+
+/**
+ * Rebuild the instances of a prefab from its current layout
+ * 
+ * Each instance keeps its group and is anchored at the top corner and
+ * lowest elevation of its current elements. Instances whose new layout
+ * doesn't fit are left unchanged.
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {Object} prefab - The updated prefab
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @param {string|null} skipGroupId - Group ID of an instance to leave alone (e.g. the one the prefab was updated from)
+ * @returns {Object} - Updated elements and the number of rebuilt and skipped instances {elements, updated, skipped}
+ */
+export const updatePrefabInstances = (elements, prefab, gridSize, skipGroupId = null) => {
+  let result = elements;
+  let updated = 0;
+  let skipped = 0;
+  
+  getPrefabInstances(elements, prefab.id).forEach((members, groupId) => {
+    if (groupId === skipGroupId) return;
+    
+    const bounds = getGroupBounds(members);
+    const z = Math.min(...members.map(element => element.position.z || 0));
+    const others = result.filter(element => element.groupId !== groupId);
+    const instance = buildInstance(prefab, { x: bounds.x, y: bounds.y, z }, groupId);
+    
+    if (canPlaceElements(instance, others, gridSize)) {
+      result = [...others, ...instance];
+      updated++;
+    } else {
+      skipped++;
+    }
+  });
+  
+  return { elements: result, updated, skipped };
+};
@@ -0,0 +1,201 @@
+/**
+ * Utility functions for element metadata and custom properties
+ * 
+ * Besides their placement, elements can carry:
+ * - name: a display name
+ * - tags: a list of short labels
+ * - notes: free text
+ * - properties: typed key/value pairs, stored as plain values so exported
+ *   JSON can be read directly by other tools
+ * 
+ * The type of each property comes from a schema. Element types declare the
+ * properties all their elements have in the element registry; fields added
+ * to a single element are kept in its own `propertySchema`. Field types are
+ * 'string', 'number', 'boolean' and 'enum' (one of a list of options).
+ */
+
+import { getElementPropertySchema } from '../components/elements/metadata';
+
+// Supported property field types
+export const PROPERTY_TYPES = ['string', 'number', 'boolean', 'enum'];
+
+/**
+ * Get the full property schema of an element
+ * 
+ * Fields of the element's type come first. Element fields with the same key
+ * as a type field are ignored.
+ * 
+ * @param {Object} element - The element
+ * @returns {Array} - Property fields [{key, label, type, default, options, isCustom}]
+ */
+export const getPropertySchema = (element) => {
+  const typeFields = getElementPropertySchema(element.type);
+  const typeKeys = new Set(typeFields.map(field => field.key));
+  const customFields = (element.propertySchema || [])
+    .filter(field => !typeKeys.has(field.key))
+    .map(field => ({ ...field, isCustom: true }));
+  
+  return [...typeFields, ...customFields];
+};
+
+/**
+ * Get the default value of a property field
+ * 
+ * @param {Object} field - The property field
+ * @returns {*} - The field's default, or the empty value of its type
+ */
+export const getDefaultPropertyValue = (field) => {
+  if (field.default !== undefined) return field.default;
+  
+  switch (field.type) {
+    case 'number':
+      return 0;
+    case 'boolean':
+      return false;
+    case 'enum':
+      return field.options?.[0] ?? '';
+    default:
+      return '';
+  }
+};
+
+/**
+ * Convert a value to the type of a property field
+ * 
+ * Values that can't be converted fall back to the field's default.
+ * 
+ * @param {Object} field - The property field
+ * @param {*} value - The value to convert
+ * @returns {*} - The converted value
+ */
+export const coercePropertyValue = (field, value) => {
+  if (value === undefined || value === null) return getDefaultPropertyValue(field);
+  
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return Number.isFinite(number) ? number : getDefaultPropertyValue(field);
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : value === 'true';
+    case 'enum':
+      return field.options?.includes(value) ? value : getDefaultPropertyValue(field);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Get the property values of an element
+ * 
+ * Every field of the element's schema gets a value, using the default when
+ * the element doesn't set one. Values without a field are kept as they are.
+ * 
+ * @param {Object} element - The element
+ * @returns {Object} - Property values by key
+ */
+export const getElementProperties = (element) => {
+  const values = { ...(element.properties || {}) };
+  
+  getPropertySchema(element).forEach(field => {
+    values[field.key] = coercePropertyValue(field, values[field.key]);
+  });
+  
+  return values;
+};
+
+/**
+ * Clean up a list of tags
+ * 
+ * @param {Array} tags - The tags
+ * @returns {Array} - Trimmed, non-empty and unique tags
+ */
+export const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return [];
+  
+  return [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+};
+
+/**
+ * Bring an element's metadata into a consistent state
+ * 
+ * Used when saving and loading scenes: property values are converted to
+ * their field types and filled in from the schema defaults, and tags are
+ * cleaned up. Empty names, tags and notes are left out.
+ * 
+ * @param {Object} element - The element
+ * @returns {Object} - A copy of the element with normalized metadata
+ */
+export const normalizeElementMetadata = (element) => {
+  const normalized = {
+    ...element,
+    properties: getElementProperties(element)
+  };
+  const tags = normalizeTags(element.tags);
+  
+  if (tags.length > 0) {
+    normalized.tags = tags;
+  } else {
+    delete normalized.tags;
+  }
+  
+  ['name', 'notes'].forEach(key => {
+    if (typeof normalized[key] !== 'string' || !normalized[key].trim()) {
+      delete normalized[key];
+    }
+  });
+  
+  if (!Array.isArray(normalized.propertySchema) || normalized.propertySchema.length === 0) {
+    delete normalized.propertySchema;
+  }
+  
+  if (Object.keys(normalized.properties).length === 0) {
+    delete normalized.properties;
+  }
+  
+  return normalized;
+};
+
+/**
+ * Add a custom property field to an element
+ * 
+ * @param {Object} element - The element
+ * @param {Object} field - The new field {key, type, options}
+ * @returns {Object|null} - Element updates {propertySchema, properties}, or null if the key is taken or invalid
+ */
+export const addCustomProperty = (element, field) => {
+  const key = field.key.trim();
+  if (!key || !PROPERTY_TYPES.includes(field.type)) return null;
+  if (getPropertySchema(element).some(existing => existing.key === key)) return null;
+  
+  const newField = { key, label: key, type: field.type };
+  if (field.type === 'enum') {
+    newField.options = normalizeTags(field.options);
+    if (newField.options.length === 0) return null;
+  }
+  
+  return {
+    propertySchema: [...(element.propertySchema || []), newField],
+    properties: {
+      ...(element.properties || {}),
+      [key]: getDefaultPropertyValue(newField)
+    }
+  };
+};
+
+/**
+ * Remove a custom property field from an element
+ * 
+ * @param {Object} element - The element
+ * @param {string} key - The key of the field to remove
+ * @returns {Object} - Element updates {propertySchema, properties}
+ */
+export const removeCustomProperty = (element, key) => {
+  const properties = { ...(element.properties || {}) };
+  delete properties[key];
+  
+  return {
+    propertySchema: (element.propertySchema || []).filter(field => field.key !== key),
+    properties
+  };
+};
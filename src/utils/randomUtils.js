@@ -0,0 +1,67 @@
+/**
+ * Utility functions for seeded randomness
+ * 
+ * Generators use these instead of Math.random so that the same seed always
+ * produces the same result.
+ */
+
+/**
+ * Create a seeded pseudo-random number generator
+ * 
+ * Uses the mulberry32 algorithm: fast, with a period of 2^32, which is
+ * plenty for scene generation.
+ * 
+ * @param {number} seed - The seed (any integer)
+ * @returns {Function} - Returns the next number in [0, 1) on each call
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick a random integer in a range
+ * 
+ * @param {Function} random - A generator from createRandom
+ * @param {number} min - Smallest value (inclusive)
+ * @param {number} max - Largest value (inclusive)
+ * @returns {number} - The random integer
+ */
+export const randomInt = (random, min, max) => {
+  return min + Math.floor(random() * (max - min + 1));
+};
+
+/**
+ * Pick a random key from a table of weights
+ * 
+ * @param {Function} random - A generator from createRandom
+ * @param {Object} weights - Map of keys to non-negative weights
+ * @returns {string|null} - The picked key, or null if every weight is zero
+ */
+export const randomWeighted = (random, weights) => {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) return null;
+  
+  let roll = random() * total;
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  
+  return entries[entries.length - 1][0];
+};
+
+/**
+ * Create a random seed for a new generation
+ * 
+ * @returns {number} - A seed between 0 and 999999
+ */
+export const createSeed = () => Math.floor(Math.random() * 1000000);
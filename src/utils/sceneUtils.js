@@ -7,6 +7,10 @@
  */
 
 import html2canvas from 'html2canvas';
+import { normalizeLayers } from './layerUtils';
+import { normalizeElementMetadata } from './propertyUtils';
+import { CURRENT_SCENE_VERSION, migrateSceneData } from './migrationUtils';
+import { validateScene } from './validationUtils';
 
 /**
  * Serializes the scene state to JSON
@@ -19,51 +23,91 @@ import html2canvas from 'html2canvas';
  * @param {Array} sceneState.elements - The elements in the scene
  * @param {Object} sceneState.gridSize - The grid dimensions {width, height}
  * @param {Object} sceneState.tileSize - The tile dimensions {width, height}
+ * @param {Array} sceneState.heightmap - The terrain heights as rows [y][x]
+ * @param {Array} sceneState.groundTiles - The ground layer as rows [y][x]
+ * @param {Array} sceneState.layers - The scene layers from bottom to top
+ * @param {Object} sceneState.history - Optional undo history, compacted for saving (see historyStorageUtils)
  * @returns {Object} - Serialized scene data
  */
 export const serializeScene = (sceneState) => {
-  const { elements, gridSize, tileSize } = sceneState;
+  const { elements, gridSize, tileSize, heightmap, groundTiles, layers, history } = sceneState;
   
-  return {
-    version: '1.0.0',
+  const serialized = {
+    version: CURRENT_SCENE_VERSION,
     timestamp: new Date().toISOString(),
     metadata: {
       gridSize,
       tileSize
     },
-    elements: elements.map(element => ({
-      ...element,
-      // Ensure we don't include any non-serializable properties
-      // Add any specific transformations needed for serialization
-    }))
+    // Custom properties are written out in full, defaults included,
+    // so other tools don't need the element registry to read them
+    elements: elements.map(normalizeElementMetadata),
+    terrain: {
+      heights: heightmap || []
+    },
+    ground: {
+      tiles: groundTiles || []
+    },
+    layers: layers || []
   };
+  
+  if (history) {
+    serialized.history = history;
+  }
+  
+  return serialized;
 };
 
 /**
  * Deserializes JSON data back into scene state
  * 
  * Converts serialized scene data back into the format expected by the application.
- * Validates the data first to ensure it's in the correct format.
+ * Validates the data first to ensure it's in the correct format, then upgrades
+ * data written with an older schema version (see migrationUtils) and checks
+ * the upgraded data in full (see validationUtils).
+ * 
+ * Problems found by the full check are thrown as an error with the list of
+ * problems in its `problems` property, unless `repair` is set or every
+ * problem can be repaired automatically (such as duplicate element IDs).
+ * Repaired problems are listed in the returned `repairs`.
+ * 
+ * Saved undo history is returned as saved, but only when the scene needed
+ * no upgrade or repair: its recorded changes refer to the data exactly as
+ * it was saved.
  * 
  * @param {Object} sceneData - The serialized scene data
- * @returns {Object} - Deserialized scene state
- * @throws {Error} - If the scene data is invalid
+ * @param {Object} options - Deserialization options
+ * @param {boolean} options.repair - Whether to repair problems instead of failing
+ * @returns {Object} - Deserialized scene state, with details of the upgrade in `migration` {fromVersion, applied, warnings}, the repaired problems in `repairs` and the saved history (or null) in `history`
+ * @throws {Error} - If the scene data is invalid or was written by an incompatible newer version
  */
-export const deserializeScene = (sceneData) => {
+export const deserializeScene = (sceneData, { repair = false } = {}) => {
   // Validate the scene data first
   if (!validateSceneData(sceneData)) {
     throw new Error('Invalid scene data format');
   }
   
-  const { elements, metadata } = sceneData;
+  const { sceneData: migrated, fromVersion, applied, warnings } = migrateSceneData(sceneData);
+  const { problems, repaired } = validateScene(migrated);
+  
+  if (!repair && problems.some(problem => !problem.automatic)) {
+    const error = new Error(`The scene data has ${problems.length} problem${problems.length === 1 ? '' : 's'}.`);
+    error.problems = problems;
+    throw error;
+  }
+  
+  const { elements, metadata, terrain, ground, layers } = repaired;
   
   return {
-    elements: elements.map(element => ({
-      ...element,
-      // Add any specific transformations needed for deserialization
-    })),
-    gridSize: metadata?.gridSize,
-    tileSize: metadata?.tileSize
+    elements: elements.map(normalizeElementMetadata),
+    gridSize: metadata.gridSize,
+    tileSize: metadata.tileSize,
+    heightmap: terrain.heights,
+    groundTiles: ground.tiles,
+    layers: normalizeLayers(layers),
+    migration: { fromVersion, applied, warnings },
+    repairs: problems,
+    history: applied.length === 0 && problems.length === 0 ? (migrated.history ?? null) : null
   };
 };
 
@@ -71,22 +115,22 @@ export const deserializeScene = (sceneData) => {
  * Validates scene data to ensure it has the required structure
  * 
  * Checks that the scene data contains the necessary properties and
- * has the correct structure. This helps prevent errors when loading
- * invalid or corrupted scene data.
+ * has the correct structure. This is the basic check needed before the
+ * data can be upgraded; the upgraded data is then checked in full by
+ * validateScene (see validationUtils).
  * 
  * @param {Object} sceneData - The scene data to validate
  * @returns {boolean} - Whether the data is valid
  */
 export const validateSceneData = (sceneData) => {
   // Basic validation
-  if (!sceneData) return false;
+  if (!sceneData || typeof sceneData !== 'object') return false;
   
   // Check for required properties
   if (!Array.isArray(sceneData.elements)) return false;
   
-  // Check version compatibility
-  const version = sceneData.version || '1.0.0';
-  // For now, we only have one version, but this allows for future compatibility checks
+  // The version is checked when the data is migrated
+  if (sceneData.version !== undefined && typeof sceneData.version !== 'string') return false;
   
   return true;
 };
@@ -141,17 +185,19 @@ export const saveSceneToLocalStorage = (name, sceneState) => {
  * Retrieves a saved scene from localStorage and deserializes it.
  * 
  * @param {string} name - The name of the scene to load
+ * @param {Object} options - Deserialization options {repair} (see deserializeScene)
  * @returns {Object|null} - The loaded scene state or null if not found
+ * @throws {Error} - If the saved data is invalid or was written by an incompatible newer version
  */
-export const loadSceneFromLocalStorage = (name) => {
+export const loadSceneFromLocalStorage = (name, options) => {
+  const sceneData = localStorage.getItem(`isometric-scene-${name}`);
+  if (!sceneData) return null;
+  
   try {
-    const sceneData = localStorage.getItem(`isometric-scene-${name}`);
-    if (!sceneData) return null;
-    
-    return deserializeScene(JSON.parse(sceneData));
+    return deserializeScene(JSON.parse(sceneData), options);
   } catch (error) {
     console.error('Error loading scene from localStorage:', error);
-    return null;
+    throw error;
   }
 };
 
@@ -237,16 +283,17 @@ export const exportSceneAsJSON = (sceneState, filename = 'isometric-scene') => {
  * Reads a JSON file and deserializes it into a scene state.
  * 
  * @param {File} file - The JSON file to import
+ * @param {Object} options - Deserialization options {repair} (see deserializeScene)
  * @returns {Promise<Object|null>} - The imported scene state or null if import failed
  */
-export const importSceneFromJSON = (file) => {
+export const importSceneFromJSON = (file, options) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     
     reader.onload = (event) => {
       try {
         const sceneData = JSON.parse(event.target.result);
-        const sceneState = deserializeScene(sceneData);
+        const sceneState = deserializeScene(sceneData, options);
         resolve(sceneState);
       } catch (error) {
         console.error('Error importing scene from JSON:', error);
@@ -0,0 +1,101 @@
+/**
+ * Utility functions for selecting several elements at once
+ * 
+ * The selection is a list of element IDs in the order they were selected;
+ * the last one is the primary selection shown in the inspector. Elements
+ * on hidden or locked layers can't be selected.
+ * 
+ * Selection operations work on whole groups: selecting one member of a
+ * group and moving, rotating or deleting it affects every member that
+ * can be selected.
+ */
+
+import { getElementLayerId } from './layerUtils';
+
+/**
+ * Check whether an element can be selected
+ * 
+ * @param {Object} element - The element
+ * @param {Array} layers - The scene layers
+ * @returns {boolean} - Whether the element's layer is visible and unlocked
+ */
+export const isElementSelectable = (element, layers) => {
+  const layerId = getElementLayerId(element, layers);
+  const layer = layers.find(l => l.id === layerId);
+  return !layer || (layer.visible && !layer.locked);
+};
+
+/**
+ * Keep only the IDs of elements that exist and can be selected
+ * 
+ * @param {Array} ids - The selected IDs
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} layers - The scene layers
+ * @returns {Array} - The remaining IDs, in selection order
+ */
+export const filterSelection = (ids, elements, layers) => {
+  const elementsById = new Map(elements.map(element => [element.id, element]));
+  return ids.filter(id => elementsById.has(id) && isElementSelectable(elementsById.get(id), layers));
+};
+
+/**
+ * Add an element to the selection, or take it out again
+ * 
+ * @param {Array} ids - The selected IDs
+ * @param {string} id - The ID of the element to toggle
+ * @returns {Array} - The updated selection; an added element becomes the primary selection
+ */
+export const toggleSelectionId = (ids, id) => (
+  ids.includes(id) ? ids.filter(selectedId => selectedId !== id) : [...ids, id]
+);
+
+/**
+ * List the elements a selection operation affects
+ * 
+ * Group members on hidden or locked layers are left out, so operations
+ * on a group never change elements that can't be edited.
+ * 
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} ids - The selected IDs
+ * @param {Array} layers - The scene layers
+ * @returns {Array} - The selected elements and the other selectable members of their groups, in scene order
+ */
+export const getSelectedMembers = (elements, ids, layers) => {
+  const selectedIds = new Set(ids);
+  const groupIds = new Set(
+    elements.filter(element => selectedIds.has(element.id) && element.groupId).map(element => element.groupId)
+  );
+  
+  return elements.filter(element =>
+    (selectedIds.has(element.id) || (element.groupId && groupIds.has(element.groupId))) &&
+    isElementSelectable(element, layers)
+  );
+};
+
+/**
+ * Invert the selection among the selectable elements
+ * 
+ * Elements in a selected element's group count as selected.
+ * 
+ * @param {Array} ids - The selected IDs
+ * @param {Array} elements - The elements in the scene
+ * @param {Array} layers - The scene layers
+ * @returns {Array} - The IDs of the selectable elements that weren't selected
+ */
+export const invertSelection = (ids, elements, layers) => {
+  const selectedIds = new Set(getSelectedMembers(elements, ids, layers).map(element => element.id));
+  return elements
+    .filter(element => !selectedIds.has(element.id) && isElementSelectable(element, layers))
+    .map(element => element.id);
+};
+
+/**
+ * Check whether a point lies inside a rectangle
+ * 
+ * @param {Object} point - The point {x, y}
+ * @param {Object} rect - The rectangle {left, top, right, bottom}
+ * @returns {boolean} - Whether the point is inside
+ */
+export const isPointInRect = (point, rect) => (
+  point.x >= rect.left && point.x <= rect.right && point.y >= rect.top && point.y <= rect.bottom
+);
@@ -0,0 +1,59 @@
+/**
+ * Utility functions for choosing element sprites
+ * 
+ * Element sprites are drawn from a fixed viewpoint, so turning an element
+ * picks a sprite for the direction it faces instead of rotating the
+ * image. Element types can supply a sprite for each direction (see the
+ * `sprites` field in the element metadata). A direction without one is
+ * drawn by flipping the sprite of its mirror direction horizontally: on
+ * screen, a horizontal flip swaps the grid's x and y axes, so an element
+ * facing west (-x) mirrors into one facing north (-y), and east (+x) into
+ * south (+y). Types without directional sprites show their image facing
+ * west and east, and flipped facing north and south.
+ * 
+ * Auto-tiled elements (see connectionUtils) are flat and keep rotating
+ * their variant sprites on the ground instead.
+ */
+
+import { getElementSprites } from '../components/elements/metadata';
+
+// Direction an element faces at each quarter turn
+export const ROTATION_DIRECTIONS = ['west', 'north', 'east', 'south'];
+
+// Direction each direction turns into when its sprite is flipped horizontally
+const MIRROR_DIRECTIONS = {
+  west: 'north',
+  north: 'west',
+  east: 'south',
+  south: 'east'
+};
+
+/**
+ * Get the direction an element faces
+ * 
+ * @param {number} rotation - Rotation in degrees (0, 90, 180, 270)
+ * @returns {string} - 'west', 'north', 'east' or 'south'
+ */
+export const getFacingDirection = (rotation = 0) => {
+  const turns = ((Math.round(rotation / 90) % 4) + 4) % 4;
+  return ROTATION_DIRECTIONS[turns];
+};
+
+/**
+ * Choose the sprite for an element facing a direction
+ * 
+ * @param {string} type - The element type
+ * @param {number} rotation - Rotation in degrees (0, 90, 180, 270)
+ * @param {string} imageUrl - The element's default image, facing west
+ * @returns {Object} - The sprite and whether to flip it horizontally {imageUrl, mirrored}
+ */
+export const getDirectionalSprite = (type, rotation, imageUrl) => {
+  const sprites = getElementSprites(type);
+  const direction = getFacingDirection(rotation);
+  const mirrorDirection = MIRROR_DIRECTIONS[direction];
+  
+  if (sprites[direction]) return { imageUrl: sprites[direction], mirrored: false };
+  if (sprites[mirrorDirection]) return { imageUrl: sprites[mirrorDirection], mirrored: true };
+  
+  return { imageUrl, mirrored: direction === 'north' || direction === 'south' };
+};
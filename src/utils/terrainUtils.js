@@ -0,0 +1,293 @@
+/**
+ * Utility functions for the terrain heightmap
+ * 
+ * This module provides functions for creating and editing the per-cell
+ * terrain heights of the grid, and for deriving the geometry needed to
+ * render raised tiles, slopes and cliffs. Heights are whole elevation
+ * levels, the same unit used for element elevation (see isometricToScreen).
+ * 
+ * The heightmap is stored as an array of rows: heightmap[y][x].
+ */
+
+import { isometricToScreen } from './isometricUtils';
+
+// Highest level the terrain brushes can raise a cell to
+export const TERRAIN_MAX_HEIGHT = 8;
+
+// Available terrain brushes
+export const TERRAIN_BRUSHES = ['raise', 'lower', 'flatten', 'smooth'];
+
+/**
+ * Create a flat heightmap
+ * 
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @param {number} fill - Height to give every cell
+ * @returns {Array} - Heightmap rows [y][x]
+ */
+export const createHeightmap = (gridSize, fill = 0) => {
+  return Array.from({ length: gridSize.height }, () => Array(gridSize.width).fill(fill));
+};
+
+/**
+ * Resize a heightmap to new grid dimensions
+ * 
+ * Existing heights are kept where the cell still exists; new cells are flat.
+ * 
+ * @param {Array} heightmap - The current heightmap
+ * @param {Object} gridSize - The new grid dimensions {width, height}
+ * @returns {Array} - Resized heightmap
+ */
+export const resizeHeightmap = (heightmap, gridSize) => {
+  return Array.from({ length: gridSize.height }, (_, y) =>
+    Array.from({ length: gridSize.width }, (_, x) => getCellHeight(heightmap, x, y))
+  );
+};
+
+/**
+ * Get the terrain height of a cell
+ * 
+ * Cells outside the heightmap are treated as ground level.
+ * 
+ * @param {Array} heightmap - The heightmap
+ * @param {number} x - X position on the grid (grid cells)
+ * @param {number} y - Y position on the grid (grid cells)
+ * @returns {number} - Terrain height (levels)
+ */
+export const getCellHeight = (heightmap, x, y) => {
+  return heightmap?.[y]?.[x] || 0;
+};
+
+/**
+ * Get the terrain height under a footprint
+ * 
+ * Elements rest on the highest cell they cover.
+ * 
+ * @param {Array} heightmap - The heightmap
+ * @param {Object} position - Origin cell of the footprint {x, y}
+ * @param {Object} footprint - Footprint in grid cells {width, height}
+ * @returns {number} - Terrain height (levels)
+ */
+export const getFootprintHeight = (heightmap, position, footprint) => {
+  let height = 0;
+  
+  for (let dy = 0; dy < footprint.height; dy++) {
+    for (let dx = 0; dx < footprint.width; dx++) {
+      height = Math.max(height, getCellHeight(heightmap, position.x + dx, position.y + dy));
+    }
+  }
+  
+  return height;
+};
+
+/**
+ * Check whether a heightmap has any raised cells
+ * 
+ * @param {Array} heightmap - The heightmap
+ * @returns {boolean} - Whether any cell is above ground level
+ */
+export const hasRaisedTerrain = (heightmap) => {
+  return heightmap.some(row => row.some(height => height > 0));
+};
+
+/**
+ * List the cells covered by a round brush
+ * 
+ * @param {Object} center - Cell at the centre of the brush {x, y}
+ * @param {number} radius - Brush radius in cells (1 covers a single cell)
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array} - List of covered cells [{x, y}]
+ */
+export const getBrushCells = (center, radius, gridSize) => {
+  const cells = [];
+  const reach = Math.ceil(radius) - 1;
+  
+  for (let dy = -reach; dy <= reach; dy++) {
+    for (let dx = -reach; dx <= reach; dx++) {
+      const x = center.x + dx;
+      const y = center.y + dy;
+      
+      if (x < 0 || y < 0 || x >= gridSize.width || y >= gridSize.height) continue;
+      if (dx * dx + dy * dy >= radius * radius) continue;
+      
+      cells.push({ x, y });
+    }
+  }
+  
+  return cells;
+};
+
+/**
+ * Apply a terrain brush to a heightmap
+ * 
+ * Supported brushes:
+ * - raise: lifts every covered cell by one level
+ * - lower: drops every covered cell by one level
+ * - flatten: sets every covered cell to the target height
+ * - smooth: sets every covered cell to the rounded average of its neighbourhood
+ * 
+ * @param {Array} heightmap - The current heightmap
+ * @param {Object} brush - The brush {mode, radius, target}
+ * @param {Object} center - Cell at the centre of the brush {x, y}
+ * @param {Object} gridSize - The grid dimensions {width, height}
+ * @returns {Array} - Updated heightmap (the input is not modified)
+ */
+export const applyTerrainBrush = (heightmap, brush, center, gridSize) => {
+  const { mode, radius = 1, target = 0 } = brush;
+  const next = heightmap.map(row => [...row]);
+  
+  getBrushCells(center, radius, gridSize).forEach(({ x, y }) => {
+    const current = getCellHeight(heightmap, x, y);
+    let height = current;
+    
+    switch (mode) {
+      case 'raise':
+        height = current + 1;
+        break;
+      case 'lower':
+        height = current - 1;
+        break;
+      case 'flatten':
+        height = target;
+        break;
+      case 'smooth': {
+        let total = 0;
+        let count = 0;
+        
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= gridSize.width || ny >= gridSize.height) continue;
+            
+            total += getCellHeight(heightmap, nx, ny);
+            count++;
+          }
+        }
+        
+        height = Math.round(total / count);
+        break;
+      }
+      default:
+        break;
+    }
+    
+    next[y][x] = Math.max(0, Math.min(TERRAIN_MAX_HEIGHT, height));
+  });
+  
+  return next;
+};
+
+/**
+ * Calculate the corner heights of a terrain tile
+ * 
+ * Each corner rises towards a neighbouring cell that is exactly one level
+ * higher, which turns the tile into a slope. Differences of two levels or
+ * more are left as cliffs, so the corner keeps the tile's own height.
+ * 
+ * @param {Array} heightmap - The heightmap
+ * @param {number} x - X position on the grid (grid cells)
+ * @param {number} y - Y position on the grid (grid cells)
+ * @returns {Object} - Corner heights {top, right, bottom, left} (levels)
+ */
+export const getTileCorners = (heightmap, x, y) => {
+  const height = getCellHeight(heightmap, x, y);
+  
+  // Each screen corner of the diamond is shared with three neighbouring cells
+  const cornerNeighbours = {
+    top: [[-1, 0], [0, -1], [-1, -1]],
+    right: [[1, 0], [0, -1], [1, -1]],
+    bottom: [[1, 0], [0, 1], [1, 1]],
+    left: [[-1, 0], [0, 1], [-1, 1]]
+  };
+  
+  const corners = {};
+  
+  Object.entries(cornerNeighbours).forEach(([corner, offsets]) => {
+    const slopesUp = offsets.some(([dx, dy]) => {
+      const row = heightmap[y + dy];
+      return row !== undefined && row[x + dx] === height + 1;
+    });
+    corners[corner] = slopesUp ? height + 1 : height;
+  });
+  
+  return corners;
+};
+
+/**
+ * Build the screen-space polygons for a terrain tile
+ * 
+ * Returns the top face (flat or sloped) and the two visible side faces.
+ * Side faces drop from the tile's front edges down to the neighbouring
+ * tiles' edges, or down to ground level at the edge of the grid.
+ * 
+ * @param {Array} heightmap - The heightmap
+ * @param {number} x - X position on the grid (grid cells)
+ * @param {number} y - Y position on the grid (grid cells)
+ * @param {number} tileWidth - Width of an isometric tile (pixels)
+ * @param {number} tileHeight - Height of an isometric tile (pixels)
+ * @returns {Object} - Point lists {top, left, right}, side faces null when hidden, and the corner heights
+ */
+export const getTileFaces = (heightmap, x, y, tileWidth, tileHeight) => {
+  const corners = getTileCorners(heightmap, x, y);
+  
+  // Screen positions of the diamond corners in grid space
+  const point = (gx, gy, gz) => isometricToScreen(gx, gy, tileWidth, tileHeight, gz);
+  const top = point(x - 0.5, y - 0.5, corners.top);
+  const right = point(x + 0.5, y - 0.5, corners.right);
+  const bottom = point(x + 0.5, y + 0.5, corners.bottom);
+  const left = point(x - 0.5, y + 0.5, corners.left);
+  
+  // Heights of the neighbouring tiles' matching edges
+  const frontLeft = heightmap[y + 1] !== undefined ? getTileCorners(heightmap, x, y + 1) : null;
+  const frontRight = heightmap[y]?.[x + 1] !== undefined ? getTileCorners(heightmap, x + 1, y) : null;
+  
+  const leftBase = {
+    left: frontLeft ? frontLeft.top : 0,
+    bottom: frontLeft ? frontLeft.right : 0
+  };
+  const rightBase = {
+    bottom: frontRight ? frontRight.left : 0,
+    right: frontRight ? frontRight.top : 0
+  };
+  
+  const leftFace = corners.left > leftBase.left || corners.bottom > leftBase.bottom
+    ? [left, bottom, point(x + 0.5, y + 0.5, leftBase.bottom), point(x - 0.5, y + 0.5, leftBase.left)]
+    : null;
+  
+  const rightFace = corners.bottom > rightBase.bottom || corners.right > rightBase.right
+    ? [bottom, right, point(x + 0.5, y - 0.5, rightBase.right), point(x + 0.5, y + 0.5, rightBase.bottom)]
+    : null;
+  
+  return {
+    top: [top, right, bottom, left],
+    left: leftFace,
+    right: rightFace,
+    corners
+  };
+};
+
+/**
+ * Get the screen position of a point on a tile's top face
+ * 
+ * The point is given in tile coordinates: u runs along the grid x axis and
+ * v along the grid y axis, from 0 at the tile's top corner to 1 at the far
+ * edges. Heights are interpolated between the corners so points follow
+ * slopes.
+ * 
+ * @param {Object} corners - Corner heights {top, right, bottom, left} (see getTileCorners)
+ * @param {number} x - X position on the grid (grid cells)
+ * @param {number} y - Y position on the grid (grid cells)
+ * @param {Object} point - Tile coordinates {u, v}
+ * @param {number} tileWidth - Width of an isometric tile (pixels)
+ * @param {number} tileHeight - Height of an isometric tile (pixels)
+ * @returns {Object} - Screen coordinates {x, y}
+ */
+export const getTileSurfacePoint = (corners, x, y, { u, v }, tileWidth, tileHeight) => {
+  const height =
+    corners.top * (1 - u) * (1 - v) +
+    corners.right * u * (1 - v) +
+    corners.bottom * u * v +
+    corners.left * (1 - u) * v;
+  
+  return isometricToScreen(x - 0.5 + u, y - 0.5 + v, tileWidth, tileHeight, height);
+};
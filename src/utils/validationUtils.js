@@ -0,0 +1,416 @@
+/**
+ * Utility functions for validating scene data
+ * 
+ * Scene files can come from anywhere, so every scene is checked in full
+ * after it has been upgraded to the current schema (see migrationUtils).
+ * Each problem is reported with the JSON path of the offending value and
+ * the repair that fixes it. Repairs keep as much of the scene as possible:
+ * values are clamped or reset to their defaults, duplicate IDs are
+ * replaced, and only elements that can't be drawn at all, or that fill
+ * the same space as an earlier element, are dropped.
+ * 
+ * Problems whose repair loses nothing, such as duplicate element IDs, are
+ * marked `automatic` and are repaired without asking.
+ * 
+ * Scenes and prefabs in ./fixtures/validation list the problems they are
+ * expected to have; `npm run check:validation` checks them.
+ */
+
+import { getElementMetadata, getGroundTileMetadata } from '../components/elements/metadata';
+import { getFootprint, addToOccupancyMap, getOverlappingIds } from './placementUtils';
+import { normalizeLayers } from './layerUtils';
+import { TERRAIN_MAX_HEIGHT } from './terrainUtils';
+import { createId } from './idUtils';
+import { PROPERTY_TYPES } from './propertyUtils';
+
+// Dimensions used when a scene doesn't record valid ones
+const DEFAULT_GRID_SIZE = { width: 10, height: 10 };
+const DEFAULT_TILE_SIZE = { width: 64, height: 32 };
+
+/**
+ * Check whether a value is a plain object
+ * 
+ * @param {*} value - The value to check
+ * @returns {boolean} - Whether the value is a non-null, non-array object
+ */
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Check whether a value is a finite number
+ * 
+ * @param {*} value - The value to check
+ * @returns {boolean} - Whether the value is a finite number
+ */
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check whether a value is a valid set of dimensions
+ * 
+ * @param {*} size - The value to check
+ * @param {boolean} integers - Whether the dimensions must be whole numbers
+ * @returns {boolean} - Whether the value has positive width and height
+ */
+const isValidSize = (size, integers) => (
+  isObject(size) &&
+  [size.width, size.height].every(value => isNumber(value) && value > 0 && (!integers || Number.isInteger(value)))
+);
+
+/**
+ * Describe a value for a problem message
+ * 
+ * @param {*} value - The value
+ * @returns {string} - A short description of the value
+ */
+const describeValue = (value) => {
+  if (value === undefined) return 'missing';
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : String(text);
+};
+
+/**
+ * Check a grid of per-cell values (terrain heights or ground tiles)
+ * 
+ * @param {*} rows - The grid as rows [y][x]
+ * @param {string} path - JSON path of the grid
+ * @param {Function} checkCell - Returns the repaired value of a cell, or undefined if it is valid
+ * @param {string} description - What a valid cell holds, for problem messages
+ * @param {Function} report - Records a problem
+ * @returns {Array} - The repaired grid
+ */
+const checkCellGrid = (rows, path, checkCell, description, report) => {
+  if (!Array.isArray(rows) || rows.some(row => !Array.isArray(row))) {
+    report(path, 'Expected a list of rows', 'Reset to an empty grid');
+    return [];
+  }
+  
+  return rows.map((row, y) => row.map((value, x) => {
+    const repaired = checkCell(value);
+    if (repaired === undefined) return value;
+    
+    report(`${path}[${y}][${x}]`, `Expected ${description}, found ${describeValue(value)}`, `Set to ${describeValue(repaired)}`);
+    return repaired;
+  }));
+};
+
+/**
+ * Check whether a value is a valid custom property field
+ * 
+ * @param {*} field - The value to check
+ * @returns {boolean} - Whether the value is a field with a key and a known type, and enum fields list their options
+ */
+const isValidPropertyField = (field) => (
+  isObject(field) &&
+  typeof field.key === 'string' && field.key !== '' &&
+  PROPERTY_TYPES.includes(field.type) &&
+  (field.label === undefined || typeof field.label === 'string') &&
+  (field.type !== 'enum' ||
+    (Array.isArray(field.options) && field.options.length > 0 && field.options.every(option => typeof option === 'string')))
+);
+
+/**
+ * Check the metadata and group membership of an element
+ * 
+ * See propertyUtils for the metadata fields.
+ * 
+ * @param {Object} element - The element
+ * @param {Object} repaired - The repaired copy of the element, updated in place
+ * @param {string} path - JSON path of the element
+ * @param {Function} report - Records a problem
+ */
+const checkElementMetadata = (element, repaired, path, report) => {
+  ['name', 'notes'].forEach(key => {
+    if (element[key] !== undefined && typeof element[key] !== 'string') {
+      report(`${path}.${key}`, `Expected text, found ${describeValue(element[key])}`, `Remove the ${key}`);
+      delete repaired[key];
+    }
+  });
+  
+  if (element.tags !== undefined) {
+    if (!Array.isArray(element.tags)) {
+      report(`${path}.tags`, `Expected a list of tags, found ${describeValue(element.tags)}`, 'Remove the tags');
+      delete repaired.tags;
+    } else if (element.tags.some(tag => typeof tag !== 'string')) {
+      report(`${path}.tags`, 'Expected every tag to be text', 'Remove the tags that aren\'t text');
+      repaired.tags = element.tags.filter(tag => typeof tag === 'string');
+    }
+  }
+  
+  if (element.propertySchema !== undefined) {
+    if (!Array.isArray(element.propertySchema)) {
+      report(`${path}.propertySchema`, `Expected a list of property fields, found ${describeValue(element.propertySchema)}`, 'Remove the custom property fields');
+      delete repaired.propertySchema;
+    } else {
+      repaired.propertySchema = element.propertySchema.filter((field, index) => {
+        if (isValidPropertyField(field)) return true;
+        report(
+          `${path}.propertySchema[${index}]`,
+          `Expected a field with a key and a type (${PROPERTY_TYPES.join(', ')}), found ${describeValue(field)}`,
+          'Remove the field'
+        );
+        return false;
+      });
+    }
+  }
+  
+  // Property values are plain values, converted to their field types on load
+  if (element.properties !== undefined) {
+    if (!isObject(element.properties)) {
+      report(`${path}.properties`, `Expected a map of property values, found ${describeValue(element.properties)}`, 'Remove the property values');
+      delete repaired.properties;
+    } else {
+      repaired.properties = { ...element.properties };
+      Object.entries(element.properties).forEach(([key, value]) => {
+        if (typeof value === 'string' || typeof value === 'boolean' || isNumber(value)) return;
+        report(`${path}.properties.${key}`, `Expected text, a number or true/false, found ${describeValue(value)}`, 'Use the default value');
+        delete repaired.properties[key];
+      });
+    }
+  }
+  
+  if (element.groupId !== undefined && (typeof element.groupId !== 'string' || element.groupId === '')) {
+    report(`${path}.groupId`, `Expected a group ID, found ${describeValue(element.groupId)}`, 'Take the element out of its group');
+    delete repaired.groupId;
+  }
+  
+  if (element.prefabId !== undefined && (typeof element.prefabId !== 'string' || element.prefabId === '')) {
+    report(`${path}.prefabId`, `Expected a prefab ID, found ${describeValue(element.prefabId)}`, 'Unlink the element from its prefab');
+    delete repaired.prefabId;
+  }
+};
+
+/**
+ * Check an element and repair what can be repaired
+ * 
+ * @param {*} element - The element
+ * @param {string} path - JSON path of the element
+ * @param {Object} context - Scene-wide state {gridSize, layerIds, usedIds}; layers aren't checked when layerIds is null
+ * @param {Function} report - Records a problem
+ * @returns {Object|null} - The repaired element, or null if it must be dropped
+ */
+const checkElement = (element, path, context, report) => {
+  if (!isObject(element)) {
+    report(path, `Expected an element object, found ${describeValue(element)}`, 'Drop the element');
+    return null;
+  }
+  
+  if (!getElementMetadata(element.type)) {
+    report(`${path}.type`, `Unknown element type ${describeValue(element.type)}`, 'Drop the element');
+    return null;
+  }
+  
+  const { position } = element;
+  if (!isObject(position) || !isNumber(position.x) || !isNumber(position.y)) {
+    report(`${path}.position`, `Expected a position with numeric x and y, found ${describeValue(position)}`, 'Drop the element');
+    return null;
+  }
+  
+  const footprint = getFootprint(element);
+  const { gridSize } = context;
+  if (footprint.width > gridSize.width || footprint.height > gridSize.height) {
+    report(path, `A ${element.type} (${footprint.width} × ${footprint.height}) doesn't fit on a ${gridSize.width} × ${gridSize.height} grid`, 'Drop the element');
+    return null;
+  }
+  
+  const repaired = { ...element, position: { ...position } };
+  
+  // IDs must be unique (numeric IDs are kept as strings)
+  const hasValidId = (typeof element.id === 'string' && element.id !== '') || isNumber(element.id);
+  if (!hasValidId || context.usedIds.has(String(element.id))) {
+    repaired.id = createId();
+    report(
+      `${path}.id`,
+      hasValidId ? `Duplicate element ID ${describeValue(element.id)}` : `Expected an element ID, found ${describeValue(element.id)}`,
+      'Assign a new ID',
+      true
+    );
+  } else {
+    repaired.id = String(element.id);
+  }
+  context.usedIds.add(repaired.id);
+  
+  // The footprint must lie on whole cells inside the grid
+  ['x', 'y'].forEach(axis => {
+    const max = (axis === 'x' ? gridSize.width - footprint.width : gridSize.height - footprint.height);
+    const value = Math.min(Math.max(Math.round(position[axis]), 0), max);
+    if (value !== position[axis]) {
+      report(
+        `${path}.position.${axis}`,
+        Number.isInteger(position[axis]) ? `Position ${position[axis]} is outside the grid (0 to ${max})` : `Expected a whole number, found ${position[axis]}`,
+        `Set to ${value}`
+      );
+      repaired.position[axis] = value;
+    }
+  });
+  
+  // Elevation is 0 or more levels above the ground; elements stacked on
+  // low elements such as parks rest at fractional levels (see getStackElevation)
+  if (position.z !== undefined && !(isNumber(position.z) && position.z >= 0)) {
+    report(`${path}.position.z`, `Expected an elevation of 0 or more levels, found ${describeValue(position.z)}`, 'Set to 0');
+    repaired.position.z = 0;
+  }
+  
+  // Rotation is a quarter turn between 0 and 270 degrees
+  if (element.rotation !== undefined && !(isNumber(element.rotation) && element.rotation % 90 === 0 && element.rotation >= 0 && element.rotation < 360)) {
+    const value = isNumber(element.rotation) ? ((Math.round(element.rotation / 90) * 90) % 360 + 360) % 360 : 0;
+    report(`${path}.rotation`, `Expected 0, 90, 180 or 270 degrees, found ${describeValue(element.rotation)}`, `Set to ${value}`);
+    repaired.rotation = value;
+  }
+  
+  if (element.scale !== undefined && !(isNumber(element.scale) && element.scale > 0)) {
+    report(`${path}.scale`, `Expected a positive scale, found ${describeValue(element.scale)}`, 'Set to 1');
+    repaired.scale = 1;
+  }
+  
+  if (element.layerId !== undefined && context.layerIds && !context.layerIds.has(element.layerId)) {
+    report(`${path}.layerId`, `Unknown layer ${describeValue(element.layerId)}`, 'Use the default layer of the element type');
+    delete repaired.layerId;
+  }
+  
+  checkElementMetadata(element, repaired, path, report);
+  
+  return repaired;
+};
+
+/**
+ * Check a list of elements and repair what can be repaired
+ * 
+ * An element that fills the same space as an earlier element is dropped,
+ * as neither of them could be moved afterwards (see canPlaceElement).
+ * 
+ * @param {Array} elements - The elements
+ * @param {Object} context - Scene-wide state (see checkElement)
+ * @param {Function} report - Records a problem
+ * @returns {Array} - The repaired elements that are kept
+ */
+const checkElements = (elements, context, report) => {
+  // Space filled by the elements kept so far, keyed by element path as
+  // prefab elements have no IDs
+  const occupancy = new Map();
+  
+  return elements.map((element, index) => {
+    const path = `$.elements[${index}]`;
+    const repaired = checkElement(element, path, context, report);
+    if (!repaired) return null;
+    
+    const overlapping = getOverlappingIds(repaired, occupancy);
+    if (overlapping.length > 0) {
+      report(path, `The ${repaired.type} overlaps the element at ${overlapping[0]}`, 'Drop the element');
+      return null;
+    }
+    
+    addToOccupancyMap(occupancy, { ...repaired, id: path });
+    return repaired;
+  }).filter(Boolean);
+};
+
+/**
+ * Validate scene data in full
+ * 
+ * Expects data that has passed the basic check in sceneUtils and has been
+ * upgraded to the current schema version.
+ * 
+ * @param {Object} sceneData - The serialized scene data
+ * @returns {Object} - The problems found and the repaired scene data {problems, repaired}, where each problem is {path, message, repair, automatic}
+ */
+export const validateScene = (sceneData) => {
+  const problems = [];
+  const report = (path, message, repair, automatic = false) => problems.push({ path, message, repair, automatic });
+  const repaired = { ...sceneData, metadata: { ...(isObject(sceneData.metadata) ? sceneData.metadata : {}) } };
+  
+  // Grid and tile dimensions
+  if (!isValidSize(repaired.metadata.gridSize, true)) {
+    report('$.metadata.gridSize', `Expected whole-number width and height, found ${describeValue(repaired.metadata.gridSize)}`, `Use a ${DEFAULT_GRID_SIZE.width} × ${DEFAULT_GRID_SIZE.height} grid`);
+    repaired.metadata.gridSize = DEFAULT_GRID_SIZE;
+  }
+  if (!isValidSize(repaired.metadata.tileSize, false)) {
+    report('$.metadata.tileSize', `Expected a positive width and height, found ${describeValue(repaired.metadata.tileSize)}`, `Use ${DEFAULT_TILE_SIZE.width} × ${DEFAULT_TILE_SIZE.height} tiles`);
+    repaired.metadata.tileSize = DEFAULT_TILE_SIZE;
+  }
+  
+  // Layers need unique IDs
+  if (!Array.isArray(sceneData.layers)) {
+    report('$.layers', `Expected a list of layers, found ${describeValue(sceneData.layers)}`, 'Use the default layers');
+    repaired.layers = [];
+  } else {
+    const layerIds = new Set();
+    repaired.layers = sceneData.layers.filter((layer, index) => {
+      if (!isObject(layer) || typeof layer.id !== 'string' || !layer.id) {
+        report(`$.layers[${index}]`, `Expected a layer with an ID, found ${describeValue(layer)}`, 'Drop the layer');
+        return false;
+      }
+      if (layerIds.has(layer.id)) {
+        report(`$.layers[${index}].id`, `Duplicate layer ID ${describeValue(layer.id)}`, 'Drop the layer');
+        return false;
+      }
+      layerIds.add(layer.id);
+      return true;
+    });
+  }
+  
+  // Elements
+  const context = {
+    gridSize: repaired.metadata.gridSize,
+    layerIds: new Set(normalizeLayers(repaired.layers).map(layer => layer.id)),
+    usedIds: new Set()
+  };
+  repaired.elements = checkElements(sceneData.elements, context, report);
+  
+  // Terrain heights and ground tiles
+  repaired.terrain = {
+    heights: checkCellGrid(
+      sceneData.terrain?.heights,
+      '$.terrain.heights',
+      value => (Number.isInteger(value) && value >= 0 && value <= TERRAIN_MAX_HEIGHT
+        ? undefined
+        : Math.min(Math.max(isNumber(value) ? Math.round(value) : 0, 0), TERRAIN_MAX_HEIGHT)),
+      `a whole-number height from 0 to ${TERRAIN_MAX_HEIGHT}`,
+      report
+    )
+  };
+  repaired.ground = {
+    tiles: checkCellGrid(
+      sceneData.ground?.tiles,
+      '$.ground.tiles',
+      value => (value === null || getGroundTileMetadata(value) ? undefined : null),
+      'a known ground type or null',
+      report
+    )
+  };
+  
+  return { problems, repaired };
+};
+
+/**
+ * Validate a prefab from the prefab library
+ * 
+ * The prefab's elements get the same checks as scene elements, with the
+ * prefab's bounds in place of the grid. Their layers are not checked, as
+ * prefabs are shared between scenes (see keepKnownLayers).
+ * 
+ * @param {*} prefab - The prefab {id, name, elements, size}
+ * @returns {Array} - The problems found, in the same form as validateScene reports them
+ */
+export const validatePrefab = (prefab) => {
+  const problems = [];
+  const report = (path, message, repair, automatic = false) => problems.push({ path, message, repair, automatic });
+  
+  if (!isObject(prefab) || typeof prefab.id !== 'string' || !prefab.id || typeof prefab.name !== 'string') {
+    report('$', `Expected a prefab with an ID and a name, found ${describeValue(prefab)}`, 'Drop the prefab');
+    return problems;
+  }
+  
+  if (!isValidSize(prefab.size, true)) {
+    report('$.size', `Expected whole-number width and height, found ${describeValue(prefab.size)}`, 'Drop the prefab');
+    return problems;
+  }
+  
+  if (!Array.isArray(prefab.elements) || prefab.elements.length === 0) {
+    report('$.elements', `Expected a list of elements, found ${describeValue(prefab.elements)}`, 'Drop the prefab');
+    return problems;
+  }
+  
+  const context = { gridSize: prefab.size, layerIds: null, usedIds: new Set() };
+  checkElements(prefab.elements, context, report);
+  
+  return problems;
+};